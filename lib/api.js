@@ -4,19 +4,22 @@ import path from 'node:path';
 import process from 'node:process';
 
 import arrify from 'arrify';
-import chunkd from 'chunkd';
 import commonPathPrefix from 'common-path-prefix';
 import Emittery from 'emittery';
 import ms from 'ms';
 import pMap from 'p-map';
 import tempDir from 'temp-dir';
 
-import fork from './fork.js';
+import {reportCoverage} from './coverage.js';
+import fork, {loadPooledFork} from './fork.js';
+import {runGlobalSetup, runGlobalTeardown} from './global-hooks.js';
 import * as globs from './globs.js';
 import isCi from './is-ci.js';
 import {getApplicableLineNumbers} from './line-numbers.js';
+import LockManager from './locks.js';
 import {setCappedTimeout} from './now-and-timers.cjs';
 import {observeWorkerProcess} from './plugin-support/shared-workers.js';
+import {createRandom, shuffle} from './random.js';
 import RunStatus from './run-status.js';
 import scheduler from './scheduler.js';
 import serializeError from './serialize-error.js';
@@ -77,11 +80,18 @@ export default class Api extends Emittery {
 	constructor(options) {
 		super();
 
-		this.options = {match: [], moduleTypes: {}, ...options};
+		this.options = {
+			excludeTags: [],
+			match: [],
+			moduleTypes: {},
+			tags: [],
+			...options,
+		};
 		this.options.require = normalizeRequireOption(this.options.require);
 
 		this._cacheDir = null;
 		this._interruptHandler = () => {};
+		this._globalTeardown = async () => {};
 
 		if (options.ranFromCli) {
 			process.on('SIGINT', () => this._interruptHandler());
@@ -100,6 +110,7 @@ export default class Api extends Emittery {
 
 		// Track active forks and manage timeouts.
 		const failFast = apiOptions.failFast === true;
+		const untilFailure = apiOptions.untilFailure === true;
 		let bailed = false;
 		const pendingWorkers = new Set();
 		const timedOutWorkerFiles = new Set();
@@ -164,6 +175,17 @@ export default class Api extends Emittery {
 			setupOrGlobError = error;
 		}
 
+		// With --only-failed, only run the tests that failed in the previous run.
+		// In watch mode the watcher keeps track of them instead.
+		const failedTests = runtimeOptions.failedTests ?? (apiOptions.onlyFailed && (runtimeOptions.firstRun ?? true)
+			? scheduler.loadFailedTests(this._getLocalCacheDir(), this.options.cacheEnabled)
+			: undefined);
+		const onlyFailed = selectedFiles.some(file => failedTests?.has(file));
+		if (onlyFailed) {
+			const {appliedFilters, ignoredFilterPatternFiles} = selectedFiles;
+			selectedFiles = Object.assign(selectedFiles.filter(file => failedTests.has(file)), {appliedFilters, ignoredFilterPatternFiles});
+		}
+
 		const selectionInsights = {
 			filter: selectedFiles.appliedFilters ?? filter,
 			ignoredFilterPatternFiles: selectedFiles.ignoredFilterPatternFiles ?? [],
@@ -179,7 +201,10 @@ export default class Api extends Emittery {
 				// The files must be in the same order across all runs, so sort them.
 				const defaultComparator = (a, b) => a.localeCompare(b, [], {numeric: true});
 				selectedFiles = selectedFiles.sort(this.options.sortTestFiles ?? defaultComparator);
-				selectedFiles = chunkd(selectedFiles, currentIndex, totalRuns);
+				selectedFiles = scheduler.balanceFiles(selectedFiles, {currentIndex, totalRuns}, scheduler.loadFileDurations({
+					filename: this.options.timingsFile,
+					projectDir: this.options.projectDir,
+				}));
 
 				const currentFileCount = selectedFiles.length;
 
@@ -193,18 +218,24 @@ export default class Api extends Emittery {
 				runStatus = new RunStatus(selectedFiles.length, null, selectionInsights);
 			}
 
-			selectedFiles = scheduler.failingTestsFirst(selectedFiles, this._getLocalCacheDir(), this.options.cacheEnabled);
+			// When running in random order, sort the files first so they're shuffled
+			// the same way for the same seed.
+			selectedFiles = apiOptions.randomSeed === undefined
+				? scheduler.failingTestsFirst(selectedFiles, this._getLocalCacheDir(), this.options.cacheEnabled)
+				: shuffle([...selectedFiles].sort(), createRandom(apiOptions.randomSeed));
 
 			const debugWithoutSpecificFile = Boolean(this.options.debug) && !this.options.debug.active && selectedFiles.length !== 1;
 
+			const matching = apiOptions.match.length > 0 || apiOptions.tags.length > 0 || apiOptions.excludeTags.length > 0 || runtimeOptions.interactiveMatchPattern !== undefined || onlyFailed;
 			await this.emit('run', {
 				bailWithoutReporting: debugWithoutSpecificFile,
 				debug: Boolean(this.options.debug),
 				failFastEnabled: failFast,
 				filePathPrefix: getFilePathPrefix(selectedFiles),
 				files: selectedFiles,
-				matching: apiOptions.match.length > 0 || runtimeOptions.interactiveMatchPattern !== undefined,
+				matching,
 				previousFailures: runtimeOptions.countPreviousFailures?.() ?? 0,
+				randomSeed: apiOptions.randomSeed,
 				firstRun: runtimeOptions.firstRun ?? true,
 				status: runStatus,
 			});
@@ -233,6 +264,14 @@ export default class Api extends Emittery {
 						worker.notifyOfPeerFailure();
 					}
 				}
+
+				if (untilFailure && record.type === 'test-failed') {
+					// Stop repeating tests in the other workers, and don't start new test files.
+					bailed = true;
+					for (const worker of pendingWorkers) {
+						worker.notifyOfPeerFailure();
+					}
+				}
 			});
 
 			const providerStates = [];
@@ -257,6 +296,100 @@ export default class Api extends Emittery {
 
 			const deregisteredSharedWorkers = [];
 
+			// Tests in different workers that hold the same lock don't run at the same
+			// time.
+			const locks = new LockManager();
+
+			// Workers write their V8 coverage into this directory.
+			const coverageDirectory = apiOptions.coverage ? fs.mkdtempSync(path.join(tempDir, 'ava-coverage-')) : undefined;
+
+			// Run the global setup before any of the workers start. If it fails, no
+			// test files are run.
+			let globalSetupResult;
+			const globalSetupDone = (async () => {
+				if (apiOptions.globalSetup) {
+					try {
+						globalSetupResult = await runGlobalSetup(apiOptions.globalSetup, {projectDir: this.options.projectDir});
+					} catch (error) {
+						bailed = true;
+						runStatus.emitStateChange({type: 'global-hook-failed', hook: 'globalSetup', err: serializeError(error)});
+					}
+				}
+			})();
+
+			// Run the global teardown once, even if the global setup failed, so it
+			// can clean up after itself. It runs when the workers have exited, or
+			// when the run is interrupted.
+			let globalTeardownDone;
+			this._globalTeardown = () => {
+				globalTeardownDone ??= (async () => {
+					await globalSetupDone;
+					if (apiOptions.globalTeardown) {
+						try {
+							await runGlobalTeardown(apiOptions.globalTeardown, {globalSetup: globalSetupResult, projectDir: this.options.projectDir});
+						} catch (error) {
+							runStatus.emitStateChange({type: 'global-hook-failed', hook: 'globalTeardown', err: serializeError(error)});
+						}
+					}
+				})();
+				return globalTeardownDone;
+			};
+
+			await globalSetupDone;
+
+			// Observes the worker process, which may run multiple test files when it's
+			// pooled.
+			const observeProcess = workerProcess => {
+				workerProcess.onAcquireLock(request => {
+					locks.acquire(workerProcess, request);
+				});
+				workerProcess.onReleaseLock(({lockId}) => {
+					locks.release(workerProcess, lockId);
+				});
+				deregisteredSharedWorkers.push(observeWorkerProcess(workerProcess, runStatus));
+				workerProcess.promise.then(() => { // eslint-disable-line promise/prefer-await-to-then
+					// Release the locks of tests that didn't finish, for instance because
+					// the worker crashed or timed out.
+					locks.releaseAll(workerProcess);
+				});
+				return workerProcess;
+			};
+
+			// Unless isolation is disabled, each test file runs in a new worker. Pooled
+			// workers run the next test file once they've finished the previous one.
+			// Debugging always requires a new worker.
+			const {isolatedFiles = []} = apiOptions;
+			const isolateFile = file => apiOptions.isolate !== false
+				|| Boolean(apiOptions.debug)
+				|| (isolatedFiles.length > 0 && globs.matches(globs.normalizeFileForMatching(apiOptions.projectDir, file), isolatedFiles));
+			const pooledWorkers = [];
+			const idleWorkers = new Set();
+			const runInPool = (file, options) => {
+				let pooledWorker;
+				let worker;
+				for (const idleWorker of idleWorkers) {
+					idleWorkers.delete(idleWorker);
+					if (!idleWorker.exited) {
+						pooledWorker = idleWorker;
+						worker = pooledWorker.next(file, options);
+						break;
+					}
+				}
+
+				if (worker === undefined) {
+					pooledWorker = observeProcess(loadPooledFork(file, options, apiOptions.nodeArguments));
+					pooledWorkers.push(pooledWorker);
+					worker = pooledWorker.first;
+				}
+
+				worker.promise.then(() => { // eslint-disable-line promise/prefer-await-to-then
+					if (!pooledWorker.exited) {
+						idleWorkers.add(pooledWorker);
+					}
+				});
+				return worker;
+			};
+
 			// Try and run each file, limited by `concurrency`.
 			await pMap(selectedFiles, async file => {
 				// No new files should be run once a test has timed out or failed,
@@ -267,13 +400,17 @@ export default class Api extends Emittery {
 
 				const lineNumbers = getApplicableLineNumbers(globs.normalizeFileForMatching(apiOptions.projectDir, file), filter);
 				// Removing `providers` and `sortTestFiles` fields because they cannot be transferred to the worker threads.
-				const {providers, sortTestFiles, match, ...forkOptions} = apiOptions;
+				const {providers, sortTestFiles, match, isolate, isolatedFiles: _, ...forkOptions} = apiOptions;
 				const options = {
 					...forkOptions,
+					coverageDirectory,
+					globalSetupResult,
 					providerStates,
 					lineNumbers,
 					recordNewSnapshots: !isCi,
 					match: runtimeOptions.interactiveMatchPattern === undefined ? match : [...match, runtimeOptions.interactiveMatchPattern],
+					// An empty list of titles means the whole file must be rerun.
+					failedTests: onlyFailed && failedTests.get(file).length > 0 ? failedTests.get(file) : undefined,
 				};
 
 				if (runtimeOptions.updateSnapshots) {
@@ -281,14 +418,13 @@ export default class Api extends Emittery {
 					options.updateSnapshots = true;
 				}
 
-				const worker = fork(file, options, apiOptions.nodeArguments);
+				const worker = isolateFile(file) ? observeProcess(fork(file, options, apiOptions.nodeArguments)) : runInPool(file, options);
 				worker.onStateChange(data => {
 					if (data.type === 'test-timeout-configured' && !apiOptions.debug) {
 						timeoutTrigger.ignoreFor(data.period);
 					}
 				});
 				runStatus.observeWorker(worker, file, {selectingLines: lineNumbers.length > 0});
-				deregisteredSharedWorkers.push(observeWorkerProcess(worker, runStatus));
 
 				pendingWorkers.add(worker);
 				worker.promise.then(() => {
@@ -299,11 +435,41 @@ export default class Api extends Emittery {
 				await worker.promise;
 			}, {concurrency, stopOnError: false});
 
+			// Let the pooled workers exit, now that there are no more test files to
+			// run.
+			for (const pooledWorker of idleWorkers) {
+				pooledWorker.close();
+			}
+
+			await Promise.all(pooledWorkers.map(pooledWorker => pooledWorker.promise));
+
 			// Allow shared workers to clean up before the run ends.
 			await Promise.all(deregisteredSharedWorkers);
-			const files = scheduler.storeFailedTestFiles(runStatus, this.options.cacheEnabled === false ? null : this._createCacheDir());
-			if (files) {
-				runStatus.emitStateChange({type: 'touched-files', files});
+
+			await this._globalTeardown();
+
+			if (coverageDirectory) {
+				try {
+					runStatus.emitStateChange(await reportCoverage(coverageDirectory, {
+						isTestFile: file => globs.classify(file, {cwd: this.options.projectDir, ...apiOptions.globs}).isTest,
+						options: apiOptions.coverage,
+						projectDir: this.options.projectDir,
+					}));
+				} finally {
+					fs.rmSync(coverageDirectory, {force: true, recursive: true});
+				}
+			}
+
+			const failedTestFiles = scheduler.storeFailedTests(runStatus, this.options.cacheEnabled === false ? null : this._createCacheDir());
+			const durationFiles = scheduler.storeFileDurations(runStatus, {
+				filename: this.options.timingsFile,
+				matching,
+				projectDir: this.options.projectDir,
+			});
+			for (const files of [failedTestFiles, durationFiles]) {
+				if (files) {
+					runStatus.emitStateChange({type: 'touched-files', files});
+				}
 			}
 		} catch (error) {
 			runStatus.emitStateChange({type: 'internal-error', err: serializeError(error)});
@@ -313,6 +479,11 @@ export default class Api extends Emittery {
 		return runStatus.end();
 	}
 
+	// Runs the global teardown of the current run, unless it has already run.
+	async teardown() {
+		return this._globalTeardown();
+	}
+
 	_getLocalCacheDir() {
 		return path.join(this.options.projectDir, 'node_modules', '.cache', 'ava');
 	}
@@ -1,11 +1,14 @@
 import {isNativeError} from 'node:util/types';
 
 import concordance from 'concordance';
+import {isPlainObject} from 'is-plain-object';
 import isPromise from 'is-promise';
 
 import concordanceOptions from './concordance-options.js';
+import {InlineSnapshotError} from './inline-snapshots.js';
 import {CIRCULAR_SELECTOR, isLikeSelector, selectComparable} from './like-selector.js';
 import {SnapshotError, VersionMismatchError} from './snapshot-manager.js';
+import {redact, RedactionError} from './snapshot-values.js';
 
 function formatDescriptorDiff(actualDescriptor, expectedDescriptor, options) {
 	options = {...options, ...concordanceOptions};
@@ -264,6 +267,7 @@ export class Assertions {
 		failPending = notImplemented,
 		skip = notImplemented,
 		compareWithSnapshot = notImplemented,
+		compareWithInlineSnapshot = notImplemented,
 		experiments = {},
 		disableSnapshots = false,
 	} = {}) {
@@ -630,13 +634,15 @@ export class Assertions {
 			return handlePromise(retval, true);
 		});
 
-		this.snapshot = withSkip((expected, message) => {
+		this.snapshot = withSkip((expected, ...args) => {
 			if (disableSnapshots) {
 				throw fail(new AssertionError('`t.snapshot()` can only be used in tests', {
 					assertion: 't.snapshot()',
 				}));
 			}
 
+			// The options are optional, and come before the message.
+			const [options, message] = isPlainObject(args[0]) ? args : [{}, ...args];
 			assertMessage(message, 't.snapshot()');
 
 			if (message === '') {
@@ -646,6 +652,28 @@ export class Assertions {
 				}));
 			}
 
+			if (options.redact !== undefined) {
+				if (!isPlainObject(options.redact) || Object.values(options.redact).some(type => typeof type !== 'function')) {
+					throw fail(new AssertionError('The `redact` option must map property paths to constructors, such as `String` or `Date`', {
+						assertion: 't.snapshot()',
+						formattedDetails: [formatWithLabel('Called with:', options.redact)],
+					}));
+				}
+
+				try {
+					expected = redact(expected, options.redact);
+				} catch (error) {
+					if (!(error instanceof RedactionError)) {
+						throw error;
+					}
+
+					throw fail(new AssertionError(error.message, {
+						assertion: 't.snapshot()',
+						formattedDetails: [formatWithLabel('Value:', error.value)],
+					}));
+				}
+			}
+
 			let result;
 			try {
 				result = compareWithSnapshot({expected, message});
@@ -683,6 +711,52 @@ export class Assertions {
 			}
 		});
 
+		this.snapshot.inline = withSkip((expected, embedded, message) => {
+			if (disableSnapshots) {
+				throw fail(new AssertionError('`t.snapshot.inline()` can only be used in tests', {
+					assertion: 't.snapshot.inline()',
+				}));
+			}
+
+			if (embedded !== undefined && typeof embedded !== 'string') {
+				throw fail(new AssertionError('The inline snapshot must be a string', {
+					assertion: 't.snapshot.inline()',
+					formattedDetails: [formatWithLabel('Called with:', embedded)],
+				}));
+			}
+
+			assertMessage(message, 't.snapshot.inline()');
+
+			let result;
+			try {
+				result = compareWithInlineSnapshot({embedded, expected});
+			} catch (error) {
+				if (!(error instanceof InlineSnapshotError)) {
+					throw error;
+				}
+
+				throw fail(new AssertionError(error.message, {
+					assertion: 't.snapshot.inline()',
+				}));
+			}
+
+			if (result.pass) {
+				return pass();
+			}
+
+			if (result.actual) {
+				throw fail(new AssertionError(message ?? 'Did not match inline snapshot', {
+					assertion: 't.snapshot.inline()',
+					formattedDetails: [formatDescriptorDiff(result.actual, result.expected, {invert: true})],
+				}));
+			} else {
+				// This can only occur in CI environments.
+				throw fail(new AssertionError(message ?? 'No inline snapshot available — new snapshots are not created in CI environments', {
+					assertion: 't.snapshot.inline()',
+				}));
+			}
+		});
+
 		this.truthy = withSkip((actual, message) => {
 			assertMessage(message, 't.truthy()');
 
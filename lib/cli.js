@@ -11,15 +11,18 @@ import {hideBin} from 'yargs/helpers';
 import {asyncEventIteratorFromApi} from './api-event-iterator.js';
 import Api from './api.js';
 import {chalk} from './chalk.js';
+import {normalizeCoverageOptions} from './coverage.js';
 import validateEnvironmentVariables from './environment-variables.js';
 import normalizeExtensions from './extensions.js';
-import {normalizeGlobs, normalizePattern} from './globs.js';
+import {normalizeGlobs, normalizePattern, normalizePatterns} from './globs.js';
 import isCi from './is-ci.js';
 import {splitPatternAndLineNumbers} from './line-numbers.js';
 import {loadConfig} from './load-config.js';
+import loadReporters, {BUILTIN_REPORTERS} from './load-reporters.js';
 import normalizeModuleTypes from './module-types.js';
 import normalizeNodeArguments from './node-arguments.js';
 import pkg from './pkg.cjs';
+import {generateSeed} from './random.js';
 
 function exit(message) {
 	console.error(`\n  ${chalk.red(figures.cross)} ${message}`);
@@ -29,12 +32,31 @@ function exit(message) {
 const coerceLastValue = value => Array.isArray(value) ? value.pop() : value;
 
 const FLAGS = {
+	'ci-snapshots': {
+		coerce: coerceLastValue,
+		description: 'Fail on obsolete snapshots: default or strict',
+		type: 'string',
+	},
 	concurrency: {
 		alias: 'c',
 		coerce: coerceLastValue,
 		description: 'Max number of test files running at the same time (default: CPU cores)',
 		type: 'number',
 	},
+	coverage: {
+		coerce: coerceLastValue,
+		description: 'Collect code coverage',
+		type: 'boolean',
+	},
+	'detect-open-handles': {
+		coerce: coerceLastValue,
+		description: 'Report resources that test files leave open',
+		type: 'boolean',
+	},
+	'exclude-tag': {
+		description: 'Don\'t run tests with this tag (can be repeated)',
+		type: 'string',
+	},
 	'fail-fast': {
 		coerce: coerceLastValue,
 		description: 'Stop after first test failure',
@@ -55,12 +77,61 @@ const FLAGS = {
 		description: 'Additional Node.js arguments for launching worker processes (specify as a single string)',
 		type: 'string',
 	},
+	'only-failed': {
+		coerce: coerceLastValue,
+		description: 'Only run tests that failed in the previous run',
+		type: 'boolean',
+	},
+	output: {
+		coerce: coerceLastValue,
+		description: 'Write the report to a file, rather than standard output (requires the TAP, JUnit or NDJSON reporter)',
+		type: 'string',
+	},
+	prune: {
+		coerce: coerceLastValue,
+		description: 'Remove obsolete snapshots (requires --update-snapshots)',
+		type: 'boolean',
+	},
+	random: {
+		coerce: coerceLastValue,
+		description: 'Run tests in random order, optionally with a seed: --random=<seed>',
+		type: 'string',
+	},
+	repeat: {
+		coerce: coerceLastValue,
+		description: 'Run each test this many times',
+		type: 'number',
+	},
+	reporter: {
+		coerce: coerceLastValue,
+		description: 'Select the reporter: default, tap, junit or ndjson',
+		type: 'string',
+	},
+	retries: {
+		coerce: coerceLastValue,
+		description: 'Retry failed tests up to this many times',
+		type: 'number',
+	},
 	serial: {
 		alias: 's',
 		coerce: coerceLastValue,
 		description: 'Run tests serially',
 		type: 'boolean',
 	},
+	shard: {
+		coerce: coerceLastValue,
+		description: 'Only run a shard of the test files, e.g. 2/5',
+		type: 'string',
+	},
+	slow: {
+		coerce: coerceLastValue,
+		description: 'Highlight tests slower than this many milliseconds',
+		type: 'number',
+	},
+	tag: {
+		description: 'Only run tests with this tag (can be repeated)',
+		type: 'string',
+	},
 	tap: {
 		alias: 't',
 		coerce: coerceLastValue,
@@ -73,6 +144,11 @@ const FLAGS = {
 		description: 'Set global timeout (milliseconds or human-readable, e.g. 10s, 2m)',
 		type: 'string',
 	},
+	'until-failure': {
+		coerce: coerceLastValue,
+		description: 'Repeat tests until one fails',
+		type: 'boolean',
+	},
 	'update-snapshots': {
 		alias: 'u',
 		coerce: coerceLastValue,
@@ -133,6 +209,7 @@ export default async function loadCli() { // eslint-disable-line complexity
 		} : null;
 
 	let resetCache = false;
+	let snapshotCommand = null;
 	const {argv} = yargs(hideBin(process.argv))
 		.scriptName('ava')
 		.version(pkg.version)
@@ -154,6 +231,7 @@ export default async function loadCli() { // eslint-disable-line complexity
 		.usage('$0 [<pattern>...]')
 		.usage('$0 debug [<pattern>...]')
 		.usage('$0 reset-cache')
+		.usage('$0 snapshot <command>')
 		.options({
 			color: {
 				description: 'Force color output',
@@ -211,6 +289,95 @@ export default async function loadCli() { // eslint-disable-line complexity
 			() => {
 				resetCache = true;
 			})
+		.command(
+			'snapshot',
+			'Inspect, compare, merge and prune snapshot files',
+			yargs => yargs
+				.command(
+					'list <file>',
+					'List the tests and snapshots in a snapshot file',
+					yargs => yargs.positional('file', {
+						describe: 'The snapshot file, or the test file it belongs to',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {name: 'list', file: argv.file};
+					})
+				.command(
+					'show <file>',
+					'Show the snapshots of a test',
+					yargs => yargs.options({
+						index: {
+							description: 'Only show the snapshot with this 1-based index',
+							type: 'number',
+						},
+						title: {
+							demandOption: true,
+							description: 'The title of the test',
+							type: 'string',
+						},
+					}).positional('file', {
+						describe: 'The snapshot file, or the test file it belongs to',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {
+							name: 'show',
+							file: argv.file,
+							index: argv.index,
+							title: argv.title,
+						};
+					})
+				.command(
+					'diff <base> <head>',
+					'Compare the snapshots in two snapshot files',
+					yargs => yargs.positional('base', {
+						describe: 'The snapshot file to compare against',
+						type: 'string',
+					}).positional('head', {
+						describe: 'The snapshot file to compare',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {name: 'diff', base: argv.base, head: argv.head};
+					})
+				.command(
+					'merge-driver <base> <current> <other> [path]',
+					'Merge snapshot files and reports, for use as a Git merge driver',
+					yargs => yargs.positional('base', {
+						describe: 'The snapshot file of the common ancestor (%O)',
+						type: 'string',
+					}).positional('current', {
+						describe: 'The snapshot file of the current branch, which receives the result (%A)',
+						type: 'string',
+					}).positional('other', {
+						describe: 'The snapshot file of the other branch (%B)',
+						type: 'string',
+					}).positional('path', {
+						describe: 'The path of the file in the repository, used to regenerate the report. Required for snapshot files (%P)',
+						type: 'string',
+					}),
+					argv => {
+						snapshotCommand = {
+							name: 'merge-driver',
+							base: argv.base,
+							current: argv.current,
+							other: argv.other,
+							file: argv.path,
+						};
+					})
+				.command(
+					'prune [<pattern>...]',
+					'Remove the snapshots of tests that no longer exist',
+					yargs => yargs.positional('pattern', {
+						array: true,
+						describe: 'Select which test files to load. Leave empty to load all test files as per your configuration',
+						type: 'string',
+					}),
+					() => {
+						snapshotCommand = {name: 'prune'};
+					})
+				.demandCommand(1, 'Specify a snapshot command'))
 		.example('$0')
 		.example('$0 test.js')
 		.example('$0 test.js:4,7-9')
@@ -225,16 +392,72 @@ export default async function loadCli() { // eslint-disable-line complexity
 		}
 
 		if (argv[flag] !== undefined) {
-			if (flag === 'fail-fast') {
-				combined.failFast = argv[flag];
-			} else if (flag === 'update-snapshots') {
-				combined.updateSnapshots = argv[flag];
-			} else if (flag !== 'node-arguments') {
-				combined[flag] = argv[flag];
+			switch (flag) {
+				case 'ci-snapshots': {
+					combined.ciSnapshots = argv[flag];
+					break;
+				}
+
+				case 'detect-open-handles': {
+					combined.detectOpenHandles = argv[flag];
+					break;
+				}
+
+				case 'exclude-tag': {
+					combined.excludeTags = argv[flag];
+					break;
+				}
+
+				case 'fail-fast': {
+					combined.failFast = argv[flag];
+					break;
+				}
+
+				case 'node-arguments': {
+					break;
+				}
+
+				case 'random': {
+					// The seed is optional, so yargs takes the next argument as its value.
+					// Seeds must be given as `--random=<seed>`, so unless the value is an
+					// integer, it's a file pattern.
+					if (hideBin(process.argv).includes('--random') && !/^\d*$/.test(argv[flag])) {
+						argv.pattern = [argv[flag], ...(argv.pattern ?? [])];
+						combined.random = true;
+					} else {
+						combined.random = argv[flag];
+					}
+
+					break;
+				}
+
+				case 'tag': {
+					combined.tags = argv[flag];
+					break;
+				}
+
+				case 'until-failure': {
+					combined.untilFailure = argv[flag];
+					break;
+				}
+
+				case 'update-snapshots': {
+					combined.updateSnapshots = argv[flag];
+					break;
+				}
+
+				default: {
+					combined[flag] = argv[flag];
+				}
 			}
 		}
 	}
 
+	// Keep the configured coverage options when enabling coverage using the flag.
+	if (argv.coverage && conf.coverage) {
+		combined.coverage = conf.coverage;
+	}
+
 	const chalkOptions = {level: 0};
 	if (combined.color !== false) {
 		const {supportsColor: {level}} = await import('chalk'); // eslint-disable-line unicorn/import-style
@@ -283,11 +506,78 @@ export default async function loadCli() { // eslint-disable-line complexity
 		}
 	}
 
+	if (snapshotCommand !== null && snapshotCommand.name !== 'prune') {
+		const {
+			diff, list, merge, show,
+		} = await import('./snapshot-command.js');
+		const options = {projectDir, snapshotDir: combined.snapshotDir ? path.resolve(projectDir, combined.snapshotDir) : null};
+		try {
+			switch (snapshotCommand.name) {
+				case 'list': {
+					console.log(list(snapshotCommand.file, options));
+					break;
+				}
+
+				case 'show': {
+					console.log(show(snapshotCommand.file, snapshotCommand, options));
+					break;
+				}
+
+				case 'diff': {
+					const {changed, output} = diff(snapshotCommand.base, snapshotCommand.head, options);
+					console.log(output);
+					process.exitCode = changed ? 1 : 0;
+					break;
+				}
+
+				case 'merge-driver': {
+					const {conflicts} = await merge(snapshotCommand);
+					if (conflicts.length > 0) {
+						const titles = conflicts.map(title => `    ${chalk.gray(figures.line)} ${title}`).join('\n');
+						console.error(`\n  ${chalk.red(figures.cross)} Both branches changed the snapshots of these tests in ${snapshotCommand.file ?? snapshotCommand.current}:\n${titles}`);
+						console.error('\n  The snapshots of the current branch were kept. Run your tests with `--update-snapshots` to record new snapshots.');
+						process.exitCode = 1;
+					}
+
+					break;
+				}
+
+				default: {
+					break;
+				}
+			}
+		} catch (error) {
+			exit(error.message);
+		}
+
+		return;
+	}
+
+	if (argv.tap && argv.reporter !== undefined && argv.reporter !== 'tap') {
+		exit(`The --tap flag cannot be used with the ${argv.reporter} reporter.`);
+	}
+
+	if (Object.hasOwn(conf, 'reporters') && ['output', 'reporter', 'tap'].some(key => Object.hasOwn(conf, key))) {
+		exit('’reporters’ cannot be combined with the ’output’, ’reporter’ or ’tap’ configuration.');
+	}
+
+	// The --reporter and --tap flags take precedence over the reporters configuration.
+	const useReportersConfig = Object.hasOwn(conf, 'reporters') && argv.reporter === undefined && !argv.tap;
+
+	let reporterType = argv.reporter ?? (argv.tap ? 'tap' : undefined) ?? conf.reporter ?? (conf.tap ? 'tap' : 'default');
+	if (!useReportersConfig && !BUILTIN_REPORTERS.has(reporterType)) {
+		exit('The --reporter flag or ’reporter’ configuration must be one of default, tap, junit or ndjson.');
+	}
+
 	if (argv.watch) {
 		if (argv.tap && !conf.tap) {
 			exit('The TAP reporter is not available when using watch mode.');
 		}
 
+		if (argv.reporter !== undefined && argv.reporter !== 'default') {
+			exit(`The ${BUILTIN_REPORTERS.get(argv.reporter)} reporter is not available when using watch mode.`);
+		}
+
 		if (isCi) {
 			exit('Watch mode is not available in CI, as it prevents AVA from terminating.');
 		}
@@ -302,6 +592,10 @@ export default async function loadCli() { // eslint-disable-line complexity
 			exit('The TAP reporter is not available when debugging.');
 		}
 
+		if (argv.reporter !== undefined && argv.reporter !== 'default') {
+			exit(`The ${BUILTIN_REPORTERS.get(argv.reporter)} reporter is not available when debugging.`);
+		}
+
 		if (isCi) {
 			exit('Debugging is not available in CI.');
 		}
@@ -315,10 +609,57 @@ export default async function loadCli() { // eslint-disable-line complexity
 		exit('The --concurrency or -c flag must be provided with a non-negative integer.');
 	}
 
+	if (Object.hasOwn(combined, 'repeat') && (!Number.isInteger(combined.repeat) || combined.repeat < 1)) {
+		exit('The --repeat flag or ’repeat’ configuration must be a positive integer.');
+	}
+
+	if (Object.hasOwn(combined, 'retries') && (!Number.isInteger(combined.retries) || combined.retries < 0)) {
+		exit('The --retries flag or ’retries’ configuration must be a non-negative integer.');
+	}
+
+	if (Object.hasOwn(combined, 'slow') && (typeof combined.slow !== 'number' || !(combined.slow >= 0))) {
+		exit('The --slow flag or ’slow’ configuration must be a non-negative number of milliseconds.');
+	}
+
+	let randomSeed;
+	if (combined.random === true || combined.random === '') {
+		randomSeed = generateSeed();
+	} else if (combined.random !== undefined && combined.random !== false) {
+		randomSeed = typeof combined.random === 'string' && /^\d+$/.test(combined.random) ? Number(combined.random) : combined.random;
+		if (!Number.isSafeInteger(randomSeed) || randomSeed < 0) {
+			exit('The --random flag or ’random’ configuration must be true, or a non-negative integer seed.');
+		}
+	}
+
+	let coverage;
+	try {
+		coverage = normalizeCoverageOptions(combined.coverage, projectDir);
+	} catch (error) {
+		exit(error.message);
+	}
+
+	for (const key of ['globalSetup', 'globalTeardown']) {
+		if (Object.hasOwn(conf, key) && (typeof conf[key] !== 'string' || conf[key] === '')) {
+			exit(`’${key}’ must be a file path.`);
+		}
+	}
+
+	if (Object.hasOwn(conf, 'isolate') && typeof conf.isolate !== 'boolean') {
+		exit('’isolate’ must be a boolean.');
+	}
+
+	if (Object.hasOwn(conf, 'isolatedFiles') && !(Array.isArray(conf.isolatedFiles) && conf.isolatedFiles.every(pattern => typeof pattern === 'string' && pattern !== ''))) {
+		exit('’isolatedFiles’ must be an array of glob patterns.');
+	}
+
 	if (Object.hasOwn(conf, 'sortTestFiles') && typeof conf.sortTestFiles !== 'function') {
 		exit('’sortTestFiles’ must be a comparator function.');
 	}
 
+	if (Object.hasOwn(conf, 'timingsFile') && (typeof conf.timingsFile !== 'string' || conf.timingsFile === '')) {
+		exit('’timingsFile’ must be a file path.');
+	}
+
 	if (Object.hasOwn(conf, 'watch')) {
 		exit('’watch’ must not be configured, use the --watch CLI flag instead.');
 	}
@@ -327,7 +668,32 @@ export default async function loadCli() { // eslint-disable-line complexity
 		exit('’ignoredByWatcher’ has moved to ’watchMode.ignoreChanges’.');
 	}
 
-	if (!combined.tap && Object.keys(experiments).length > 0) {
+	if (argv.watch || debug !== null) {
+		reporterType = 'default';
+	}
+
+	let reporterEntries;
+	if (debug !== null) {
+		reporterEntries = ['default'];
+	} else if (useReportersConfig) {
+		if (argv.output !== undefined) {
+			exit('The --output flag requires the --reporter or --tap flag when ’reporters’ are configured.');
+		}
+
+		reporterEntries = conf.reporters;
+	} else {
+		if (argv.output !== undefined && reporterType === 'default') {
+			exit('The --output flag requires the TAP, JUnit or NDJSON reporter.');
+		}
+
+		// Resolve the flag against the working directory, and the configuration against the project directory.
+		const output = reporterType === 'default' ? undefined : (argv.output === undefined ? conf.output : path.resolve(argv.output));
+		reporterEntries = [[reporterType, {output}]];
+	}
+
+	// Watch mode always uses the default reporter.
+	const usesDefaultReporter = argv.watch || reporterEntries.some(entry => entry === 'default' || (Array.isArray(entry) && entry[0] === 'default'));
+	if (usesDefaultReporter && Object.keys(experiments).length > 0) {
 		console.log(chalk.magenta(`  ${figures.warning} Experiments are enabled. These are unsupported and may change or be removed at any time.`));
 	}
 
@@ -402,7 +768,16 @@ export default async function loadCli() { // eslint-disable-line complexity
 	}
 
 	let parallelRuns = null;
-	if (isCi && combined.utilizeParallelBuilds !== false) {
+	if (Object.hasOwn(combined, 'shard')) {
+		const [, index, total] = /^(\d+)\/(\d+)$/.exec(combined.shard) ?? [];
+		const currentIndex = Number(index) - 1;
+		const totalRuns = Number(total);
+		if (!(currentIndex >= 0 && currentIndex < totalRuns)) {
+			exit('The --shard flag or ’shard’ configuration must be formatted as <index>/<total>, with the index between 1 and the total, e.g. 2/5.');
+		}
+
+		parallelRuns = {currentIndex, totalRuns};
+	} else if (isCi && combined.utilizeParallelBuilds !== false) {
 		const {default: ciParallelVars} = await import('ci-parallel-vars');
 		if (ciParallelVars) {
 			const {index: currentIndex, total: totalRuns} = ciParallelVars;
@@ -410,8 +785,30 @@ export default async function loadCli() { // eslint-disable-line complexity
 		}
 	}
 
+	const ciSnapshots = combined.ciSnapshots ?? 'default';
+	if (ciSnapshots !== 'default' && ciSnapshots !== 'strict') {
+		exit('The --ci-snapshots flag or ’ciSnapshots’ configuration must be either default or strict.');
+	}
+
+	if (combined.prune && !combined.updateSnapshots) {
+		exit('The --prune flag requires --update-snapshots. Use `ava snapshot prune` to remove obsolete snapshots without updating them.');
+	}
+
+	const snapshotSerializers = arrify(conf.snapshotSerializers);
+	if (!snapshotSerializers.every(ref => typeof ref === 'string' && ref.trim() !== '')) {
+		exit('The ’snapshotSerializers’ configuration must only contain module paths or package names.');
+	}
+
 	const match = combined.match === '' ? [] : arrify(combined.match);
 
+	const tags = arrify(combined.tags);
+	const excludeTags = arrify(combined.excludeTags);
+	for (const [flag, key, value] of [['tag', 'tags', tags], ['exclude-tag', 'excludeTags', excludeTags]]) {
+		if (!value.every(tag => typeof tag === 'string' && tag.trim() !== '')) {
+			exit(`The --${flag} flag or ’${key}’ configuration must only contain tag names.`);
+		}
+	}
+
 	const input = debug ? debug.files : (argv.pattern ?? []);
 	const filter = input
 		.map(pattern => splitPatternAndLineNumbers(pattern))
@@ -424,48 +821,68 @@ export default async function loadCli() { // eslint-disable-line complexity
 		cacheEnabled: combined.cache !== false,
 		chalkOptions,
 		concurrency: combined.concurrency ?? 0,
+		coverage,
 		workerThreads: combined.workerThreads !== false,
 		debug,
+		detectOpenHandles: combined.detectOpenHandles === true,
 		environmentVariables,
+		excludeTags,
 		experiments,
 		extensions,
 		failFast: combined.failFast,
+		failOnObsoleteSnapshots: ciSnapshots === 'strict',
 		failWithoutAssertions: combined.failWithoutAssertions !== false,
+		globalSetup: conf.globalSetup ? path.resolve(projectDir, conf.globalSetup) : undefined,
+		globalTeardown: conf.globalTeardown ? path.resolve(projectDir, conf.globalTeardown) : undefined,
 		globs,
+		isolate: conf.isolate !== false,
+		isolatedFiles: normalizePatterns(conf.isolatedFiles ?? []),
 		match,
 		moduleTypes,
 		nodeArguments,
+		onlyFailed: argv['only-failed'] === true,
 		parallelRuns,
+		pruneSnapshots: snapshotCommand?.name === 'prune' || combined.prune === true,
 		sortTestFiles: conf.sortTestFiles,
 		projectDir,
 		providers,
+		randomSeed,
 		ranFromCli: true,
+		repeat: combined.repeat,
 		require: arrify(combined.require),
+		retries: combined.retries ?? 0,
+		runTests: snapshotCommand?.name !== 'prune',
 		serial: combined.serial,
 		snapshotDir: combined.snapshotDir ? path.resolve(projectDir, combined.snapshotDir) : null,
+		snapshotSerializers,
+		tags,
 		timeout: combined.timeout ?? '10s',
+		timingsFile: conf.timingsFile ? path.resolve(projectDir, conf.timingsFile) : undefined,
+		untilFailure: combined.untilFailure === true,
 		updateSnapshots: combined.updateSnapshots,
 		workerArgv: argv['--'],
 	});
 
-	let reporter;
-	if (combined.tap && !argv.watch && debug === null) {
-		const {default: TapReporter} = await import('./reporters/tap.js');
-		reporter = new TapReporter({
-			extensions: globs.extensions,
-			projectDir,
-			reportStream: process.stdout,
-			stdStream: process.stderr,
-		});
+	let defaultReporter;
+	let reporters;
+	if (snapshotCommand?.name === 'prune') {
+		const {PruneReporter} = await import('./snapshot-command.js');
+		reporters = [new PruneReporter({projectDir, reportStream: process.stdout})];
 	} else {
-		const {default: Reporter} = await import('./reporters/default.js');
-		reporter = new Reporter({
-			extensions: globs.extensions,
-			projectDir,
-			reportStream: process.stdout,
-			stdStream: process.stderr,
-			watching: argv.watch,
-		});
+		try {
+			({defaultReporter, reporters} = await loadReporters(reporterEntries, {
+				extensions: globs.extensions,
+				projectDir,
+				slowThreshold: combined.slow,
+				watching: argv.watch,
+			}));
+		} catch (error) {
+			if (error.cause) {
+				exit(`${error.message}\n\n${chalk.gray(error.cause?.stack ?? error.cause)}`);
+			} else {
+				exit(error.message);
+			}
+		}
 	}
 
 	if (process.env.TEST_AVA) {
@@ -485,10 +902,13 @@ export default async function loadCli() { // eslint-disable-line complexity
 		});
 	}
 
+	let interrupted = false;
 	api.on('run', plan => {
-		reporter.startRun(plan);
+		for (const reporter of reporters) {
+			reporter.startRun(plan);
+		}
 
-		plan.status.on('stateChange', evt => {
+		plan.status.on('stateChange', async evt => {
 			if (evt.type === 'end' || evt.type === 'interrupt') {
 				// Write out code coverage data when the run ends, lest a process
 				// interrupt causes it to be lost.
@@ -496,7 +916,15 @@ export default async function loadCli() { // eslint-disable-line complexity
 			}
 
 			if (evt.type === 'interrupt') {
-				reporter.endRun();
+				interrupted = true;
+
+				// Let the global teardown clean up before exiting.
+				await api.teardown();
+
+				for (const reporter of reporters) {
+					reporter.endRun();
+				}
+
 				process.exit(1); // eslint-disable-line unicorn/no-process-exit
 			}
 		});
@@ -528,7 +956,8 @@ export default async function loadCli() { // eslint-disable-line complexity
 			globs,
 			projectDir,
 			providers,
-			reporter,
+			reporter: defaultReporter,
+			reporters,
 			stdin: process.stdin,
 			signal: abortController?.signal,
 		});
@@ -541,13 +970,19 @@ export default async function loadCli() { // eslint-disable-line complexity
 		});
 
 		const runStatus = await api.run({filter});
+		if (interrupted) {
+			// The process exits once the global teardown has run.
+			return;
+		}
 
 		if (debugWithoutSpecificFile && !debug.active) {
 			exit('Provide the path to the test file you wish to debug');
 			return;
 		}
 
-		process.exitCode = runStatus.suggestExitCode({matching: match.length > 0});
-		reporter.endRun();
+		process.exitCode = runStatus.suggestExitCode({matching: match.length > 0 || tags.length > 0 || excludeTags.length > 0});
+		for (const reporter of reporters) {
+			reporter.endRun();
+		}
 	}
 }
@@ -0,0 +1,62 @@
+import FakeTimers from '@sinonjs/fake-timers';
+
+import nowAndTimers from './now-and-timers.cjs';
+
+// Fake timers replace the globals, so only one test can install them at a time.
+let installedClock = null;
+
+function validateConfig({loopLimit, now, toFake}) {
+	if (now !== undefined && !(typeof now === 'number' && Number.isFinite(now)) && !(now instanceof Date)) {
+		throw new TypeError('The `now` option must be a number or a Date');
+	}
+
+	if (toFake !== undefined && !(Array.isArray(toFake) && toFake.every(name => Object.hasOwn(FakeTimers.timers, name)))) {
+		throw new TypeError(`The \`toFake\` option must be an array containing any of ${Object.keys(FakeTimers.timers).join(', ')}`);
+	}
+
+	if (loopLimit !== undefined && !(Number.isInteger(loopLimit) && loopLimit > 0)) {
+		throw new TypeError('The `loopLimit` option must be a positive integer');
+	}
+}
+
+export default function installClock(config = {}) {
+	if (installedClock !== null) {
+		throw new Error('Fake timers are already installed. Only one test at a time can use `t.clock`, so use `test.serial()` for these tests');
+	}
+
+	validateConfig(config);
+
+	const {loopLimit, now = nowAndTimers.now(), toFake} = config;
+	const fake = FakeTimers.withGlobal(globalThis).install({
+		loopLimit,
+		now,
+		shouldClearNativeTimers: true,
+		toFake,
+	});
+
+	const clock = Object.freeze({
+		get now() {
+			return fake.now;
+		},
+		next: () => fake.next(),
+		nextAsync: () => fake.nextAsync(),
+		runAll: () => fake.runAll(),
+		runAllAsync: () => fake.runAllAsync(),
+		runToLast: () => fake.runToLast(),
+		runToLastAsync: () => fake.runToLastAsync(),
+		setSystemTime(now) {
+			fake.setSystemTime(now);
+		},
+		tick: ms => fake.tick(ms),
+		tickAsync: ms => fake.tickAsync(ms),
+		uninstall() {
+			if (installedClock === clock) {
+				fake.uninstall();
+				installedClock = null;
+			}
+		},
+	});
+
+	installedClock = clock;
+	return clock;
+}
@@ -0,0 +1,194 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import {isPlainObject} from 'is-plain-object';
+import libCoverage from 'istanbul-lib-coverage';
+import libReport from 'istanbul-lib-report';
+import reports from 'istanbul-reports';
+import picomatch from 'picomatch';
+import v8ToIstanbul from 'v8-to-istanbul';
+
+import slash from './slash.cjs';
+
+export const METRICS = ['statements', 'branches', 'functions', 'lines'];
+
+const DEFAULT_REPORTERS = ['text-summary', 'lcov', 'json'];
+
+// These reports are included in AVA's own output, rather than being written to
+// the reports directory.
+const TEXT_REPORTERS = new Set(['text', 'text-summary']);
+
+const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item !== '');
+
+function resolveReportsDirectory(reportsDirectory, projectDir) {
+	if (typeof reportsDirectory !== 'string' || reportsDirectory === '') {
+		throw new Error('’coverage.reportsDirectory’ must be a directory path.');
+	}
+
+	// The directory is removed before the reports are written, so it must not
+	// contain the project.
+	const resolved = path.resolve(projectDir, reportsDirectory);
+	const relativeProjectDir = path.relative(resolved, projectDir);
+	if (relativeProjectDir === '' || !(relativeProjectDir.startsWith('..') || path.isAbsolute(relativeProjectDir))) {
+		throw new Error('’coverage.reportsDirectory’ must not contain the project directory.');
+	}
+
+	return resolved;
+}
+
+export function normalizeCoverageOptions(coverage, projectDir) {
+	if (coverage === undefined || coverage === false) {
+		return null;
+	}
+
+	if (coverage !== true && !isPlainObject(coverage)) {
+		throw new Error('’coverage’ must be a boolean or an object.');
+	}
+
+	const {
+		exclude = [],
+		include = [],
+		reporter = DEFAULT_REPORTERS,
+		reportsDirectory = 'coverage',
+		thresholds = {},
+		...unknown
+	} = coverage === true ? {} : coverage;
+
+	const [unknownOption] = Object.keys(unknown);
+	if (unknownOption !== undefined) {
+		throw new Error(`’coverage.${unknownOption}’ is not a supported option.`);
+	}
+
+	for (const [name, patterns] of Object.entries({exclude, include})) {
+		if (!isStringArray(patterns)) {
+			throw new Error(`’coverage.${name}’ must be an array of glob patterns.`);
+		}
+	}
+
+	if (!isStringArray(reporter) || reporter.length === 0) {
+		throw new Error('’coverage.reporter’ must be an array of report names.');
+	}
+
+	if (!isPlainObject(thresholds)) {
+		throw new Error('’coverage.thresholds’ must be an object.');
+	}
+
+	for (const [metric, threshold] of Object.entries(thresholds)) {
+		if (!METRICS.includes(metric)) {
+			throw new Error(`’coverage.thresholds.${metric}’ is not a supported metric, use one of ${METRICS.join(', ')}.`);
+		}
+
+		if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 100)) {
+			throw new Error(`’coverage.thresholds.${metric}’ must be a percentage between 0 and 100.`);
+		}
+	}
+
+	return {
+		exclude,
+		include,
+		reporter,
+		reportsDirectory: resolveReportsDirectory(reportsDirectory, projectDir),
+		thresholds,
+	};
+}
+
+function createFileFilter({exclude, include, isTestFile, projectDir}) {
+	const isIncluded = include.length === 0 ? () => true : picomatch(include, {dot: true});
+	const isExcluded = exclude.length === 0 ? () => false : picomatch(exclude, {dot: true});
+
+	return file => {
+		const relative = slash(path.relative(projectDir, file));
+		if (relative.startsWith('../') || path.isAbsolute(relative) || relative.split('/').includes('node_modules')) {
+			return false;
+		}
+
+		return !isTestFile(file) && isIncluded(relative) && !isExcluded(relative);
+	};
+}
+
+// Merge the V8 coverage written by the workers into an Istanbul coverage map,
+// applying source maps along the way.
+async function createCoverageMap(directory, filter) {
+	const coverageMap = libCoverage.createCoverageMap({});
+	for (const name of fs.readdirSync(directory)) {
+		if (!name.endsWith('.json')) {
+			continue;
+		}
+
+		const {result} = JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'));
+		for (const {url, functions} of result) {
+			if (!url.startsWith('file:')) {
+				continue;
+			}
+
+			const file = fileURLToPath(url);
+			if (!filter(file)) {
+				continue;
+			}
+
+			const converter = v8ToIstanbul(file, 0, undefined, source => !filter(source));
+			try {
+				await converter.load(); // eslint-disable-line no-await-in-loop
+			} catch {
+				// The file may have been removed while the tests were running.
+				continue;
+			}
+
+			converter.applyCoverage(functions);
+			coverageMap.merge(converter.toIstanbul());
+		}
+	}
+
+	return coverageMap;
+}
+
+function writeReports(coverageMap, {reporter, reportsDirectory}, temporaryDirectory) {
+	const context = libReport.createContext({dir: reportsDirectory, coverageMap});
+	const textContext = libReport.createContext({dir: temporaryDirectory, coverageMap});
+
+	let text = '';
+	for (const name of reporter) {
+		if (TEXT_REPORTERS.has(name)) {
+			const file = `${name}.txt`;
+			reports.create(name, {file, maxCols: 100, skipEmpty: false}).execute(textContext);
+			text += fs.readFileSync(path.join(temporaryDirectory, file), 'utf8');
+		} else {
+			reports.create(name).execute(context);
+		}
+	}
+
+	return text.trim();
+}
+
+// Creates the coverage reports from the V8 coverage in `directory`, and
+// returns the event that is emitted with the results.
+export async function reportCoverage(directory, {isTestFile, options, projectDir}) {
+	const {exclude, include, thresholds} = options;
+	const coverageMap = await createCoverageMap(directory, createFileFilter({
+		exclude,
+		include,
+		isTestFile,
+		projectDir,
+	}));
+
+	const totals = coverageMap.getCoverageSummary();
+	const summary = Object.fromEntries(METRICS.map(metric => [metric, totals[metric]]));
+	// Istanbul reports the percentage as 'Unknown' if there was nothing to cover,
+	// which does not meet any threshold.
+	const failedThresholds = METRICS
+		.map(metric => ({metric, threshold: thresholds[metric], actual: typeof summary[metric].pct === 'number' ? summary[metric].pct : null}))
+		.filter(({threshold, actual}) => threshold !== undefined && (actual === null || actual < threshold));
+
+	// Remove reports from previous runs, which may be for files that are no
+	// longer covered.
+	fs.rmSync(options.reportsDirectory, {force: true, recursive: true});
+
+	return {
+		type: 'coverage',
+		failedThresholds,
+		report: writeReports(coverageMap, options, directory),
+		reportsDirectory: options.reportsDirectory,
+		summary,
+	};
+}
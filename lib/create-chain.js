@@ -1,3 +1,5 @@
+import {extendFixtures} from './fixtures.js';
+
 const chainRegistry = new WeakMap();
 
 function startChain(name, call, defaults) {
@@ -54,14 +56,23 @@ function createHookChain(hook, isAfterHook) {
 	return hook;
 }
 
-export default function createChain(fn, defaults, meta) {
+function createGroupChain(group) {
+	// Group chaining rules:
+	// * `only` and `skip` must come at the end
+	// * `only` and `skip` cannot be chained together
+	extendChain(group, 'only', 'exclusive');
+	extendChain(group, 'skip', 'skipped');
+	return group;
+}
+
+function createTestChain(name, fn, defaults) {
 	// Test chaining rules:
 	// * `serial` must come at the start
 	// * `only` and `skip` must come at the end
 	// * `failing` must come at the end, but can be followed by `only` and `skip`
 	// * `only` and `skip` cannot be chained together
 	// * no repeating
-	const root = startChain('test', fn, {...defaults, type: 'test'});
+	const root = startChain(name, fn, {...defaults, type: 'test'});
 	extendChain(root, 'failing');
 	extendChain(root, 'only', 'exclusive');
 	extendChain(root, 'serial');
@@ -73,6 +84,69 @@ export default function createChain(fn, defaults, meta) {
 	extendChain(root.serial, 'skip', 'skipped');
 	extendChain(root.serial.failing, 'only', 'exclusive');
 	extendChain(root.serial.failing, 'skip', 'skipped');
+	return root;
+}
+
+export default function createChain(fn, defaults, meta) {
+	const root = createTestChain('test', fn, defaults);
+
+	// `each()`, `lock()`, `retry()` and `tag()` return a test chain whose tests are
+	// modified accordingly. They can be combined in any order, but `each()` must
+	// come last. No hooks or todo tests.
+	const addModifiers = (chain, name, defaults) => {
+		chain.each = table => {
+			if (!Array.isArray(table)) {
+				throw new TypeError('`test.each()` must be called with an array of rows');
+			}
+
+			return createTestChain(`${name}.each`, fn, {...defaults, each: table});
+		};
+
+		chain.lock = (...names) => {
+			if (names.length === 0 || !names.every(name => typeof name === 'string' && name.trim() !== '')) {
+				throw new TypeError('`test.lock()` must be called with one or more lock names');
+			}
+
+			names = [...new Set(names)];
+			return createModifierChain(`${name}.lock(${names.join(', ')})`, {...defaults, locks: [...new Set([...defaults.locks, ...names])]});
+		};
+
+		const retryChains = new Map();
+		chain.retry = retries => {
+			if (!Number.isInteger(retries) || retries < 0) {
+				throw new TypeError('`test.retry()` must be called with a non-negative integer');
+			}
+
+			if (defaults.retries !== undefined) {
+				throw new TypeError('`test.retry()` cannot be repeated');
+			}
+
+			if (!retryChains.has(retries)) {
+				retryChains.set(retries, createModifierChain(`${name}.retry(${retries})`, {...defaults, retries}));
+			}
+
+			return retryChains.get(retries);
+		};
+
+		chain.tag = (...tags) => {
+			if (tags.length === 0 || !tags.every(tag => typeof tag === 'string' && tag.trim() !== '')) {
+				throw new TypeError('`test.tag()` must be called with one or more tag names');
+			}
+
+			tags = [...new Set(tags)];
+			return createModifierChain(`${name}.tag(${tags.join(', ')})`, {...defaults, tags: [...new Set([...defaults.tags, ...tags])]});
+		};
+
+		return chain;
+	};
+
+	const createModifierChain = (name, defaults) => addModifiers(createTestChain(name, fn, defaults), name, defaults);
+
+	addModifiers(root, 'test', defaults);
+
+	// `extend()` returns a new `test()` function, whose tests can destructure the
+	// given fixtures from their execution context.
+	root.extend = definitions => createChain(fn, {...defaults, fixtures: extendFixtures(defaults.fixtures, definitions)}, meta);
 
 	root.after = createHookChain(startChain('test.after', fn, {...defaults, type: 'after'}), true);
 	root.afterEach = createHookChain(startChain('test.afterEach', fn, {...defaults, type: 'afterEach'}), true);
@@ -84,6 +158,9 @@ export default function createChain(fn, defaults, meta) {
 	root.serial.before = createHookChain(startChain('test.before', fn, {...defaults, serial: true, type: 'before'}), false);
 	root.serial.beforeEach = createHookChain(startChain('test.beforeEach', fn, {...defaults, serial: true, type: 'beforeEach'}), false);
 
+	root.group = createGroupChain(startChain('test.group', fn, {...defaults, type: 'group'}));
+	root.serial.group = createGroupChain(startChain('test.serial.group', fn, {...defaults, serial: true, type: 'group'}));
+
 	// "todo" tests cannot be chained. Allow todo tests to be flagged as needing
 	// to be serial.
 	root.todo = startChain('test.todo', fn, {...defaults, type: 'test', todo: true});
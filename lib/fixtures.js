@@ -0,0 +1,234 @@
+import {createRequire} from 'node:module';
+
+import {isPlainObject} from 'is-plain-object';
+
+const require = createRequire(import.meta.url);
+
+// Function sources are either expressions, like function declarations and
+// arrow functions, or methods, which only parse inside a class body.
+const WRAPPERS = [
+	source => `(${source})`,
+	source => `(class { ${source} })`,
+];
+
+// Returns the first parameter of the function, or `undefined` if the function
+// has no parameters. Returns `null` if the source cannot be parsed, for
+// instance for native or bound functions.
+function parseFirstParameter(source) {
+	// Avoid loading acorn until tests destructure fixtures.
+	const acorn = require('acorn');
+
+	for (const wrap of WRAPPERS) {
+		let ast;
+		try {
+			ast = acorn.parse(wrap(source), {ecmaVersion: 'latest'});
+		} catch {
+			continue;
+		}
+
+		const {expression} = ast.body[0];
+		const fn = expression.type === 'ClassExpression' ? expression.body.body[0]?.value : expression;
+		if (fn?.params !== undefined) {
+			return fn.params[0];
+		}
+	}
+
+	return null;
+}
+
+// Fixtures are selected by destructuring them from the first parameter of the
+// function, so read the property names from its source. A rest element selects
+// all fixtures.
+export function destructuredNames(fn, description = 'the function') {
+	const fail = reason => {
+		throw new Error(`Cannot determine which fixtures are destructured by ${description}: ${reason}`);
+	};
+
+	let parameter = parseFirstParameter(Function.prototype.toString.call(fn));
+	if (parameter === null) {
+		fail('its source cannot be parsed');
+	}
+
+	if (parameter?.type === 'AssignmentPattern') {
+		parameter = parameter.left;
+	}
+
+	if (parameter === undefined || parameter.type === 'Identifier' || (parameter.type === 'RestElement' && parameter.argument.type === 'Identifier')) {
+		return {names: [], rest: false};
+	}
+
+	if (parameter.type !== 'ObjectPattern') {
+		fail('its first parameter must be an identifier or an object pattern');
+	}
+
+	const names = [];
+	let rest = false;
+	for (const property of parameter.properties) {
+		if (property.type === 'RestElement') {
+			rest = true;
+		} else if (property.computed) {
+			fail('property names must not be computed');
+		} else {
+			names.push(property.key.type === 'Identifier' ? property.key.name : String(property.key.value));
+		}
+	}
+
+	return {names, rest};
+}
+
+function normalizeDefinition(name, definition) {
+	const [fn, options = {}] = Array.isArray(definition) ? definition : [definition];
+	if (typeof fn !== 'function') {
+		throw new TypeError(`The ’${name}’ fixture must be a function, or an array with a function and options`);
+	}
+
+	const {scope = 'test'} = options;
+	if (scope !== 'test' && scope !== 'file') {
+		throw new TypeError(`The scope of the ’${name}’ fixture must be ’test’ or ’file’`);
+	}
+
+	return {
+		name,
+		fn,
+		scope,
+		dependencies: destructuredNames(fn, `the ’${name}’ fixture`).names,
+	};
+}
+
+// Returns the fixtures with the definitions added, replacing those with the
+// same name. Fixtures that depend on a replaced fixture are copied, so that
+// file-scoped instances aren't shared with the fixtures that are being
+// extended.
+export function extendFixtures(fixtures, definitions) {
+	if (!isPlainObject(definitions)) {
+		throw new TypeError('`test.extend()` must be called with an object of fixtures');
+	}
+
+	const extended = new Map(fixtures);
+	const replaced = new Set();
+	for (const [name, definition] of Object.entries(definitions)) {
+		extended.set(name, normalizeDefinition(name, definition));
+		replaced.add(name);
+	}
+
+	const visited = new Set();
+	const visit = (fixture, path) => {
+		if (path.includes(fixture.name)) {
+			throw new Error(`Fixtures cannot depend on themselves: ${[...path, fixture.name].map(name => `’${name}’`).join(' → ')}`);
+		}
+
+		if (visited.has(fixture.name)) {
+			return;
+		}
+
+		for (const name of fixture.dependencies) {
+			const dependency = extended.get(name);
+			if (dependency === undefined) {
+				throw new Error(`The ’${fixture.name}’ fixture depends on ’${name}’, which is not a fixture`);
+			}
+
+			if (fixture.scope === 'file' && dependency.scope === 'test') {
+				throw new Error(`The file-scoped ’${fixture.name}’ fixture cannot depend on the test-scoped ’${name}’ fixture`);
+			}
+
+			visit(dependency, [...path, fixture.name]);
+		}
+
+		visited.add(fixture.name);
+		if (!replaced.has(fixture.name) && fixture.dependencies.some(name => replaced.has(name))) {
+			extended.set(fixture.name, {...fixture});
+			replaced.add(fixture.name);
+		}
+	};
+
+	for (const fixture of extended.values()) {
+		visit(fixture, []);
+	}
+
+	return extended;
+}
+
+// Calls the fixture function, and resolves with the value it passes to `use()`,
+// and a function that tears it down. The fixture function resumes when the
+// value is no longer used.
+function instantiate(fixture, dependencies) {
+	return new Promise((resolve, reject) => {
+		let release;
+		const released = new Promise(resolve => {
+			release = resolve;
+		});
+
+		let used = false;
+		const use = value => {
+			if (used) {
+				throw new Error(`The ’${fixture.name}’ fixture must call \`use()\` only once`);
+			}
+
+			used = true;
+			resolve({
+				value,
+				async teardown() {
+					release();
+					await finished;
+				},
+			});
+			return released;
+		};
+
+		const finished = (async () => {
+			await fixture.fn(dependencies, use);
+			if (!used) {
+				throw new Error(`The ’${fixture.name}’ fixture must call \`use()\``);
+			}
+		})();
+
+		// Errors after `use()` is called surface when the fixture is torn down.
+		finished.catch(error => { // eslint-disable-line promise/prefer-await-to-then
+			if (!used) {
+				reject(error);
+			}
+		});
+	});
+}
+
+// Tracks the fixture instances that are shared within a scope, and registers
+// their teardowns.
+export class FixtureScope {
+	constructor(addTeardown) {
+		this.addTeardown = addTeardown;
+		this.instances = new Map();
+	}
+
+	get(fixture, resolveDependency) {
+		if (!this.instances.has(fixture)) {
+			this.instances.set(fixture, (async () => {
+				const dependencies = {};
+				for (const name of fixture.dependencies) {
+					dependencies[name] = await resolveDependency(name); // eslint-disable-line no-await-in-loop
+				}
+
+				const {value, teardown} = await instantiate(fixture, dependencies);
+				this.addTeardown(teardown);
+				return value;
+			})());
+		}
+
+		return this.instances.get(fixture);
+	}
+}
+
+// Sets up the named fixtures, and the fixtures they depend on, one after the
+// other. Resolves with an object containing the values of the named fixtures.
+export async function setUpFixtures(names, fixtures, {fileScope, testScope}) {
+	const resolve = name => {
+		const fixture = fixtures.get(name);
+		return (fixture.scope === 'file' ? fileScope : testScope).get(fixture, resolve);
+	};
+
+	const values = {};
+	for (const name of names) {
+		values[name] = await resolve(name); // eslint-disable-line no-await-in-loop
+	}
+
+	return values;
+}
@@ -42,10 +42,15 @@ const createWorker = (options, execArgv) => {
 			}
 		};
 	} else {
+		const env = {NODE_ENV: 'test', ...process.env, ...options.environmentVariables};
+		if (options.coverageDirectory) {
+			env.NODE_V8_COVERAGE = options.coverageDirectory;
+		}
+
 		worker = childProcess.fork(fileURLToPath(workerPath), options.workerArgv, {
 			cwd: options.projectDir,
 			silent: true,
-			env: {NODE_ENV: 'test', ...process.env, ...options.environmentVariables},
+			env,
 			execArgv: [...execArgv, ...additionalExecArgv],
 			serialization: 'advanced',
 		});
@@ -60,15 +65,10 @@ const createWorker = (options, execArgv) => {
 	};
 };
 
-export default function loadFork(file, options, execArgv = process.execArgv) {
-	let finished = false;
-
+// Starts a worker for the test file. Pooled workers go on to run other test
+// files, one after the other.
+function startWorker(file, options, execArgv) {
 	const emitter = new Emittery();
-	const emitStateChange = evt => {
-		if (!finished) {
-			emitter.emit('stateChange', Object.assign(evt, {testFile: file}));
-		}
-	};
 
 	options = {
 		baseDir: process.cwd(),
@@ -77,6 +77,19 @@ export default function loadFork(file, options, execArgv = process.execArgv) {
 	};
 
 	const {worker, postMessage, close} = createWorker(options, execArgv);
+
+	// The test file that is currently running. Its state changes are emitted
+	// until it finishes.
+	let current = null;
+	const emitStateChange = evt => {
+		current?.emitStateChange(evt);
+	};
+
+	const finish = () => {
+		current?.finish();
+		current = null;
+	};
+
 	worker.stdout.on('data', chunk => {
 		emitStateChange({type: 'worker-stdout', chunk});
 	});
@@ -85,19 +98,15 @@ export default function loadFork(file, options, execArgv = process.execArgv) {
 		emitStateChange({type: 'worker-stderr', chunk});
 	});
 
+	let exited = false;
 	let forcedExit = false;
 	const send = evt => {
-		if (!finished && !forcedExit) {
+		if (!exited && !forcedExit) {
 			postMessage({ava: evt});
 		}
 	};
 
-	const promise = new Promise(resolve => {
-		const finish = () => {
-			finished = true;
-			resolve();
-		};
-
+	const exitPromise = new Promise(resolve => {
 		worker.on('message', message => {
 			if (!message.ava) {
 				return;
@@ -122,6 +131,29 @@ export default function loadFork(file, options, execArgv = process.execArgv) {
 					break;
 				}
 
+				case 'lock-acquire': {
+					const {lockId, names} = message.ava;
+					emitter.emit('acquireLock', {
+						lockId,
+						names,
+						grant() {
+							send({type: 'lock-granted', lockId});
+						},
+					});
+					break;
+				}
+
+				case 'lock-release': {
+					emitter.emit('releaseLock', {lockId: message.ava.lockId});
+					break;
+				}
+
+				case 'file-finished': {
+					emitStateChange({type: 'worker-finished', forcedExit: false});
+					finish();
+					break;
+				}
+
 				default: {
 					emitStateChange(message.ava);
 				}
@@ -145,29 +177,109 @@ export default function loadFork(file, options, execArgv = process.execArgv) {
 			}
 
 			finish();
+			exited = true;
+			resolve();
 		});
 	});
 
+	const onAcquireLock = listener => emitter.on('acquireLock', listener);
+	const onReleaseLock = listener => emitter.on('releaseLock', listener);
+	const onConnectSharedWorker = listener => emitter.on('connectSharedWorker', listener);
+
+	// Errors that occur after the last test file has finished, while the worker
+	// is exiting, are reported for that file.
+	let emitForLastFile;
+
+	const runFile = file => {
+		let finished = false;
+		const fileEmitter = new Emittery();
+		const emit = evt => {
+			fileEmitter.emit('stateChange', Object.assign(evt, {testFile: file}));
+		};
+
+		emitForLastFile = emit;
+
+		const promise = new Promise(resolve => {
+			current = {
+				emitStateChange(evt) {
+					if (!finished) {
+						emit(evt);
+					}
+				},
+				finish() {
+					finished = true;
+					resolve();
+				},
+			};
+		});
+
+		return {
+			file,
+			threadId: worker.threadId,
+			promise,
+
+			exit() {
+				forcedExit = true;
+				close();
+			},
+
+			notifyOfPeerFailure() {
+				send({type: 'peer-failed'});
+			},
+
+			onAcquireLock,
+			onReleaseLock,
+			onConnectSharedWorker,
+
+			onStateChange(listener) {
+				return fileEmitter.on('stateChange', listener);
+			},
+		};
+	};
+
 	return {
 		file,
 		threadId: worker.threadId,
-		promise,
-
-		exit() {
-			forcedExit = true;
-			close();
+		// Resolves once the worker has exited.
+		promise: exitPromise,
+		get exited() {
+			return exited;
 		},
 
-		notifyOfPeerFailure() {
-			send({type: 'peer-failed'});
-		},
+		first: runFile(file),
 
-		onConnectSharedWorker(listener) {
-			return emitter.on('connectSharedWorker', listener);
+		next(file, fileOptions) {
+			send({type: 'next-file', options: {...options, file, ...fileOptions}});
+			return runFile(file);
 		},
 
-		onStateChange(listener) {
-			return emitter.on('stateChange', listener);
+		// Lets the worker exit once it has finished its current test file.
+		close() {
+			send({type: 'next-file', options: null});
+			current = {
+				emitStateChange(evt) {
+					// The test file has already finished successfully.
+					if (evt.type !== 'worker-finished') {
+						emitForLastFile(evt);
+					}
+				},
+				finish() {},
+			};
 		},
+
+		onAcquireLock,
+		onReleaseLock,
+		onConnectSharedWorker,
 	};
 }
+
+export default function loadFork(file, options, execArgv = process.execArgv) {
+	return startWorker(file, options, execArgv).first;
+}
+
+// Pooled workers run a test file, and then wait for the next one. Use `next()`
+// to run another file once the previous one has finished, and `close()` when
+// there are no more files to run.
+export function loadPooledFork(file, options, execArgv = process.execArgv) {
+	return startWorker(file, {...options, isolate: false}, execArgv);
+}
@@ -0,0 +1,31 @@
+import {pathToFileURL} from 'node:url';
+
+async function loadHook(name, file) {
+	const {default: hook} = await import(pathToFileURL(file));
+	if (typeof hook !== 'function') {
+		throw new TypeError(`The ’${name}’ module must export a function as its default export`);
+	}
+
+	return hook;
+}
+
+// Runs the global setup before any of the workers start, and returns its
+// result.
+export async function runGlobalSetup(file, {projectDir}) {
+	const setup = await loadHook('globalSetup', file);
+	const result = await setup({projectDir});
+
+	// The result is passed to the workers, so it must survive being cloned.
+	try {
+		return structuredClone(result);
+	} catch (error) {
+		throw new TypeError('The value returned by the ’globalSetup’ module must be serializable', {cause: error});
+	}
+}
+
+// Runs the global teardown after all workers have exited, with the result of
+// the global setup.
+export async function runGlobalTeardown(file, {globalSetup, projectDir}) {
+	const teardown = await loadHook('globalTeardown', file);
+	await teardown({globalSetup, projectDir});
+}
@@ -0,0 +1,333 @@
+import fs from 'node:fs';
+import {createRequire, findSourceMap} from 'node:module';
+import {fileURLToPath} from 'node:url';
+
+import callsites from 'callsites';
+import concordance from 'concordance';
+import writeFileAtomic from 'write-file-atomic';
+
+import {snapshotManager as concordanceOptions} from './concordance-options.js';
+
+const require = createRequire(import.meta.url);
+
+const avaDirectory = fileURLToPath(new URL('.', import.meta.url));
+
+const toPath = file => file.startsWith('file://') ? fileURLToPath(file) : file;
+
+export class InlineSnapshotError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'InlineSnapshotError';
+	}
+}
+
+// Embedded snapshots are indented to match the code around them. Removes that
+// indentation, and the line breaks that surround the snapshot.
+export function normalizeEmbedded(embedded) {
+	if (!embedded.startsWith('\n')) {
+		return embedded;
+	}
+
+	const lines = embedded.slice(1).replace(/\n[ \t]*$/, '').split('\n');
+	const indentation = Math.min(...lines
+		.filter(line => line.trim() !== '')
+		.map(line => /^[ \t]*/.exec(line)[0].length));
+	return lines.map(line => line.slice(indentation)).join('\n');
+}
+
+// Formats the snapshot as a template literal, indented relative to the line the
+// assertion is on.
+export function formatTemplateLiteral(formatted, lineIndentation) {
+	const escaped = formatted
+		.replaceAll('\\', '\\\\')
+		.replaceAll('`', '\\`')
+		.replaceAll('${', '\\${');
+	if (!escaped.includes('\n')) {
+		return `\`${escaped}\``;
+	}
+
+	const indentation = lineIndentation + (lineIndentation.startsWith(' ') ? '  ' : '\t');
+	const lines = escaped.split('\n').map(line => line === '' ? line : indentation + line);
+	return `\`\n${lines.join('\n')}\n${lineIndentation}\``;
+}
+
+function parseInlineAssertions(source) {
+	// Avoid loading these until we actually need to record inline snapshots.
+	const acorn = require('acorn');
+	const walk = require('acorn-walk');
+
+	const ast = acorn.parse(source, {
+		allowHashBang: true,
+		allowReturnOutsideFunction: true,
+		ecmaVersion: 'latest',
+		locations: true,
+		sourceType: 'module',
+	});
+
+	const calls = [];
+	walk.simple(ast, {
+		CallExpression(node) {
+			const {callee} = node;
+			if (callee.type === 'MemberExpression' && !callee.computed && callee.property.name === 'inline' && node.arguments.length > 0) {
+				calls.push(node);
+			}
+		},
+	});
+
+	return calls;
+}
+
+const spans = (node, {line, column}) => {
+	const {start, end} = node.loc;
+	if (line < start.line || line > end.line) {
+		return false;
+	}
+
+	return (line !== start.line || column >= start.column) && (line !== end.line || column <= end.column);
+};
+
+// Finds where the assertion was called from, in the file that ran.
+function findCallSite() {
+	const callSite = callsites().find(callSite => {
+		const file = callSite.getFileName();
+		return file !== null && !file.startsWith('node:') && !toPath(file).startsWith(avaDirectory);
+	});
+	if (callSite === undefined) {
+		return null;
+	}
+
+	return {
+		file: toPath(callSite.getFileName()),
+		location: {
+			line: callSite.getLineNumber(), // 1-based
+			column: callSite.getColumnNumber() - 1, // Comes out as 1-based, Acorn wants 0-based
+		},
+	};
+}
+
+const toOffset = (source, {line, column}) => {
+	let offset = 0;
+	for (let current = 1; current < line; current++) {
+		offset = source.indexOf('\n', offset) + 1;
+	}
+
+	return offset + column;
+};
+
+// Finds the end of the argument that starts at `start`. Brackets are tracked so
+// commas and parentheses within the argument are skipped. If `last` is true,
+// commas are skipped as well, since the original source may contain commas that
+// did not make it into the file that ran, for instance in TypeScript generics.
+function findArgumentEnd(source, start, {last}) {
+	const acorn = require('acorn');
+
+	let depth = 0;
+	let end = start;
+	for (const token of acorn.tokenizer(source.slice(start), {ecmaVersion: 'latest'})) {
+		const {label} = token.type;
+		if (depth === 0 && (label === ')' || (label === ',' && !last))) {
+			return end;
+		}
+
+		if (label === '(' || label === '[' || label === '{' || label === '${') {
+			depth++;
+		} else if (label === ')' || label === ']' || label === '}') {
+			depth--;
+		}
+
+		if (depth > 0 || label !== ',') {
+			end = start + token.end;
+		}
+	}
+
+	throw new Error('Unterminated call');
+}
+
+export class InlineSnapshots {
+	constructor({recordNewSnapshots, updating}) {
+		this.recordNewSnapshots = recordNewSnapshots;
+		this.updating = updating;
+		this.sources = new Map();
+		this.executedFiles = new Map();
+		this.edits = new Map();
+	}
+
+	compare({embedded, expected}) {
+		const formatted = concordance.format(expected, concordanceOptions);
+
+		if (embedded !== undefined && !this.updating) {
+			const normalized = normalizeEmbedded(embedded);
+			if (normalized === formatted) {
+				return {pass: true};
+			}
+
+			return {
+				pass: false,
+				actual: concordance.describe(normalized, concordanceOptions),
+				expected: concordance.describe(formatted, concordanceOptions),
+			};
+		}
+
+		if (embedded === undefined && !this.recordNewSnapshots && !this.updating) {
+			return {pass: false};
+		}
+
+		this.record(formatted, embedded);
+		return {pass: true};
+	}
+
+	loadSource(file) {
+		if (!this.sources.has(file)) {
+			try {
+				this.sources.set(file, fs.readFileSync(file, 'utf8'));
+			} catch {
+				throw new InlineSnapshotError(`Could not read ${file} to record the inline snapshot`);
+			}
+		}
+
+		return this.sources.get(file);
+	}
+
+	// Parses the file that ran. Its source map, if any, is used to find the
+	// assertions in the original source.
+	loadExecutedFile(file) {
+		if (!this.executedFiles.has(file)) {
+			let calls;
+			try {
+				calls = parseInlineAssertions(fs.readFileSync(file, 'utf8'));
+			} catch {
+				throw new InlineSnapshotError(`Could not parse ${file} to record the inline snapshot`);
+			}
+
+			this.executedFiles.set(file, {calls, sourceMap: findSourceMap(file) ?? null});
+		}
+
+		return this.executedFiles.get(file);
+	}
+
+	// Locates the arguments of the call in the original source.
+	locateArguments(file, call, sourceMap) {
+		const [value, existing] = call.arguments;
+		if (sourceMap === null) {
+			return {
+				file,
+				source: this.loadSource(file),
+				valueStart: value.start,
+				valueEnd: value.end,
+				existing: existing === undefined ? undefined : {start: existing.start, end: existing.end},
+			};
+		}
+
+		const translate = node => {
+			const entry = sourceMap.findEntry(node.loc.start.line - 1, node.loc.start.column); // Source maps are 0-based
+			if (entry.originalSource === undefined || entry.originalLine === undefined) {
+				throw new InlineSnapshotError(`Could not find the \`t.snapshot.inline()\` call in the original source of ${file}`);
+			}
+
+			return {file: toPath(entry.originalSource), line: entry.originalLine + 1, column: entry.originalColumn};
+		};
+
+		const original = translate(value);
+		const source = this.loadSource(original.file);
+		const valueStart = toOffset(source, original);
+		try {
+			if (existing === undefined) {
+				return {
+					file: original.file,
+					source,
+					valueStart,
+					valueEnd: findArgumentEnd(source, valueStart, {last: true}),
+				};
+			}
+
+			const existingStart = toOffset(source, translate(existing));
+			return {
+				file: original.file,
+				source,
+				valueStart,
+				existing: {start: existingStart, end: findArgumentEnd(source, existingStart, {last: false})},
+			};
+		} catch {
+			throw new InlineSnapshotError(`Could not parse ${original.file} to record the inline snapshot`);
+		}
+	}
+
+	record(formatted, embedded) {
+		const callSite = findCallSite();
+		if (callSite === null) {
+			throw new InlineSnapshotError('Could not find where `t.snapshot.inline()` was called');
+		}
+
+		const {calls, sourceMap} = this.loadExecutedFile(callSite.file);
+
+		// The assertion may be nested in other calls, so use the innermost call
+		// that spans the location.
+		const call = calls
+			.filter(node => spans(node, callSite.location))
+			.sort((a, b) => (a.end - a.start) - (b.end - b.start))
+			.at(0);
+		if (call === undefined) {
+			throw new InlineSnapshotError(`Could not find the \`t.snapshot.inline()\` call in ${callSite.file}`);
+		}
+
+		const {file, source, valueStart, valueEnd, existing} = this.locateArguments(callSite.file, call, sourceMap);
+
+		const edits = this.edits.get(file) ?? new Map();
+		this.edits.set(file, edits);
+
+		const previous = edits.get(valueStart);
+		if (previous !== undefined) {
+			if (previous.formatted !== formatted) {
+				throw new InlineSnapshotError('The same `t.snapshot.inline()` call cannot record different values');
+			}
+
+			return;
+		}
+
+		// Don't rewrite snapshots that are up to date.
+		if (embedded !== undefined && normalizeEmbedded(embedded) === formatted) {
+			edits.set(valueStart, {formatted});
+			return;
+		}
+
+		const lineStart = source.lastIndexOf('\n', valueStart) + 1;
+		const literal = formatTemplateLiteral(formatted, /^[ \t]*/.exec(source.slice(lineStart))[0]);
+		edits.set(valueStart, {
+			formatted,
+			start: existing === undefined ? valueEnd : existing.start,
+			end: existing === undefined ? valueEnd : existing.end,
+			text: existing === undefined ? `, ${literal}` : literal,
+		});
+	}
+
+	// Writes the recorded snapshots into the source files, and returns the files
+	// that were changed.
+	async save() {
+		const changedFiles = [];
+		const temporaryFiles = [];
+		const tmpfileCreated = file => temporaryFiles.push(file);
+
+		await Promise.all([...this.edits].map(async ([file, edits]) => {
+			const changes = [...edits.values()].filter(edit => edit.text !== undefined);
+			if (changes.length === 0) {
+				return;
+			}
+
+			let source = this.sources.get(file);
+			// Apply the changes from the end of the file, so the positions of the
+			// earlier changes remain valid.
+			for (const {start, end, text} of changes.sort((a, b) => b.start - a.start)) {
+				source = source.slice(0, start) + text + source.slice(end);
+			}
+
+			await writeFileAtomic(file, source, {tmpfileCreated});
+			changedFiles.push(file);
+		}));
+
+		if (changedFiles.length === 0) {
+			return null;
+		}
+
+		return {changedFiles, temporaryFiles};
+	}
+}
@@ -0,0 +1,175 @@
+import fs from 'node:fs';
+import {createRequire} from 'node:module';
+import path from 'node:path';
+import process from 'node:process';
+import stream from 'node:stream';
+import {pathToFileURL} from 'node:url';
+
+import {isPlainObject} from 'is-plain-object';
+
+// Maps the names of built-in reporters to how they're referred to in messages.
+export const BUILTIN_REPORTERS = new Map([
+	['default', 'default'],
+	['junit', 'JUnit'],
+	['ndjson', 'NDJSON'],
+	['tap', 'TAP'],
+]);
+
+// Write synchronously, so the report is complete even if the process exits
+// while it's being written.
+export function createFileStream(file) {
+	fs.mkdirSync(path.dirname(file), {recursive: true});
+	const fd = fs.openSync(file, 'w');
+	return new stream.Writable({
+		write(chunk, _, callback) {
+			fs.writeSync(fd, chunk);
+			callback();
+		},
+		final(callback) {
+			fs.closeSync(fd);
+			callback();
+		},
+	});
+}
+
+const isReporter = value => typeof value?.startRun === 'function' && typeof value.endRun === 'function';
+
+// Built-in reporters that write to a file get a new file, and a new reporter
+// instance, for each run. In watch mode the file then only contains the report
+// for the latest run.
+class FileReporter {
+	constructor(file, createReporter) {
+		this.file = file;
+		this.createReporter = createReporter;
+		this.reporter = null;
+		this.reportStream = null;
+	}
+
+	startRun(plan) {
+		this.reportStream = createFileStream(this.file);
+		this.reporter = this.createReporter(this.reportStream);
+		this.reporter.startRun(plan);
+	}
+
+	endRun() {
+		if (this.reporter !== null) {
+			this.reporter.endRun();
+			this.reportStream.end();
+			this.reporter = null;
+			this.reportStream = null;
+		}
+	}
+}
+
+async function loadBuiltinReporter(name, options, {extensions, projectDir, slowThreshold, watching}) {
+	const {default: Reporter} = await import(`./reporters/${name}.js`);
+	const createReporter = reportStream => new Reporter({
+		extensions,
+		projectDir,
+		reportStream,
+		slowThreshold,
+		stdStream: process.stderr,
+		watching: name === 'default' ? watching : undefined,
+	});
+
+	if (options.output === undefined) {
+		return createReporter(process.stdout);
+	}
+
+	return new FileReporter(path.resolve(projectDir, options.output), createReporter);
+}
+
+async function loadReporterModule(ref, options, {projectDir, watching}) {
+	// Load relative paths from the project directory, and resolve dependencies
+	// as if they were imported by the project.
+	let exported;
+	try {
+		const file = ref.startsWith('.') || path.isAbsolute(ref)
+			? path.resolve(projectDir, ref)
+			: createRequire(path.join(projectDir, 'package.json')).resolve(ref);
+		({default: exported} = await import(pathToFileURL(file)));
+	} catch (error) {
+		throw Object.assign(new Error(`Could not load reporter ${ref}`), {cause: error});
+	}
+
+	const reporter = typeof exported === 'function' ? await exported({options, projectDir, watching}) : exported;
+	if (!isReporter(reporter)) {
+		throw new TypeError(`Reporter ${ref} must export a reporter, or a factory function that returns one`);
+	}
+
+	return reporter;
+}
+
+function normalizeEntry(entry) {
+	if (typeof entry === 'string') {
+		return [entry, {}];
+	}
+
+	if (Array.isArray(entry) && typeof entry[0] === 'string' && (entry.length === 1 || (entry.length === 2 && isPlainObject(entry[1])))) {
+		return [entry[0], entry[1] ?? {}];
+	}
+
+	if (isReporter(entry)) {
+		return [entry, {}];
+	}
+
+	throw new TypeError('’reporters’ must only contain reporter names, module paths, [name, options] tuples or objects implementing startRun() and endRun()');
+}
+
+export default async function loadReporters(entries, context) {
+	const {projectDir, watching} = context;
+	if (!Array.isArray(entries)) {
+		throw new TypeError('’reporters’ must be an array');
+	}
+
+	const reporters = [];
+	let defaultReporter;
+	let writingToStdout = 0;
+	for (const [ref, options] of entries.map(entry => normalizeEntry(entry))) {
+		if (typeof ref !== 'string') {
+			reporters.push(ref);
+			continue;
+		}
+
+		if (!BUILTIN_REPORTERS.has(ref)) {
+			reporters.push(await loadReporterModule(ref, options, {projectDir, watching})); // eslint-disable-line no-await-in-loop
+			continue;
+		}
+
+		if (ref === 'default') {
+			if (options.output !== undefined) {
+				throw new Error('The default reporter cannot write to a file');
+			}
+
+			if (defaultReporter !== undefined) {
+				continue;
+			}
+		} else if (watching && options.output === undefined) {
+			throw new Error(`The ${BUILTIN_REPORTERS.get(ref)} reporter must be configured with an output file when using watch mode`);
+		}
+
+		if (options.output === undefined) {
+			writingToStdout++;
+		}
+
+		const reporter = await loadBuiltinReporter(ref, options, context); // eslint-disable-line no-await-in-loop
+		if (ref === 'default') {
+			defaultReporter = reporter;
+		}
+
+		reporters.push(reporter);
+	}
+
+	// Watch mode uses the default reporter to interact with the user.
+	if (watching && defaultReporter === undefined) {
+		defaultReporter = await loadBuiltinReporter('default', {}, context);
+		reporters.unshift(defaultReporter);
+		writingToStdout++;
+	}
+
+	if (writingToStdout > 1) {
+		throw new Error('Only one of the built-in reporters can write to standard output, configure an output file for the others');
+	}
+
+	return {defaultReporter, reporters};
+}
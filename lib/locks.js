@@ -0,0 +1,69 @@
+// Coordinates the locks held by tests across all workers. A request is only
+// granted once all of its locks are available, and requests are granted in the
+// order they were made, so tests cannot deadlock or starve each other.
+export default class LockManager {
+	constructor() {
+		this.exitedWorkers = new WeakSet();
+		this.held = new Map();
+		this.pending = [];
+	}
+
+	acquire(worker, {lockId, names, grant}) {
+		// Requests may be received after the worker has exited.
+		if (this.exitedWorkers.has(worker)) {
+			return;
+		}
+
+		this.pending.push({
+			worker,
+			lockId,
+			names,
+			grant,
+		});
+		this.grantPending();
+	}
+
+	release(worker, lockId) {
+		this.releaseMatching(request => request.worker === worker && request.lockId === lockId);
+	}
+
+	// Releases the locks held, or waited for, by a worker that has exited.
+	releaseAll(worker) {
+		this.exitedWorkers.add(worker);
+		this.releaseMatching(request => request.worker === worker);
+	}
+
+	releaseMatching(predicate) {
+		this.pending = this.pending.filter(request => !predicate(request));
+		for (const [name, request] of this.held) {
+			if (predicate(request)) {
+				this.held.delete(name);
+			}
+		}
+
+		this.grantPending();
+	}
+
+	grantPending() {
+		// Locks that are held, or wanted by an earlier request, are unavailable.
+		const unavailable = new Set(this.held.keys());
+		const stillPending = [];
+		for (const request of this.pending) {
+			if (request.names.some(name => unavailable.has(name))) {
+				stillPending.push(request);
+			} else {
+				for (const name of request.names) {
+					this.held.set(name, request);
+				}
+
+				request.grant();
+			}
+
+			for (const name of request.names) {
+				unavailable.add(name);
+			}
+		}
+
+		this.pending = stillPending;
+	}
+}
@@ -1,6 +1,8 @@
 'use strict';
 const timers = require('node:timers');
 
+// Keep references to the original timers, so AVA itself is not affected when
+// tests install fake timers.
 Object.assign(exports, timers);
 exports.now = Date.now;
 
@@ -10,7 +12,7 @@ const MAX_DELAY = (2 ** 31) - 1;
 
 function setCappedTimeout(callback, delay) {
 	const safeDelay = Math.min(delay, MAX_DELAY);
-	return timers.setTimeout(callback, safeDelay);
+	return exports.setTimeout(callback, safeDelay);
 }
 
 exports.setCappedTimeout = setCappedTimeout;
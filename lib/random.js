@@ -0,0 +1,25 @@
+import {createHash, randomInt} from 'node:crypto';
+
+export const generateSeed = () => randomInt(2 ** 31);
+
+// Returns a function that, like `Math.random()`, returns numbers between 0
+// (inclusive) and 1 (exclusive). The sequence is determined by the seed, which
+// can be any string.
+export function createRandom(seed) {
+	let counter = 0;
+	return () => {
+		const digest = createHash('sha256').update(`${seed}:${counter++}`).digest();
+		return digest.readUInt32BE(0) / (2 ** 32);
+	};
+}
+
+// Fisher-Yates shuffle, returning a new array.
+export function shuffle(array, random) {
+	const result = [...array];
+	for (let index = result.length - 1; index > 0; index--) {
+		const other = Math.floor(random() * (index + 1));
+		[result[index], result[other]] = [result[other], result[index]];
+	}
+
+	return result;
+}
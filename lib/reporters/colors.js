@@ -22,6 +22,12 @@ const colors = {
 	get duration() {
 		return chalk.gray.dim;
 	},
+	get slow() {
+		return chalk.yellow;
+	},
+	get tag() {
+		return chalk.cyan;
+	},
 	get errorSource() {
 		return chalk.gray;
 	},
@@ -0,0 +1,7 @@
+// The actual coverage is `null` if there was nothing to cover, for instance
+// because no files matched `coverage.include`.
+export default function coverageThresholdMessage({metric, threshold, actual}) {
+	return actual === null
+		? `Coverage for ${metric} is unknown, since no files were covered, and does not meet the threshold (${threshold}%)`
+		: `Coverage for ${metric} (${actual}%) does not meet the threshold (${threshold}%)`;
+}
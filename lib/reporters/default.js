@@ -14,12 +14,16 @@ import codeExcerpt from '../code-excerpt.js';
 
 import beautifyStack from './beautify-stack.js';
 import colors from './colors.js';
+import coverageThresholdMessage from './coverage-threshold-message.js';
 import formatSerializedError from './format-serialized-error.js';
 import improperUsageMessage from './improper-usage-messages.js';
 import prefixTitle from './prefix-title.js';
 
 const nodeInternals = StackUtils.nodeInternals();
 
+// How many of the slowest tests and files to summarize at the end of a run.
+const SLOWEST_COUNT = 5;
+
 class LineWriter extends stream.Writable {
 	constructor(dest) {
 		super();
@@ -79,6 +83,7 @@ export default class Reporter {
 		projectDir,
 		watching,
 		durationThreshold,
+		slowThreshold,
 	}) {
 		this.extensions = extensions;
 		this.reportStream = reportStream;
@@ -97,6 +102,7 @@ export default class Reporter {
 		this.endRun = decorateWriter(this.endRun);
 
 		this.durationThreshold = durationThreshold ?? 100;
+		this.slowThreshold = slowThreshold;
 		this.lineWriter = new LineWriter(this.reportStream);
 
 		this.reset();
@@ -122,7 +128,9 @@ export default class Reporter {
 		this.uncaughtExceptions = [];
 		this.unhandledRejections = [];
 
+		this.coverage = null;
 		this.previousFailures = 0;
+		this.randomSeed = undefined;
 
 		this.failFastEnabled = false;
 		this.matching = false;
@@ -141,6 +149,7 @@ export default class Reporter {
 		this.failFastEnabled = plan.failFastEnabled;
 		this.matching = plan.matching;
 		this.previousFailures = plan.previousFailures;
+		this.randomSeed = plan.randomSeed;
 		this.emptyParallelRun = plan.status.emptyParallelRun;
 		this.selectionInsights = plan.status.selectionInsights;
 
@@ -157,12 +166,22 @@ export default class Reporter {
 		}
 
 		this.lineWriter.writeLine();
+
+		if (this.randomSeed !== undefined) {
+			this.lineWriter.writeLine(colors.information(`Running tests in random order with seed ${this.randomSeed}`));
+			this.lineWriter.writeLine();
+		}
 	}
 
 	consumeStateChange(event) { // eslint-disable-line complexity
 		const fileStats = this.stats && event.testFile ? this.stats.byFile.get(event.testFile) : null;
 
 		switch (event.type) { // eslint-disable-line default-case
+			case 'coverage': {
+				this.coverage = event;
+				break;
+			}
+
 			case 'hook-failed': {
 				this.failures.push(event);
 				this.writeTestSummary(event);
@@ -189,6 +208,11 @@ export default class Reporter {
 				break;
 			}
 
+			case 'test-retry': {
+				this.writeTestSummary(event);
+				break;
+			}
+
 			case 'timeout': {
 				this.lineWriter.writeLine(colors.error(`\n${figures.cross} Timed out while running tests`));
 				this.lineWriter.writeLine('');
@@ -234,6 +258,43 @@ export default class Reporter {
 				break;
 			}
 
+			case 'obsolete-snapshots': {
+				const count = event.titles.length;
+				const color = event.failed ? colors.error : colors.information;
+				this.lineWriter.ensureEmptyLine();
+				this.lineWriter.writeLine(color(`${event.failed ? figures.cross : figures.warning} ${this.relativeFile(event.testFile)} has obsolete snapshots for ${count} ${plur('test', count)}:`));
+				for (const title of event.titles) {
+					this.lineWriter.writeLine(color(`  ${figures.line} ${title}`));
+				}
+
+				this.lineWriter.writeLine();
+				this.lineWriter.writeLine(colors.information('  Remove them with `ava --update-snapshots --prune` or `ava snapshot prune`.'));
+				this.lineWriter.writeLine();
+				break;
+			}
+
+			case 'open-handles': {
+				const count = event.handles.length;
+				this.lineWriter.ensureEmptyLine();
+				this.lineWriter.writeLine(colors.information(`${figures.warning} ${count} open ${plur('handle', count)} in ${this.relativeFile(event.testFile)} after its tests finished`));
+				for (const {description, stack, title} of event.handles) {
+					this.lineWriter.writeLine();
+					this.lineWriter.writeLine(`  ${description} created ${title === undefined ? 'outside of a test or hook' : `by ${this.prefixTitle(event.testFile, title)}`}`);
+					if (stack) {
+						this.lineWriter.writeLine(colors.errorStack(stack));
+					}
+				}
+
+				this.lineWriter.writeLine();
+				break;
+			}
+
+			case 'snapshots-pruned': {
+				const count = event.titles.length;
+				this.lineWriter.writeLine(colors.information(`${figures.info} Removed the obsolete snapshots of ${count} ${plur('test', count)} in ${this.relativeFile(event.testFile)}`));
+				break;
+			}
+
 			case 'process-exit': {
 				this.write(colors.error(`${figures.cross} Exiting due to process.exit() when running ${this.relativeFile(event.testFile)}`));
 
@@ -255,14 +316,23 @@ export default class Reporter {
 
 			case 'selected-test': {
 				if (event.skip) {
-					this.lineWriter.writeLine(colors.skip(`- [skip] ${this.prefixTitle(event.testFile, event.title)}`));
+					this.lineWriter.writeLine(colors.skip(`- [skip] ${this.prefixTitle(event.testFile, event.title)}`) + this.formatTags(event.tags));
 				} else if (event.todo) {
-					this.lineWriter.writeLine(colors.todo(`- [todo] ${this.prefixTitle(event.testFile, event.title)}`));
+					this.lineWriter.writeLine(colors.todo(`- [todo] ${this.prefixTitle(event.testFile, event.title)}`) + this.formatTags(event.tags));
 				}
 
 				break;
 			}
 
+			case 'global-hook-failed': {
+				this.lineWriter.ensureEmptyLine();
+				this.lineWriter.writeLine(colors.error(`${figures.cross} ${event.hook === 'globalSetup' ? 'Global setup failed' : 'Global teardown failed'}`));
+				this.lineWriter.writeLine();
+				this.writeSerializedError(event.err);
+
+				break;
+			}
+
 			case 'shared-worker-error': {
 				this.sharedWorkerErrors.push(event);
 
@@ -575,9 +645,13 @@ export default class Reporter {
 		// * normal test, fail:          <red>✘ [fail]</red>
 		// * fail-expected test, fail:   <red>✔ [expected fail]</red>
 		// * fail-expected test, pass:   <red>✘ [unexpected pass]</red>
+		// Failed attempts of tests that are retried render as <magenta>⚠ [retry 1/2]:</magenta>.
 		let prefix;
 		let suffix;
-		if (event.type === 'hook-failed' || event.type === 'test-failed') {
+		if (event.type === 'test-retry') {
+			prefix = colors.information(`${figures.warning} [retry ${event.attempt}/${event.retries}]:`);
+			suffix = chalk.italic(colors.information(event.err.message));
+		} else if (event.type === 'hook-failed' || event.type === 'test-failed') {
 			const type = event.knownFailing ? '[unexpected pass]' : '[fail]';
 			prefix = colors.error(`${figures.cross} ${type}:`);
 			suffix = chalk.italic(colors.error(event.err.message));
@@ -585,16 +659,79 @@ export default class Reporter {
 			prefix = colors.error(figures.tick + ' [expected fail]');
 		} else {
 			prefix = colors.pass(figures.tick);
-			if (event.duration > this.durationThreshold) {
+			if (this.isSlow(event.duration)) {
+				suffix = `${colors.slow('[slow]')} ${colors.duration(`(${prettyMs(event.duration)})`)}`;
+			} else if (event.duration > this.durationThreshold) {
 				suffix = colors.duration(`(${prettyMs(event.duration)})`);
 			}
 		}
 
-		const label = this.prefixTitle(event.testFile, event.title);
+		if (event.repeat) {
+			const {iterations, passed, failed} = event.repeat;
+			const repeat = failed > 0
+				? colors.error(`[failed ${failed} of ${iterations} ${plur('time', iterations)}]`)
+				: colors.information(`[passed ${passed} of ${iterations} ${plur('time', iterations)}]`);
+			suffix = suffix ? `${repeat} ${suffix}` : repeat;
+		}
+
+		if (event.type === 'test-passed' && event.attempts > 1) {
+			const flaky = colors.information(`[flaky, passed on attempt ${event.attempts}]`);
+			suffix = suffix ? `${flaky} ${suffix}` : flaky;
+		}
+
+		const label = this.prefixTitle(event.testFile, event.title) + this.formatTags(event.tags);
 		this.write(`${prefix} ${label}${suffix ? ' ' + suffix : ''}`);
 		this.writeLogs(event);
 	}
 
+	formatTags(tags = []) {
+		return tags.length === 0 ? '' : ' ' + colors.tag(tags.map(tag => `#${tag}`).join(' '));
+	}
+
+	isSlow(duration) {
+		return this.slowThreshold !== undefined && duration > this.slowThreshold;
+	}
+
+	writeSlowest() {
+		const tests = [];
+		const files = [];
+		for (const [testFile, {duration, durations}] of this.stats.byFile) {
+			files.push({label: this.relativeFile(testFile), duration, slow: false});
+			for (const test of durations.tests) {
+				tests.push({label: this.prefixTitle(testFile, test.title), duration: test.duration, slow: this.isSlow(test.duration)});
+			}
+		}
+
+		for (const [heading, entries] of [['Slowest tests', tests], ['Slowest files', files]]) {
+			if (entries.length === 0) {
+				continue;
+			}
+
+			this.lineWriter.writeLine(colors.title(heading));
+			for (const {label, duration, slow} of entries.sort((a, b) => b.duration - a.duration).slice(0, SLOWEST_COUNT)) {
+				this.lineWriter.writeLine(`  ${label} ${(slow ? colors.slow : colors.duration)(`(${prettyMs(duration)})`)}`);
+			}
+
+			this.lineWriter.writeLine();
+		}
+	}
+
+	writeCoverage() {
+		const {failedThresholds, report} = this.coverage;
+		if (report !== '') {
+			this.lineWriter.writeLine(report);
+			this.lineWriter.writeLine();
+		}
+
+		for (const failedThreshold of failedThresholds) {
+			this.lineWriter.writeLine(colors.error(`${figures.cross} ${coverageThresholdMessage(failedThreshold)}`));
+		}
+
+		if (failedThresholds.length > 0) {
+			this.lineWriter.writeLine();
+		}
+	}
+
 	writeFailure(event) {
 		this.lineWriter.writeLine(colors.title(this.prefixTitle(event.testFile, event.title)));
 
@@ -666,6 +803,14 @@ export default class Reporter {
 			this.lineWriter.writeLine();
 		}
 
+		if (this.slowThreshold !== undefined) {
+			this.writeSlowest();
+		}
+
+		if (this.coverage) {
+			this.writeCoverage();
+		}
+
 		if (this.failFastEnabled && (this.stats.remainingTests > 0 || this.stats.files > this.stats.finishedWorkers)) {
 			let remaining = '';
 			if (this.stats.remainingTests > 0) {
@@ -697,6 +842,11 @@ export default class Reporter {
 			this.lineWriter.writeLine();
 		}
 
+		if (this.randomSeed !== undefined) {
+			this.lineWriter.writeLine(colors.information(`Ran tests in random order, reproduce with --random=${this.randomSeed}`));
+			this.lineWriter.writeLine();
+		}
+
 		if (this.stats.failedHooks > 0) {
 			this.lineWriter.writeLine(colors.error(`${this.stats.failedHooks} ${plur('hook', this.stats.failedHooks)} failed`) + firstLinePostfix);
 			firstLinePostfix = '';
@@ -721,6 +871,10 @@ export default class Reporter {
 			this.lineWriter.writeLine(colors.error(`${this.stats.passedKnownFailingTests} ${plur('known failure', this.stats.passedKnownFailingTests)}`));
 		}
 
+		if (this.stats.flakyTests > 0) {
+			this.lineWriter.writeLine(colors.information(`${this.stats.flakyTests} flaky ${plur('test', this.stats.flakyTests)} passed after being retried`));
+		}
+
 		if (this.stats.skippedTests > 0) {
 			this.lineWriter.writeLine(colors.skip(`${this.stats.skippedTests} ${plur('test', this.stats.skippedTests)} skipped`));
 		}
@@ -741,6 +895,10 @@ export default class Reporter {
 			this.lineWriter.writeLine(colors.error(`${this.stats.timedOutTests} ${plur('test', this.stats.timedOutTests)} remained pending after a timeout`));
 		}
 
+		if (this.stats.failedObsoleteSnapshots > 0) {
+			this.lineWriter.writeLine(colors.error(`${this.stats.failedObsoleteSnapshots} ${plur('test', this.stats.failedObsoleteSnapshots)} with obsolete snapshots`));
+		}
+
 		if (this.previousFailures > 0) {
 			this.lineWriter.writeLine(colors.error(`${this.previousFailures} previous ${plur('failure', this.previousFailures)} in test files that were not rerun`));
 		}
@@ -0,0 +1,430 @@
+import os from 'node:os';
+import path from 'node:path';
+
+import plur from 'plur';
+import stripAnsi from 'strip-ansi';
+
+import slash from '../slash.cjs';
+
+import beautifyStack from './beautify-stack.js';
+import coverageThresholdMessage from './coverage-threshold-message.js';
+import formatSerializedError from './format-serialized-error.js';
+
+// Characters that are not allowed in XML 1.0 documents, even when escaped.
+const INVALID_XML_CHARACTERS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu; // eslint-disable-line no-control-regex
+
+const escapeXml = value => stripAnsi(String(value))
+	.replaceAll(INVALID_XML_CHARACTERS, '')
+	.replaceAll('&', '&amp;')
+	.replaceAll('<', '&lt;')
+	.replaceAll('>', '&gt;')
+	.replaceAll('"', '&quot;')
+	.replaceAll('\'', '&apos;');
+
+const formatAttributes = attributes => Object.entries(attributes)
+	.filter(([, value]) => value !== undefined)
+	.map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+	.join('');
+
+const INDENT = '  ';
+
+const formatSeconds = ms => (ms / 1000).toFixed(3);
+
+function formatStack(stack, sanitizeStackOutput) {
+	const frames = beautifyStack(stack).map(line => `at ${line}`).join('\n');
+	return sanitizeStackOutput?.(frames) ?? frames;
+}
+
+function dumpError(error, sanitizeStackOutput) {
+	switch (error.type) {
+		case 'aggregate': {
+			return error.errors.map(error_ => dumpError(error_, sanitizeStackOutput)).join('\n\n');
+		}
+
+		case 'unknown': {
+			return error.formattedError;
+		}
+
+		default: {
+			break;
+		}
+	}
+
+	const stack = error.stack ?? '';
+	const parts = [];
+	if (error.type === 'native') {
+		// Separate the (possibly multi-line) message from the stack frames.
+		const lines = stack.split('\n');
+		const firstFrame = lines.findIndex(line => /^\s+at /.test(line));
+		const summary = (firstFrame === -1 ? lines : lines.slice(0, firstFrame)).join('\n').trim();
+		if (summary !== '') {
+			parts.push(sanitizeStackOutput?.(summary) ?? summary);
+		}
+
+		if (firstFrame !== -1) {
+			parts.push(formatStack(lines.slice(firstFrame).join('\n'), sanitizeStackOutput));
+		}
+
+		return parts.join('\n\n');
+	}
+
+	const {formatted, printMessage} = formatSerializedError(error.formattedDetails, error.message);
+	if (printMessage) {
+		parts.push(error.message);
+	}
+
+	if (formatted) {
+		parts.push(formatted);
+	}
+
+	const frames = formatStack(stack, sanitizeStackOutput);
+	if (frames !== '') {
+		parts.push(frames);
+	}
+
+	return parts.join('\n\n');
+}
+
+function describeError(error, sanitizeStackOutput) {
+	if (error.type === 'unknown') {
+		return {message: 'Non-native error', type: 'Error', body: dumpError(error, sanitizeStackOutput)};
+	}
+
+	return {
+		message: error.message || error.assertion || error.name,
+		type: error.name,
+		body: dumpError(error, sanitizeStackOutput),
+	};
+}
+
+export default class JunitReporter {
+	constructor(options) {
+		this.reportStream = options.reportStream;
+		this.stdStream = options.stdStream;
+		this.sanitizeStackOutput = options.sanitizeStackOutput;
+
+		this.relativeFile = file => slash(path.relative(options.projectDir, file));
+		this.filesWithMissingAvaImports = new Set();
+		this.failedAttempts = new Map();
+		this.suites = new Map();
+		this.stats = null;
+	}
+
+	startRun(plan) {
+		if (plan.bailWithoutReporting) {
+			return;
+		}
+
+		plan.status.on('stateChange', evt => this.consumeStateChange(evt));
+	}
+
+	getSuite(testFile) {
+		const name = testFile ? this.relativeFile(testFile) : 'ava';
+		if (!this.suites.has(name)) {
+			this.suites.set(name, {
+				name,
+				testFile,
+				testCases: [],
+				stdout: [],
+				stderr: [],
+			});
+		}
+
+		return this.suites.get(name);
+	}
+
+	addTestCase(evt, {title = evt.title, failure, error, skipped} = {}) {
+		const suite = this.getSuite(evt.testFile);
+		const key = `${suite.name}\0${title}`;
+		suite.testCases.push({
+			name: title,
+			duration: evt.duration ?? 0,
+			failure,
+			error,
+			skipped,
+			failedAttempts: this.failedAttempts.get(key) ?? [],
+			logs: evt.logs ?? [],
+		});
+		this.failedAttempts.delete(key);
+	}
+
+	addFailedAttempt(evt) {
+		const key = `${this.getSuite(evt.testFile).name}\0${evt.title}`;
+		const attempts = this.failedAttempts.get(key) ?? [];
+		attempts.push(describeError(evt.err, this.sanitizeStackOutput));
+		this.failedAttempts.set(key, attempts);
+	}
+
+	addCrash(evt, title) {
+		this.addTestCase(evt, {
+			title: title ?? evt.err?.message ?? evt.type,
+			error: evt.err ? describeError(evt.err, this.sanitizeStackOutput) : {message: title, type: 'Error', body: ''},
+		});
+	}
+
+	addPendingTests(evt, message) {
+		for (const [testFile, tests] of evt.pendingTests) {
+			for (const title of tests) {
+				this.addTestCase({testFile, title, logs: evt.pendingTestsLogs?.get(testFile)?.get(title)}, {
+					error: {message, type: 'Error', body: ''},
+				});
+			}
+		}
+	}
+
+	// JUnit has no notion of warnings, so report open handles on the standard
+	// error output of the suite.
+	addOpenHandles(evt) {
+		const count = evt.handles.length;
+		const handles = evt.handles.map(({description, stack, title}) => {
+			const summary = `${description} created ${title === undefined ? 'outside of a test or hook' : `by ${title}`}`;
+			return stack ? `${summary}\n${this.sanitizeStackOutput?.(stack) ?? stack}` : summary;
+		});
+		this.getSuite(evt.testFile).stderr.push(`${count} open ${plur('handle', count)} after the tests finished:\n\n${handles.join('\n\n')}\n`);
+	}
+
+	consumeStateChange(evt) { // eslint-disable-line complexity
+		const fileStats = this.stats && evt.testFile ? this.stats.byFile.get(evt.testFile) : null;
+
+		switch (evt.type) {
+			case 'coverage': {
+				for (const failedThreshold of evt.failedThresholds) {
+					this.addCrash(evt, coverageThresholdMessage(failedThreshold));
+				}
+
+				break;
+			}
+
+			case 'global-hook-failed': {
+				this.addCrash(evt, evt.hook === 'globalSetup' ? 'Global setup failed' : 'Global teardown failed');
+				break;
+			}
+
+			case 'hook-failed':
+			case 'test-failed': {
+				this.addTestCase(evt, {failure: describeError(evt.err, this.sanitizeStackOutput)});
+				break;
+			}
+
+			case 'internal-error': {
+				this.addCrash(evt, evt.testFile ? `Internal error when running ${this.relativeFile(evt.testFile)}` : 'Internal error');
+				break;
+			}
+
+			case 'interrupt': {
+				this.addPendingTests(evt, 'Exiting due to SIGINT');
+				break;
+			}
+
+			case 'missing-ava-import': {
+				this.filesWithMissingAvaImports.add(evt.testFile);
+				this.addCrash(evt, `No tests found in ${this.relativeFile(evt.testFile)}, make sure to import "ava" at the top of your test file`);
+				break;
+			}
+
+			case 'obsolete-snapshots': {
+				// Obsolete snapshots only fail the run with `--ci-snapshots=strict`.
+				if (evt.failed) {
+					const count = evt.titles.length;
+					const title = `${this.relativeFile(evt.testFile)} has obsolete snapshots for ${count} ${plur('test', count)}`;
+					this.addTestCase(evt, {title, failure: {message: title, type: 'Error', body: evt.titles.join('\n')}});
+				}
+
+				break;
+			}
+
+			case 'open-handles': {
+				this.addOpenHandles(evt);
+				break;
+			}
+
+			case 'process-exit': {
+				this.addPendingTests(evt, `Exiting due to process.exit() when running ${this.relativeFile(evt.testFile)}`);
+				break;
+			}
+
+			case 'selected-test': {
+				if (evt.skip) {
+					this.addTestCase(evt, {skipped: {}});
+				} else if (evt.todo) {
+					this.addTestCase(evt, {skipped: {message: 'todo'}});
+				}
+
+				break;
+			}
+
+			case 'stats': {
+				this.stats = evt.stats;
+				break;
+			}
+
+			case 'test-passed': {
+				this.addTestCase(evt);
+				break;
+			}
+
+			case 'test-retry': {
+				this.addFailedAttempt(evt);
+				break;
+			}
+
+			case 'timeout': {
+				this.addPendingTests(evt, `Exited because no new tests completed within the last ${evt.period}ms of inactivity`);
+				break;
+			}
+
+			case 'uncaught-exception': {
+				this.addCrash(evt, `Uncaught exception in ${this.relativeFile(evt.testFile)}`);
+				break;
+			}
+
+			case 'unhandled-rejection': {
+				this.addCrash(evt, `Unhandled rejection in ${this.relativeFile(evt.testFile)}`);
+				break;
+			}
+
+			case 'worker-failed': {
+				if (!this.filesWithMissingAvaImports.has(evt.testFile)) {
+					if (evt.err) {
+						this.addCrash(evt, `${this.relativeFile(evt.testFile)} exited due to an error`);
+					} else if (evt.nonZeroExitCode) {
+						this.addCrash(evt, `${this.relativeFile(evt.testFile)} exited with a non-zero exit code: ${evt.nonZeroExitCode}`);
+					} else {
+						this.addCrash(evt, `${this.relativeFile(evt.testFile)} exited due to ${evt.signal}`);
+					}
+				}
+
+				break;
+			}
+
+			case 'worker-finished': {
+				if (!evt.forcedExit && !this.filesWithMissingAvaImports.has(evt.testFile) && fileStats?.declaredTests === 0) {
+					this.addCrash(evt, `No tests found in ${this.relativeFile(evt.testFile)}`);
+				}
+
+				break;
+			}
+
+			case 'worker-stderr': {
+				this.getSuite(evt.testFile).stderr.push(evt.chunk);
+				this.stdStream.write(evt.chunk);
+				break;
+			}
+
+			case 'worker-stdout': {
+				this.getSuite(evt.testFile).stdout.push(evt.chunk);
+				this.stdStream.write(evt.chunk);
+				break;
+			}
+
+			default: {
+				break;
+			}
+		}
+	}
+
+	formatTestCase(suite, testCase) {
+		const attributes = formatAttributes({
+			name: testCase.name,
+			classname: suite.name,
+			time: formatSeconds(testCase.duration),
+		});
+
+		const children = [];
+		for (const [tag, details] of [['failure', testCase.failure], ['error', testCase.error]]) {
+			if (details) {
+				children.push(`<${tag}${formatAttributes({message: details.message, type: details.type})}>${escapeXml(details.body ?? '')}</${tag}>`);
+			}
+		}
+
+		// Follow the Maven Surefire convention for reporting failed attempts of
+		// tests that were retried.
+		const attemptTag = testCase.failure ? 'rerunFailure' : 'flakyFailure';
+		for (const attempt of testCase.failedAttempts) {
+			children.push(`<${attemptTag}${formatAttributes({message: attempt.message, type: attempt.type})}>${escapeXml(attempt.body ?? '')}</${attemptTag}>`);
+		}
+
+		if (testCase.skipped) {
+			children.push(`<skipped${formatAttributes(testCase.skipped)}/>`);
+		}
+
+		if (testCase.logs.length > 0) {
+			children.push(`<system-out>${escapeXml(testCase.logs.join('\n'))}</system-out>`);
+		}
+
+		if (children.length === 0) {
+			return [`${INDENT.repeat(2)}<testcase${attributes}/>`];
+		}
+
+		return [
+			`${INDENT.repeat(2)}<testcase${attributes}>`,
+			...children.map(child => INDENT.repeat(3) + child),
+			`${INDENT.repeat(2)}</testcase>`,
+		];
+	}
+
+	formatSuite(suite) {
+		const counts = {
+			tests: suite.testCases.length,
+			failures: suite.testCases.filter(testCase => testCase.failure).length,
+			errors: suite.testCases.filter(testCase => testCase.error).length,
+			skipped: suite.testCases.filter(testCase => testCase.skipped).length,
+		};
+
+		const lines = [];
+		for (const testCase of suite.testCases) {
+			lines.push(...this.formatTestCase(suite, testCase));
+		}
+
+		// Tests may run concurrently, and hooks take time too, so use how long the
+		// test file took to run. Fall back to the test durations if the file's
+		// duration is unknown, for instance for the suite with global failures.
+		const fileDuration = suite.testFile ? this.stats?.byFile.get(suite.testFile)?.duration : undefined;
+		const duration = fileDuration > 0 ? fileDuration : suite.testCases.reduce((sum, testCase) => sum + testCase.duration, 0);
+
+		if (suite.stdout.length > 0) {
+			lines.push(`${INDENT.repeat(2)}<system-out>${escapeXml(suite.stdout.join(''))}</system-out>`);
+		}
+
+		if (suite.stderr.length > 0) {
+			lines.push(`${INDENT.repeat(2)}<system-err>${escapeXml(suite.stderr.join(''))}</system-err>`);
+		}
+
+		const attributes = formatAttributes({name: suite.name, ...counts, time: formatSeconds(duration)});
+		return {
+			counts,
+			duration,
+			lines: [`${INDENT}<testsuite${attributes}>`, ...lines, `${INDENT}</testsuite>`],
+		};
+	}
+
+	endRun() {
+		const totals = {
+			tests: 0,
+			failures: 0,
+			errors: 0,
+			skipped: 0,
+		};
+		let totalDuration = 0;
+		const lines = [];
+		for (const suite of this.suites.values()) {
+			const {counts, duration, lines: suiteLines} = this.formatSuite(suite);
+			for (const [key, count] of Object.entries(counts)) {
+				totals[key] += count;
+			}
+
+			totalDuration += duration;
+			lines.push(...suiteLines);
+		}
+
+		const attributes = formatAttributes({name: 'ava', ...totals, time: formatSeconds(totalDuration)});
+		const document = ['<?xml version="1.0" encoding="UTF-8"?>'];
+		if (lines.length === 0) {
+			document.push(`<testsuites${attributes}/>`);
+		} else {
+			document.push(`<testsuites${attributes}>`, ...lines, '</testsuites>');
+		}
+
+		this.reportStream.write(document.join(os.EOL) + os.EOL);
+	}
+}
@@ -0,0 +1,206 @@
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import stripAnsi from 'strip-ansi';
+
+import pkg from '../pkg.cjs';
+import slash from '../slash.cjs';
+
+import beautifyStack from './beautify-stack.js';
+
+// Increment when making breaking changes to the events written by this
+// reporter. See docs/05-command-line.md for the schema.
+export const SCHEMA_VERSION = 1;
+
+// Stats are written with the events that conclude a file or a run, rather than
+// for every change. The other events are only of interest to AVA itself.
+const OMITTED_EVENTS = new Set([
+	'accessed-snapshots',
+	'stats',
+	'test-register-log-reference',
+	'test-timeout-configured',
+	'touched-files',
+]);
+
+function serializeStack(stack, sanitizeStackOutput) {
+	if (!stack) {
+		return undefined;
+	}
+
+	const lines = stack.split('\n');
+	const firstFrame = lines.findIndex(line => /^\s+at /.test(line));
+	const summary = firstFrame === -1 ? lines : lines.slice(0, firstFrame);
+	const frames = firstFrame === -1 ? [] : beautifyStack(lines.slice(firstFrame).join('\n')).map(line => `    at ${line}`);
+	const result = [...summary, ...frames].join('\n');
+	return sanitizeStackOutput?.(result) ?? result;
+}
+
+export default class NdjsonReporter {
+	constructor(options) {
+		this.reportStream = options.reportStream;
+		this.stdStream = options.stdStream;
+		this.sanitizeStackOutput = options.sanitizeStackOutput;
+
+		this.relativeFile = file => {
+			if (file.startsWith('file://')) {
+				file = fileURLToPath(file);
+			}
+
+			return slash(path.relative(options.projectDir, file));
+		};
+
+		this.stats = null;
+	}
+
+	startRun(plan) {
+		if (plan.bailWithoutReporting) {
+			return;
+		}
+
+		this.stats = null;
+		this.write({
+			type: 'run-start',
+			schemaVersion: SCHEMA_VERSION,
+			avaVersion: pkg.version,
+			files: plan.files.map(file => this.relativeFile(file)),
+			firstRun: plan.firstRun,
+			failFastEnabled: plan.failFastEnabled,
+			matching: plan.matching,
+			randomSeed: plan.randomSeed,
+		});
+
+		plan.status.on('stateChange', evt => this.consumeStateChange(evt));
+	}
+
+	write(record) {
+		this.reportStream.write(JSON.stringify(record) + os.EOL);
+	}
+
+	serializeError(error) {
+		const {type, name, message} = error;
+		switch (type) {
+			case 'aggregate': {
+				return {
+					type,
+					name,
+					message,
+					stack: serializeStack(error.stack, this.sanitizeStackOutput),
+					errors: error.errors.map(error_ => this.serializeError(error_)),
+				};
+			}
+
+			case 'unknown': {
+				return {type, formatted: stripAnsi(error.formattedError)};
+			}
+
+			default: {
+				break;
+			}
+		}
+
+		return {
+			type,
+			name,
+			message,
+			assertion: error.assertion,
+			details: error.formattedDetails?.map(({label, formatted}) => ({
+				label: stripAnsi(label),
+				formatted: stripAnsi(formatted),
+			})),
+			source: error.source ? {
+				file: this.relativeFile(error.source.file),
+				line: error.source.line,
+				isDependency: error.source.isDependency,
+				isWithinProject: error.source.isWithinProject,
+			} : undefined,
+			stack: serializeStack(error.stack, this.sanitizeStackOutput),
+		};
+	}
+
+	serializeStats(stats) {
+		const byFile = {};
+		for (const [file, fileStats] of stats.byFile) {
+			byFile[this.relativeFile(file)] = fileStats;
+		}
+
+		return {...stats, byFile};
+	}
+
+	serializePendingTests(pendingTests, pendingTestsLogs) {
+		const result = {};
+		for (const [file, titles] of pendingTests) {
+			const logs = pendingTestsLogs?.get(file);
+			result[this.relativeFile(file)] = [...titles].map(title => ({
+				title,
+				logs: logs?.get(title) ?? [],
+			}));
+		}
+
+		return result;
+	}
+
+	consumeStateChange(evt) {
+		if (evt.type === 'stats') {
+			this.stats = evt.stats;
+		}
+
+		if (evt.type === 'worker-stdout' || evt.type === 'worker-stderr') {
+			this.stdStream.write(evt.chunk);
+		}
+
+		if (OMITTED_EVENTS.has(evt.type)) {
+			return;
+		}
+
+		const record = {};
+		for (const [key, value] of Object.entries(evt)) {
+			switch (key) {
+				case 'chunk': {
+					record.chunk = Buffer.from(value).toString('utf8');
+					break;
+				}
+
+				case 'err': {
+					record.err = this.serializeError(value);
+					break;
+				}
+
+				case 'pendingTests': {
+					record.pendingTests = this.serializePendingTests(value, evt.pendingTestsLogs);
+					break;
+				}
+
+				case 'pendingTestsLogs': {
+					break;
+				}
+
+				case 'stack': {
+					record.stack = serializeStack(value, this.sanitizeStackOutput);
+					break;
+				}
+
+				case 'testFile': {
+					record.testFile = this.relativeFile(value);
+					break;
+				}
+
+				default: {
+					record[key] = value;
+				}
+			}
+		}
+
+		if (this.stats !== null) {
+			if (evt.type === 'worker-finished' || evt.type === 'worker-failed') {
+				record.stats = this.stats.byFile.get(evt.testFile);
+			} else if (evt.type === 'end' || evt.type === 'interrupt') {
+				record.stats = this.serializeStats(this.stats);
+			}
+		}
+
+		this.write(record);
+	}
+
+	endRun() {}
+}
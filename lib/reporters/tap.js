@@ -6,6 +6,7 @@ import plur from 'plur';
 import stripAnsi from 'strip-ansi';
 import * as supertap from 'supertap';
 
+import coverageThresholdMessage from './coverage-threshold-message.js';
 import prefixTitle from './prefix-title.js';
 
 function dumpError({
@@ -44,6 +45,9 @@ function dumpError({
 	return originalError;
 }
 
+// How many of the slowest tests and files to summarize at the end of a run.
+const SLOWEST_COUNT = 5;
+
 export default class TapReporter {
 	constructor(options) {
 		this.i = 0;
@@ -52,10 +56,12 @@ export default class TapReporter {
 		this.stdStream = options.stdStream;
 		this.reportStream = options.reportStream;
 		this.sanitizeStackOutput = options.sanitizeStackOutput;
+		this.slowThreshold = options.slowThreshold;
 
 		this.crashCount = 0;
 		this.filesWithMissingAvaImports = new Set();
 		this.prefixTitle = (testFile, title) => title;
+		this.randomSeed = undefined;
 		this.relativeFile = file => path.relative(options.projectDir, file);
 		this.stats = null;
 	}
@@ -68,6 +74,11 @@ export default class TapReporter {
 		plan.status.on('stateChange', evt => this.consumeStateChange(evt));
 
 		this.reportStream.write(supertap.start() + os.EOL);
+
+		this.randomSeed = plan.randomSeed;
+		if (this.randomSeed !== undefined) {
+			this.writeComment({}, {title: `random order, seed ${this.randomSeed}`});
+		}
 	}
 
 	endRun() {
@@ -80,10 +91,22 @@ export default class TapReporter {
 				todo: this.stats.todoTests,
 			}) + os.EOL);
 
+			if (this.stats.flakyTests > 0) {
+				this.reportStream.write(`# flaky ${this.stats.flakyTests}` + os.EOL);
+			}
+
+			if (this.slowThreshold !== undefined) {
+				this.writeSlowest();
+			}
+
 			if (this.stats.parallelRuns) {
 				const {currentFileCount, currentIndex, totalRuns} = this.stats.parallelRuns;
 				this.reportStream.write(`# Ran ${currentFileCount} test ${plur('file', currentFileCount)} out of ${this.stats.files} for job ${currentIndex + 1} of ${totalRuns}` + os.EOL + os.EOL);
 			}
+
+			if (this.randomSeed !== undefined) {
+				this.reportStream.write(`# Ran tests in random order, reproduce with --random=${this.randomSeed}` + os.EOL);
+			}
 		} else {
 			this.reportStream.write(supertap.finish({
 				crashed: this.crashCount,
@@ -95,6 +118,28 @@ export default class TapReporter {
 		}
 	}
 
+	writeSlowest() {
+		const tests = [];
+		const files = [];
+		for (const [testFile, {duration, durations}] of this.stats.byFile) {
+			files.push({label: this.relativeFile(testFile), duration});
+			for (const test of durations.tests) {
+				tests.push({label: this.prefixTitle(testFile, test.title), duration: test.duration});
+			}
+		}
+
+		for (const [heading, entries] of [['slowest tests', tests], ['slowest files', files]]) {
+			if (entries.length === 0) {
+				continue;
+			}
+
+			this.reportStream.write(`# ${heading}` + os.EOL);
+			for (const {label, duration} of entries.sort((a, b) => b.duration - a.duration).slice(0, SLOWEST_COUNT)) {
+				this.reportStream.write(`#   ${stripAnsi(label)} (${duration}ms)` + os.EOL);
+			}
+		}
+	}
+
 	writeTest(evt, flags) {
 		this.reportStream.write(supertap.test(this.prefixTitle(evt.testFile, evt.title), {
 			comment: evt.logs,
@@ -104,6 +149,15 @@ export default class TapReporter {
 			skip: flags.skip,
 			todo: flags.todo,
 		}) + os.EOL);
+
+		if (evt.tags?.length > 0) {
+			this.writeComment({}, {title: `tags: ${evt.tags.join(', ')}`});
+		}
+
+		if (evt.repeat) {
+			const {iterations, passed, failed} = evt.repeat;
+			this.writeComment({}, {title: `repeated ${iterations} ${plur('time', iterations)}: ${passed} passed, ${failed} failed`});
+		}
 	}
 
 	writeCrash(evt, title) {
@@ -153,6 +207,20 @@ export default class TapReporter {
 		const fileStats = this.stats && evt.testFile ? this.stats.byFile.get(evt.testFile) : null;
 
 		switch (evt.type) {
+			case 'coverage': {
+				for (const line of evt.report.split('\n')) {
+					if (line !== '') {
+						this.writeComment({}, {title: line});
+					}
+				}
+
+				for (const failedThreshold of evt.failedThresholds) {
+					this.writeCrash(evt, coverageThresholdMessage(failedThreshold));
+				}
+
+				break;
+			}
+
 			case 'declared-test': {
 				// Ignore
 				break;
@@ -168,6 +236,11 @@ export default class TapReporter {
 				break;
 			}
 
+			case 'global-hook-failed': {
+				this.writeCrash(evt, evt.hook === 'globalSetup' ? 'Global setup failed' : 'Global teardown failed');
+				break;
+			}
+
 			case 'internal-error': {
 				this.writeCrash(evt);
 				break;
@@ -179,6 +252,25 @@ export default class TapReporter {
 				break;
 			}
 
+			case 'obsolete-snapshots': {
+				const count = evt.titles.length;
+				const title = `${this.relativeFile(evt.testFile)} has obsolete snapshots for ${count} ${plur('test', count)}`;
+				if (evt.failed) {
+					this.writeCrash(evt, title);
+				}
+
+				this.writeComment({logs: evt.titles}, {title});
+				break;
+			}
+
+			case 'open-handles': {
+				const count = evt.handles.length;
+				this.writeComment({
+					logs: evt.handles.map(({description, stack, title}) => `${description} created ${title === undefined ? 'outside of a test or hook' : `by ${this.prefixTitle(evt.testFile, title)}`}\n${stack}`.trim()),
+				}, {title: `${count} open ${plur('handle', count)} in ${this.relativeFile(evt.testFile)}`});
+				break;
+			}
+
 			case 'process-exit': {
 				this.writeProcessExit(evt);
 				break;
@@ -206,6 +298,19 @@ export default class TapReporter {
 
 			case 'test-passed': {
 				this.writeTest(evt, {passed: true, todo: false, skip: false});
+				if (evt.attempts > 1) {
+					this.writeComment({}, {title: `flaky: passed on attempt ${evt.attempts}`});
+				}
+
+				if (this.slowThreshold !== undefined && evt.duration > this.slowThreshold) {
+					this.writeComment({}, {title: `slow: took ${evt.duration}ms`});
+				}
+
+				break;
+			}
+
+			case 'test-retry': {
+				this.writeComment(evt, {title: `retry ${evt.attempt}/${evt.retries}: ${this.prefixTitle(evt.testFile, evt.title)}`});
 				break;
 			}
 
@@ -2,14 +2,39 @@ import v8 from 'node:v8';
 
 import Emittery from 'emittery';
 
-const copyStats = stats => v8.deserialize(v8.serialize(stats));
+// Durations are recorded as tests and hooks finish, and frozen once the test
+// file has finished. Rather than copying them whenever the stats change, share
+// them between the copies.
+const copyStats = stats => {
+	const byFile = new Map([...stats.byFile].map(([file, {durations, ...fileStats}]) => [file, fileStats]));
+	const copy = v8.deserialize(v8.serialize({...stats, byFile}));
+	for (const [file, {durations}] of stats.byFile) {
+		copy.byFile.get(file).durations = durations;
+	}
+
+	return copy;
+};
+
+const recordDuration = ({durations}, kind, {title, duration}) => {
+	if (!Object.isFrozen(durations)) {
+		durations[kind].push(Object.freeze({title, duration}));
+	}
+};
+
+const freezeDurations = ({durations}) => {
+	Object.freeze(durations.hooks);
+	Object.freeze(durations.tests);
+	Object.freeze(durations);
+};
 
 export default class RunStatus extends Emittery {
 	constructor(files, parallelRuns, selectionInsights) {
 		super();
 
+		this.failedTests = new Map();
 		this.pendingTests = new Map();
 		this.pendingTestsLogs = new Map();
+		this.startTimes = new Map();
 
 		this.emptyParallelRun = parallelRuns
 			&& parallelRuns.currentFileCount === 0
@@ -21,13 +46,18 @@ export default class RunStatus extends Emittery {
 		this.stats = {
 			byFile: new Map(),
 			declaredTests: 0,
+			failedCoverageThresholds: 0,
+			failedGlobalHooks: 0,
 			failedHooks: 0,
+			failedObsoleteSnapshots: 0,
 			failedTests: 0,
 			failedWorkers: 0,
 			files,
 			parallelRuns,
 			finishedWorkers: 0,
+			flakyTests: 0,
 			internalErrors: 0,
+			obsoleteSnapshots: 0,
 			remainingTests: 0,
 			passedKnownFailingTests: 0,
 			passedTests: 0,
@@ -46,8 +76,13 @@ export default class RunStatus extends Emittery {
 	observeWorker(worker, testFile, stats) {
 		this.stats.byFile.set(testFile, {
 			declaredTests: 0,
+			// How long the test file took to run, and the durations of its tests
+			// and hooks, in milliseconds.
+			duration: 0,
+			durations: {hooks: [], tests: []},
 			failedHooks: 0,
 			failedTests: 0,
+			flakyTests: 0,
 			internalErrors: 0,
 			remainingTests: 0,
 			passedKnownFailingTests: 0,
@@ -64,6 +99,7 @@ export default class RunStatus extends Emittery {
 
 		this.pendingTests.set(testFile, new Set());
 		this.pendingTestsLogs.set(testFile, new Map());
+		this.startTimes.set(testFile, Date.now());
 		worker.onStateChange(data => this.emitStateChange(data));
 	}
 
@@ -74,15 +110,32 @@ export default class RunStatus extends Emittery {
 
 		let changedStats = true;
 		switch (event.type) {
+			case 'coverage': {
+				stats.failedCoverageThresholds = event.failedThresholds.length;
+				break;
+			}
+
 			case 'declared-test': {
 				stats.declaredTests++;
 				fileStats.declaredTests++;
 				break;
 			}
 
+			case 'global-hook-failed': {
+				stats.failedGlobalHooks++;
+				break;
+			}
+
 			case 'hook-failed': {
 				stats.failedHooks++;
 				fileStats.failedHooks++;
+				recordDuration(fileStats, 'hooks', event);
+				this.addFailedFile(event.testFile);
+				break;
+			}
+
+			case 'hook-finished': {
+				recordDuration(fileStats, 'hooks', event);
 				break;
 			}
 
@@ -90,6 +143,16 @@ export default class RunStatus extends Emittery {
 				stats.internalErrors++;
 				if (event.testFile) {
 					fileStats.internalErrors++;
+					this.addFailedFile(event.testFile);
+				}
+
+				break;
+			}
+
+			case 'obsolete-snapshots': {
+				stats.obsoleteSnapshots += event.titles.length;
+				if (event.failed) {
+					stats.failedObsoleteSnapshots += event.titles.length;
 				}
 
 				break;
@@ -121,6 +184,8 @@ export default class RunStatus extends Emittery {
 			case 'test-failed': {
 				stats.failedTests++;
 				fileStats.failedTests++;
+				recordDuration(fileStats, 'tests', event);
+				this.addFailedTest(event);
 				stats.remainingTests--;
 				fileStats.remainingTests--;
 				this.removePendingTest(event);
@@ -136,6 +201,14 @@ export default class RunStatus extends Emittery {
 					fileStats.passedTests++;
 				}
 
+				recordDuration(fileStats, 'tests', event);
+
+				// Tests that only passed after being retried are flaky.
+				if (event.attempts > 1) {
+					stats.flakyTests++;
+					fileStats.flakyTests++;
+				}
+
 				stats.remainingTests--;
 				fileStats.remainingTests--;
 				this.removePendingTest(event);
@@ -153,8 +226,11 @@ export default class RunStatus extends Emittery {
 				event.pendingTestsLogs = this.pendingTestsLogs;
 				this.pendingTests = new Map();
 				this.pendingTestsLogs = new Map();
-				for (const testsInFile of event.pendingTests.values()) {
+				for (const [testFile, testsInFile] of event.pendingTests) {
 					stats.timedOutTests += testsInFile.size;
+					if (testsInFile.size > 0) {
+						this.addFailedFile(testFile);
+					}
 				}
 
 				break;
@@ -171,6 +247,7 @@ export default class RunStatus extends Emittery {
 			case 'process-exit': {
 				stats.unexpectedProcessExits++;
 				fileStats.unexpectedProcessExits++;
+				this.addFailedFile(event.testFile);
 				event.pendingTests = this.pendingTests;
 				event.pendingTestsLogs = this.pendingTestsLogs;
 				this.pendingTests = new Map();
@@ -181,22 +258,29 @@ export default class RunStatus extends Emittery {
 			case 'uncaught-exception': {
 				stats.uncaughtExceptions++;
 				fileStats.uncaughtExceptions++;
+				this.addFailedFile(event.testFile);
 				break;
 			}
 
 			case 'unhandled-rejection': {
 				stats.unhandledRejections++;
 				fileStats.unhandledRejections++;
+				this.addFailedFile(event.testFile);
 				break;
 			}
 
 			case 'worker-failed': {
 				stats.failedWorkers++;
+				fileStats.duration = Date.now() - this.startTimes.get(event.testFile);
+				this.addFailedFile(event.testFile);
+				freezeDurations(fileStats);
 				break;
 			}
 
 			case 'worker-finished': {
 				stats.finishedWorkers++;
+				fileStats.duration = Date.now() - this.startTimes.get(event.testFile);
+				freezeDurations(fileStats);
 				if (this.pendingTests.get(event.testFile)?.size === 0) {
 					this.pendingTests.delete(event.testFile);
 				}
@@ -218,6 +302,10 @@ export default class RunStatus extends Emittery {
 	}
 
 	end() {
+		for (const fileStats of this.stats.byFile.values()) {
+			freezeDurations(fileStats);
+		}
+
 		this.emitStateChange({type: 'end'});
 		return this;
 	}
@@ -234,7 +322,10 @@ export default class RunStatus extends Emittery {
 		if (
 			this.stats.declaredTests === 0
 			|| this.stats.internalErrors > 0
+			|| this.stats.failedCoverageThresholds > 0
+			|| this.stats.failedGlobalHooks > 0
 			|| this.stats.failedHooks > 0
+			|| this.stats.failedObsoleteSnapshots > 0
 			|| this.stats.failedTests > 0
 			|| this.stats.failedWorkers > 0
 			|| this.stats.remainingTests > 0
@@ -270,7 +361,24 @@ export default class RunStatus extends Emittery {
 		}
 	}
 
-	getFailedTestFiles() {
-		return [...this.stats.byFile].filter(statByFile => statByFile[1].failedTests).map(statByFile => statByFile[0]);
+	addFailedTest(event) {
+		const titles = this.failedTests.get(event.testFile);
+		if (titles === undefined) {
+			this.failedTests.set(event.testFile, [event.title]);
+		} else if (titles.length > 0) {
+			titles.push(event.title);
+		}
+	}
+
+	// Failures outside of tests, such as in hooks or crashes, mean the whole file
+	// has to be rerun. This is recorded as an empty list of titles.
+	addFailedFile(testFile) {
+		this.failedTests.set(testFile, []);
+	}
+
+	// Returns a map of test files to the titles of their failed tests. If the
+	// list of titles is empty, the whole file failed.
+	getFailedTests() {
+		return this.failedTests;
 	}
 }
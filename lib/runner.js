@@ -1,14 +1,21 @@
+import path from 'node:path';
 import process from 'node:process';
-import {pathToFileURL} from 'node:url';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+import {inspect} from 'node:util';
 
 import Emittery from 'emittery';
 import * as matcher from 'matcher';
 
 import ContextRef from './context-ref.js';
 import createChain from './create-chain.js';
+import {destructuredNames, FixtureScope, setUpFixtures} from './fixtures.js';
+import {InlineSnapshots} from './inline-snapshots.js';
 import parseTestArgs from './parse-test-args.js';
+import {createRandom, shuffle} from './random.js';
 import serializeError from './serialize-error.js';
+import slash from './slash.cjs';
 import {load as loadSnapshots, determineSnapshotDir} from './snapshot-manager.js';
+import {serialize} from './snapshot-values.js';
 import Runnable from './test.js';
 import {waitForReady} from './worker/state.cjs';
 
@@ -22,26 +29,108 @@ const isTitleMatch = (title, patterns) => {
 	return matcher.isMatch(title, patterns);
 };
 
+// Freezes the value and the objects it contains. Typed arrays cannot be frozen,
+// so they're left as-is.
+const deepFreeze = value => {
+	if (typeof value === 'object' && value !== null && !ArrayBuffer.isView(value) && !Object.isFrozen(value)) {
+		Object.freeze(value);
+		for (const nested of Object.values(value)) {
+			deepFreeze(nested);
+		}
+	}
+
+	return value;
+};
+
+const formatTitleValue = value => typeof value === 'string' ? value : inspect(value, {breakLength: Number.POSITIVE_INFINITY});
+
+// Replaces `$#` with the index of the row, and `$0` or `$name.nested` with the
+// corresponding values of the row. Unknown placeholders are left as-is.
+const interpolateTitle = (template, row, index) => template.replaceAll(/\$(#|\w+(?:\.\w+)*)/g, (placeholder, path) => {
+	if (path === '#') {
+		return String(index);
+	}
+
+	let value = typeof row === 'object' && row !== null ? row : [row];
+	for (const key of path.split('.')) {
+		if (value === null || value === undefined || !(key in new Object(value))) {
+			return placeholder;
+		}
+
+		value = value[key];
+	}
+
+	return formatTitleValue(value);
+});
+
+// Tests with an excluded tag are never selected. Otherwise, if tags are
+// included, tests must have at least one of them.
+const isTagMatch = (tags, {exclude, include}) => {
+	if (tags.some(tag => exclude.includes(tag))) {
+		return false;
+	}
+
+	return include.length === 0 || tags.some(tag => include.includes(tag));
+};
+
 export default class Runner extends Emittery {
 	constructor(options = {}) {
 		super();
 
+		this.acquireLock = options.acquireLock;
 		this.experiments = options.experiments ?? {};
 		this.failFast = options.failFast === true;
+		this.failOnObsoleteSnapshots = options.failOnObsoleteSnapshots === true;
+		this.failedTests = options.failedTests === undefined ? null : new Set(options.failedTests);
 		this.failWithoutAssertions = options.failWithoutAssertions !== false;
 		this.file = options.file;
 		this.checkSelectedByLineNumbers = options.checkSelectedByLineNumbers;
 		this.matchPatterns = options.match ?? [];
 		this.projectDir = options.projectDir;
+		this.pruneSnapshots = options.pruneSnapshots === true;
 		this.recordNewSnapshots = options.recordNewSnapshots === true;
+		this.repeat = options.repeat === undefined && options.untilFailure !== true ? null : {
+			iterations: options.repeat ?? Number.POSITIVE_INFINITY,
+			untilFailure: options.untilFailure === true,
+			stopped: false,
+		};
+		this.retries = options.retries ?? 0;
+		this.runTests = options.runTests !== false;
 		this.serial = options.serial === true;
 		this.snapshotDir = options.snapshotDir;
+		this.snapshotSerializers = options.snapshotSerializers ?? [];
+		this.tagFilter = {exclude: options.excludeTags ?? [], include: options.tags ?? []};
+		// Runs tests and hooks, so the resources they create can be attributed to
+		// them.
+		this.runWithinRunnable = options.runWithinRunnable ?? ((title, fn) => fn());
 		this.updateSnapshots = options.updateSnapshots;
 
+		// Derive the random order of the tests from the path of the test file, so
+		// it's the same regardless of the order in which the files run.
+		this.random = null;
+		if (options.randomSeed !== undefined) {
+			const file = options.file.startsWith('file://') ? fileURLToPath(options.file) : options.file;
+			this.random = createRandom(`${options.randomSeed}:${slash(path.relative(options.projectDir ?? '', file))}`);
+		}
+
 		this.activeRunnables = new Set();
+		this.fileFixtureTeardowns = [];
+		this.fileFixtures = new FixtureScope(teardown => {
+			this.fileFixtureTeardowns.push(teardown);
+		});
+		this.group = null;
+		this.groups = [];
 		this.boundCompareTestSnapshot = this.compareTestSnapshot.bind(this);
 		this.boundSkipSnapshot = this.skipSnapshot.bind(this);
+		this.boundCompareInlineSnapshot = this.compareInlineSnapshot.bind(this);
+		this.inlineSnapshots = new InlineSnapshots({
+			recordNewSnapshots: this.recordNewSnapshots,
+			updating: this.updateSnapshots,
+		});
 		this.interrupted = false;
+		// Titles of the tests that passed, excluding those that are expected to
+		// fail.
+		this.passedTests = new Set();
 		this.runOnlyExclusive = false;
 
 		this.nextTaskIndex = 0;
@@ -79,12 +168,16 @@ export default class Runner extends Emittery {
 		let scheduledStart = false;
 		const meta = Object.freeze({
 			file: makeFileURL(options.file),
+			// The result of the global setup is shared by all tests.
+			globalSetup: deepFreeze(options.globalSetupResult),
 			get snapshotDirectory() {
 				const {file, snapshotDir: fixedLocation, projectDir} = options;
 				return makeFileURL(determineSnapshotDir({file, fixedLocation, projectDir}));
 			},
 		});
-		this.chain = createChain((metadata, testArgs) => { // eslint-disable-line complexity
+		// Tests declared with `test.each()` are declared for each row, with the
+		// lines selected for that row.
+		const declare = (metadata, testArgs, selectedLines) => { // eslint-disable-line complexity
 			if (hasStarted) {
 				throw new Error('All tests and hooks must be declared synchronously in your test file, and cannot be nested within other tests or hooks.');
 			}
@@ -93,15 +186,45 @@ export default class Runner extends Emittery {
 				scheduledStart = true;
 				process.nextTick(() => {
 					hasStarted = true;
-					this.start();
+					// When pruning snapshots the tests are declared, but not run.
+					if (this.runTests) {
+						this.start();
+					} else {
+						this.emit('finish');
+					}
 				});
 			}
 
+			if (metadata.type === 'group') {
+				this.declareGroup(metadata, testArgs);
+				return;
+			}
+
+			if (metadata.each !== undefined) {
+				this.declareEach(metadata, testArgs, declare);
+				return;
+			}
+
 			metadata.taskIndex = this.nextTaskIndex++;
 
 			const {args, implementation, title} = parseTestArgs(testArgs);
 
-			metadata.selected &&= this.checkSelectedByLineNumbers?.() ?? true;
+			const {group} = this;
+			if (group !== null) {
+				metadata.serial ||= group.serial;
+				metadata.skipped ||= group.skipped;
+				if (metadata.type === 'test') {
+					metadata.exclusive ||= group.exclusive;
+				}
+			}
+
+			if (metadata.type === 'test') {
+				metadata.selected &&= this.isSelectedByLineNumbers(selectedLines);
+			}
+
+			if (title.isValid && group !== null) {
+				title.value = `${group.title} › ${title.value}`;
+			}
 
 			if (metadata.todo) {
 				if (implementation) {
@@ -116,14 +239,17 @@ export default class Runner extends Emittery {
 					throw new Error(`Duplicate test title: ${title.value}`);
 				}
 
-				// --match selects TODO tests.
-				metadata.selected &&= isTitleMatch(title.value, this.matchPatterns);
+				// --match and --tag select TODO tests.
+				metadata.selected &&= this.isMatch(title.value, metadata.tags);
 
-				this.tasks.todo.push({title: title.value, metadata});
+				const task = {title: title.value, metadata};
+				this.tasks.todo.push(task);
+				this.addToGroups(task);
 				this.emit('stateChange', {
 					type: 'declared-test',
 					title: title.value,
 					knownFailing: false,
+					tags: metadata.tags,
 					todo: true,
 				});
 			} else {
@@ -144,6 +270,10 @@ export default class Runner extends Emittery {
 					} else {
 						fallbackTitle = `${metadata.type} hook`;
 					}
+
+					if (group !== null) {
+						fallbackTitle = `${group.title} › ${fallbackTitle}`;
+					}
 				}
 
 				if (metadata.type === 'test' && !this.registerUniqueTitle(title.value)) {
@@ -158,12 +288,14 @@ export default class Runner extends Emittery {
 				};
 
 				if (metadata.type === 'test') {
-					task.metadata.selected &&= isTitleMatch(title.value, this.matchPatterns);
+					task.group = group;
+					task.metadata.selected &&= this.isMatch(title.value, metadata.tags);
 					// Unmatched .only() are not selected and won't run. However, runOnlyExclusive can only be true if no titles
 					// are being matched.
 					this.runOnlyExclusive ||= this.matchPatterns.length === 0 && task.metadata.exclusive && task.metadata.selected;
 
 					this.tasks[metadata.serial ? 'serial' : 'concurrent'].push(task);
+					this.addToGroups(task);
 
 					this.snapshots.touch(title.value, metadata.taskIndex);
 
@@ -171,13 +303,16 @@ export default class Runner extends Emittery {
 						type: 'declared-test',
 						title: title.value,
 						knownFailing: metadata.failing,
+						tags: metadata.tags,
 						todo: false,
 					});
 				} else if (!metadata.skipped) {
-					this.tasks[metadata.type + (metadata.always ? 'Always' : '')].push(task);
+					(group?.hooks ?? this.tasks)[metadata.type + (metadata.always ? 'Always' : '')].push(task);
 				}
 			}
-		}, {
+		};
+
+		this.chain = createChain(declare, {
 			serial: false,
 			exclusive: false,
 			skipped: false,
@@ -187,9 +322,125 @@ export default class Runner extends Emittery {
 			callback: false,
 			inline: false, // Set for attempt metadata created by `t.try()`
 			always: false,
+			tags: [],
+			locks: [],
 		}, meta);
 	}
 
+	declareEach({each: table, ...metadata}, testArgs, declare) {
+		const template = typeof testArgs[0] === 'string' ? testArgs.shift() : undefined;
+		const [implementation, ...args] = testArgs;
+
+		const selectedLines = this.checkSelectedByLineNumbers?.();
+		if (selectedLines !== undefined) {
+			this.isSelectedByLineNumbers(selectedLines);
+		}
+
+		// Selecting a line of a row, rather than elsewhere in the declaration,
+		// selects just that row.
+		const selectsRows = selectedLines?.rows?.some(lines => lines.length > 0) ?? false;
+
+		for (const [index, row] of table.entries()) {
+			const titleArgs = template === undefined ? [] : [interpolateTitle(template, row, index)];
+			const rowArgs = Array.isArray(row) ? row : [row];
+			declare({...metadata}, [...titleArgs, implementation, ...rowArgs, ...args], selectsRows ? selectedLines.rows[index] : selectedLines);
+		}
+	}
+
+	declareGroup(metadata, [title, declare]) {
+		if (typeof title !== 'string') {
+			throw new TypeError('Group titles must be strings');
+		}
+
+		title = title.trim().replaceAll(/\s+/g, ' ');
+		if (title === '') {
+			throw new TypeError('Groups must have a title');
+		}
+
+		if (typeof declare !== 'function') {
+			throw new TypeError('Expected a function that declares the tests and hooks of the group');
+		}
+
+		const parent = this.group;
+		const group = {
+			title: parent === null ? title : `${parent.title} › ${title}`,
+			parent,
+			serial: metadata.serial || (parent?.serial ?? false),
+			exclusive: metadata.exclusive || (parent?.exclusive ?? false),
+			skipped: metadata.skipped || (parent?.skipped ?? false),
+			// The selected line numbers within the group, but outside of the tests
+			// and groups declared within it.
+			selectedLines: new Set(),
+			hooks: {
+				after: [],
+				afterAlways: [],
+				afterEach: [],
+				afterEachAlways: [],
+				before: [],
+				beforeEach: [],
+			},
+			tasks: [],
+			// Set when the tests of the group start running.
+			remainingTests: 0,
+			entered: null,
+			left: false,
+			ok: true,
+		};
+
+		const selectedLines = this.checkSelectedByLineNumbers?.();
+		if (selectedLines !== undefined) {
+			group.selectedLines = new Set(selectedLines);
+			this.isSelectedByLineNumbers(selectedLines);
+		}
+
+		this.groups.push(group);
+		this.group = group;
+		try {
+			const result = declare();
+			if (typeof result?.then === 'function') {
+				throw new TypeError('Groups must be declared synchronously. Do not use an async function or return a promise.');
+			}
+		} finally {
+			this.group = parent;
+		}
+
+		// Selecting a line of the group, rather than one of its tests, selects
+		// all of its tests.
+		if (group.selectedLines.size > 0) {
+			for (const task of group.tasks) {
+				task.metadata.selected ||= this.isMatch(task.title, task.metadata.tags);
+				this.runOnlyExclusive ||= this.matchPatterns.length === 0 && task.metadata.exclusive && task.metadata.selected;
+			}
+		}
+	}
+
+	isMatch(title, tags) {
+		return isTitleMatch(title, this.matchPatterns)
+			&& isTagMatch(tags, this.tagFilter)
+			&& (this.failedTests === null || this.failedTests.has(title));
+	}
+
+	addToGroups(task) {
+		for (let {group} = this; group !== null; group = group.parent) {
+			group.tasks.push(task);
+		}
+	}
+
+	isSelectedByLineNumbers(selectedLines = this.checkSelectedByLineNumbers?.()) {
+		if (selectedLines === undefined) {
+			return true;
+		}
+
+		// Lines of tests and groups don't select the group they're declared in.
+		for (let {group} = this; group !== null; group = group.parent) {
+			for (const line of selectedLines) {
+				group.selectedLines.delete(line);
+			}
+		}
+
+		return selectedLines.length > 0;
+	}
+
 	get snapshots() {
 		if (this._snapshots) {
 			return this._snapshots;
@@ -214,15 +465,73 @@ export default class Runner extends Emittery {
 	}
 
 	compareTestSnapshot(options) {
-		return this.snapshots.compare(options);
+		return this.snapshots.compare({...options, expected: serialize(options.expected, this.snapshotSerializers)});
+	}
+
+	compareInlineSnapshot(options) {
+		return this.inlineSnapshots.compare({...options, expected: serialize(options.expected, this.snapshotSerializers)});
 	}
 
 	skipSnapshot(options) {
 		return this.snapshots.skipSnapshot(options);
 	}
 
+	// Whether all tests that were declared were selected to run.
+	isUnfiltered() {
+		return this.runTests
+			&& !this.runOnlyExclusive
+			&& this.matchPatterns.length === 0
+			&& this.tagFilter.include.length === 0
+			&& this.tagFilter.exclude.length === 0
+			&& this.failedTests === null
+			&& this.checkSelectedByLineNumbers === undefined;
+	}
+
+	// Snapshot blocks of tests that are no longer declared are obsolete. So are
+	// snapshots that tests no longer access, though this is only known for tests
+	// that passed in a run that was not filtered. Remove them when pruning, or
+	// otherwise report them. When updating snapshots they're removed as the
+	// snapshot file is rewritten.
+	async checkObsoleteSnapshots() {
+		const completedTitles = this.isUnfiltered() ? this.passedTests : new Set();
+		if (this.pruneSnapshots) {
+			const titles = this.snapshots.prune(completedTitles);
+			if (titles.length > 0) {
+				await this.emit('stateChange', {
+					type: 'snapshots-pruned',
+					snapPath: this.snapshots.snapPath,
+					titles,
+				});
+			}
+		} else if (!this.updateSnapshots) {
+			const titles = this.snapshots.obsoleteTitles(completedTitles);
+			if (titles.length > 0) {
+				await this.emit('stateChange', {
+					type: 'obsolete-snapshots',
+					failed: this.failOnObsoleteSnapshots,
+					snapPath: this.snapshots.snapPath,
+					titles,
+				});
+			}
+		}
+	}
+
 	async saveSnapshotState() {
-		return {touchedFiles: await this.snapshots.save()};
+		await this.checkObsoleteSnapshots();
+		const [snapshotFiles, inlineSnapshotFiles] = await Promise.all([
+			this.snapshots.save(),
+			this.inlineSnapshots.save(),
+		]);
+		if (inlineSnapshotFiles === null) {
+			return {touchedFiles: snapshotFiles};
+		}
+
+		return {
+			touchedFiles: {
+				changedFiles: [...snapshotFiles?.changedFiles ?? [], ...inlineSnapshotFiles.changedFiles],
+				temporaryFiles: [...snapshotFiles?.temporaryFiles ?? [], ...inlineSnapshotFiles.temporaryFiles],
+			},
+		};
 	}
 
 	onRun(runnable) {
@@ -279,7 +588,7 @@ export default class Runner extends Emittery {
 
 	async runSingle(runnable) {
 		this.onRun(runnable);
-		const result = await runnable.run();
+		const result = await this.runWithinRunnable(runnable.title, () => runnable.run());
 		// If run() throws or rejects then the entire test run crashes, so
 		// onRunComplete() doesn't *have* to be inside a finally.
 		this.onRunComplete(runnable);
@@ -326,10 +635,313 @@ export default class Runner extends Emittery {
 		return outcome.allPassed;
 	}
 
+	// Runs the `before` hooks of the group, and those of the groups it is
+	// declared in, before the first of its tests. Tests in the group start with
+	// the resulting context.
+	async enterGroup(group, contextRef) {
+		group.entered ??= (async () => {
+			const parent = group.parent === null ? {ok: true, contextRef} : await this.enterGroup(group.parent, contextRef);
+			// Don't run any hooks if a `before` hook of an enclosing group failed.
+			if (!parent.ok) {
+				return {ok: false};
+			}
+
+			const groupContextRef = parent.contextRef.copy();
+			const ok = await this.runHooks(group.hooks.before, groupContextRef);
+			return {ok, contextRef: groupContextRef};
+		})();
+
+		return group.entered;
+	}
+
+	// Runs the `after` hooks of the group once all its tests have completed, and
+	// only if they passed. `after.always` hooks run regardless.
+	async leaveGroup(group) {
+		if (group.left || group.entered === null) {
+			return true;
+		}
+
+		group.left = true;
+		const {contextRef} = await group.entered;
+		if (contextRef === undefined) {
+			return false;
+		}
+
+		group.ok &&= await this.runHooks(group.hooks.after, contextRef);
+
+		const alwaysOk = await this.runHooks(group.hooks.afterAlways, contextRef);
+		return group.ok && alwaysOk;
+	}
+
+	async completeGroupTest(group, ok) {
+		for (; group !== null; group = group.parent) {
+			group.ok &&= ok;
+			if (--group.remainingTests === 0) {
+				ok = await this.leaveGroup(group) && ok; // eslint-disable-line no-await-in-loop
+			}
+		}
+
+		return ok;
+	}
+
+	// Not all tests of a group run if `failFast` is enabled or the run is
+	// interrupted. Leave these groups, inner groups first, so their
+	// `after.always` hooks still run.
+	async leaveIncompleteGroups() {
+		for (const group of [...this.groups].reverse()) {
+			if (!group.left && group.entered !== null) {
+				group.ok = false;
+				await this.leaveGroup(group); // eslint-disable-line no-await-in-loop
+			}
+		}
+	}
+
+	countGroupTest(task) {
+		for (let {group} = task; group !== null; group = group.parent) {
+			group.remainingTests++;
+		}
+	}
+
+	async repeatTest(runAttempts) {
+		const {iterations, untilFailure} = this.repeat;
+		const repeat = {iterations: 0, passed: 0, failed: 0};
+		let ok = true;
+		let firstFailure = null;
+		let lastResult = null;
+		// Tests run at least once, even if other tests already stopped the repeating.
+		for (let iteration = 1; iteration === 1 || (iteration <= iterations && !this.repeat.stopped && !this.interrupted); iteration++) {
+			const {ok: iterationOk, testResult} = await runAttempts(iteration); // eslint-disable-line no-await-in-loop
+			ok &&= iterationOk;
+
+			if (testResult !== null) {
+				repeat.iterations++;
+				lastResult = testResult;
+				if (testResult.type === 'test-passed') {
+					repeat.passed++;
+				} else {
+					repeat.failed++;
+					firstFailure ??= testResult;
+				}
+			}
+
+			if (!iterationOk) {
+				// Stop repeating all tests once one fails, if requested.
+				if (untilFailure || this.failFast) {
+					this.repeat.stopped = true;
+				}
+
+				// Stop repeating this test if its hooks failed.
+				if (this.repeat.stopped || testResult?.type !== 'test-failed') {
+					break;
+				}
+			}
+		}
+
+		// Report the first failure, if any, along with the results of all
+		// iterations.
+		if (lastResult !== null) {
+			this.emit('stateChange', {...(firstFailure ?? lastResult), repeat});
+		}
+
+		return ok;
+	}
+
 	async runTest(task, contextRef) {
+		if (task.group !== null) {
+			const entered = await this.enterGroup(task.group, contextRef);
+			// Don't run the test if a `before` hook of its groups failed.
+			if (!entered.ok) {
+				return this.completeGroupTest(task.group, false);
+			}
+
+			contextRef = entered.contextRef;
+		}
+
+		// Tests declared with `test.lock()` wait until no other test, in any
+		// worker, holds any of their locks. The locks are held while the test and
+		// its `beforeEach` and `afterEach` hooks run.
+		let lock = null;
+		if (task.metadata.locks.length > 0) {
+			lock = this.acquireLock(task.metadata.locks);
+			await lock.granted;
+		}
+
+		let ok;
+		try {
+			ok = await this.runTestAttempts(task, contextRef);
+		} finally {
+			lock?.release();
+		}
+
+		return task.group === null ? ok : this.completeGroupTest(task.group, ok);
+	}
+
+	async runTestAttempts(task, contextRef) {
+		// Tests declared with `test.retry()` override the global option.
+		const retries = task.metadata.retries ?? this.retries;
+
+		const runAttempts = async iteration => {
+			let ok;
+			let hooksOk = true;
+			let testResult = null;
+			for (let attempt = 1; ok === undefined; attempt++) {
+				// Each attempt starts with the context as it was after the `before` hooks.
+				const outcome = await this.runTestAttempt(task, contextRef.copy(), {attempt, iteration, retries}); // eslint-disable-line no-await-in-loop
+				hooksOk &&= outcome.hooksOk;
+				if (!outcome.retrying) {
+					ok = hooksOk && outcome.testOk;
+					({testResult} = outcome);
+				}
+			}
+
+			return {ok, testResult};
+		};
+
+		if (this.repeat === null) {
+			const {ok} = await runAttempts();
+			return ok;
+		}
+
+		return this.repeatTest(runAttempts);
+	}
+
+	// Hooks of the file run first, followed by those of the outermost group, in
+	// turn followed by those of the groups nested within it. `afterEach` hooks
+	// run in reverse.
+	collectEachHooks(task, type) {
+		const levels = [this.tasks[type]];
+		for (let {group} = task; group !== null; group = group.parent) {
+			levels.splice(1, 0, group.hooks[type]);
+		}
+
+		return type.startsWith('after') ? levels.reverse() : levels;
+	}
+
+	async runEachHooks(task, type, contextRef, options) {
+		let ok = true;
+		for (const hooks of this.collectEachHooks(task, type)) {
+			// Only `always` hooks run after a previous level failed.
+			if (!ok && !type.endsWith('Always')) {
+				break;
+			}
+
+			ok = await this.runHooks(hooks, contextRef, options) && ok; // eslint-disable-line no-await-in-loop
+		}
+
+		return ok;
+	}
+
+	// When repeating tests, the results of each iteration are reported as
+	// `test-iteration` events. The overall result is reported once the test is
+	// done repeating.
+	emitTestResult(event, iteration) {
+		if (iteration === undefined) {
+			this.emit('stateChange', event);
+		} else {
+			this.emit('stateChange', {
+				...event,
+				type: 'test-iteration',
+				passed: event.type === 'test-passed',
+				iteration,
+			});
+		}
+	}
+
+	// Tests declared with `test.extend()` can destructure fixtures from their
+	// execution context. Only those fixtures, and the fixtures they depend on,
+	// are set up before the test implementation is called.
+	withFixtures({implementation, metadata: {fixtures}}, fn) {
+		if (fixtures === undefined) {
+			return fn;
+		}
+
+		let names;
+		let rest;
+		try {
+			({names, rest} = destructuredNames(implementation, 'the test implementation'));
+		} catch (error) {
+			return () => {
+				throw error;
+			};
+		}
+
+		const requested = rest ? [...fixtures.keys()] : names.filter(name => fixtures.has(name));
+		const checkConflicts = t => {
+			const conflict = [...fixtures.keys()].find(name => name in t);
+			if (conflict !== undefined) {
+				throw new Error(`The ’${conflict}’ fixture conflicts with \`t.${conflict}\``);
+			}
+		};
+
+		const defineFixtures = (t, values) => {
+			for (const name of fixtures.keys()) {
+				Object.defineProperty(t, name, Object.hasOwn(values, name) ? {enumerable: true, value: values[name]} : {
+					get() {
+						throw new Error(`The ’${name}’ fixture must be destructured from the execution context in the parameters of the test implementation`);
+					},
+				});
+			}
+		};
+
+		if (requested.length === 0) {
+			return t => {
+				checkConflicts(t);
+				defineFixtures(t, {});
+				return fn(t);
+			};
+		}
+
+		return async t => {
+			checkConflicts(t);
+			const values = await setUpFixtures(requested, fixtures, {
+				fileScope: this.fileFixtures,
+				testScope: new FixtureScope(teardown => t.teardown(teardown)),
+			});
+			defineFixtures(t, values);
+			return fn(t);
+		};
+	}
+
+	// File-scoped fixtures are torn down after the `after.always` hooks, in the
+	// reverse order in which they were set up.
+	async teardownFileFixtures(contextRef) {
+		if (this.fileFixtureTeardowns.length === 0) {
+			return;
+		}
+
+		const teardowns = this.fileFixtureTeardowns.reverse();
+		this.fileFixtureTeardowns = [];
+		await this.runHooks([{
+			title: 'file-scoped fixtures teardown',
+			async implementation() {
+				let failure;
+				for (const teardown of teardowns) {
+					try {
+						await teardown(); // eslint-disable-line no-await-in-loop
+					} catch (error) {
+						failure ??= {error};
+					}
+				}
+
+				if (failure !== undefined) {
+					throw failure.error;
+				}
+			},
+			args: [],
+			metadata: {
+				type: 'afterAlways',
+				always: true,
+				failing: false,
+				inline: false,
+			},
+		}], contextRef);
+	}
+
+	async runTestAttempt(task, contextRef, {attempt, iteration, retries}) {
 		const hookSuffix = ` for ${task.title}`;
-		let hooksOk = await this.runHooks(
-			this.tasks.beforeEach,
+		let hooksOk = await this.runEachHooks(
+			task,
+			'beforeEach',
 			contextRef,
 			{
 				titleSuffix: hookSuffix,
@@ -337,16 +949,20 @@ export default class Runner extends Emittery {
 		);
 
 		let testOk = false;
+		let retrying = false;
+		let testResult = null;
 		if (hooksOk) {
 			// Only run the test if all `beforeEach` hooks passed.
 			const test = new Runnable({
 				contextRef,
+				deferSnapshotRecordings: retries > 0,
 				experiments: this.experiments,
 				failWithoutAssertions: this.failWithoutAssertions,
-				fn: task.args.length === 0
+				fn: this.withFixtures(task, task.args.length === 0
 					? task.implementation
-					: t => Reflect.apply(task.implementation, null, [t, ...task.args]),
+					: t => Reflect.apply(task.implementation, null, [t, ...task.args])),
 				compareTestSnapshot: this.boundCompareTestSnapshot,
+				compareInlineSnapshot: this.boundCompareInlineSnapshot,
 				skipSnapshot: this.boundSkipSnapshot,
 				updateSnapshots: this.updateSnapshots,
 				metadata: task.metadata,
@@ -364,49 +980,89 @@ export default class Runner extends Emittery {
 			const result = await this.runSingle(test);
 			testOk = result.passed;
 
+			// Snapshots are only recorded by the last attempt, so a failed attempt
+			// doesn't leave its snapshots behind for the next one.
+			const retryAttempt = !testOk && attempt <= retries && !this.interrupted;
+			if (!retryAttempt) {
+				for (const record of result.deferredSnapshotRecordings) {
+					record();
+				}
+			}
+
 			if (testOk) {
-				this.emit('stateChange', {
+				testResult = {
 					type: 'test-passed',
 					title: result.title,
 					duration: result.duration,
 					knownFailing: result.metadata.failing,
 					logs: result.logs,
-				});
+					tags: result.metadata.tags,
+					attempts: attempt,
+				};
+				this.emitTestResult(testResult, iteration);
+				if (!result.metadata.failing) {
+					this.passedTests.add(result.title);
+				}
 
-				hooksOk = await this.runHooks(
-					this.tasks.afterEach,
+				hooksOk = await this.runEachHooks(
+					task,
+					'afterEach',
 					contextRef,
 					{
 						titleSuffix: hookSuffix,
 						testPassed: testOk,
 					});
-			} else {
+			} else if (retryAttempt) {
+				retrying = true;
 				this.emit('stateChange', {
-					type: 'test-failed',
+					type: 'test-retry',
 					title: result.title,
 					err: serializeError(result.error, {testFile: this.file}),
 					duration: result.duration,
 					knownFailing: result.metadata.failing,
 					logs: result.logs,
+					tags: result.metadata.tags,
+					attempt,
+					retries,
 				});
 				// Don't run `afterEach` hooks if the test failed.
+			} else {
+				testResult = {
+					type: 'test-failed',
+					title: result.title,
+					err: serializeError(result.error, {testFile: this.file}),
+					duration: result.duration,
+					knownFailing: result.metadata.failing,
+					logs: result.logs,
+					tags: result.metadata.tags,
+					attempts: attempt,
+				};
+				this.emitTestResult(testResult, iteration);
+				// Don't run `afterEach` hooks if the test failed.
 			}
 		}
 
-		const alwaysOk = await this.runHooks(
-			this.tasks.afterEachAlways,
+		const alwaysOk = await this.runEachHooks(
+			task,
+			'afterEachAlways',
 			contextRef,
 			{
 				titleSuffix: hookSuffix,
 				testPassed: testOk,
 			});
-		return alwaysOk && hooksOk && testOk;
+		return {
+			hooksOk: alwaysOk && hooksOk,
+			testOk,
+			retrying,
+			testResult,
+		};
 	}
 
 	async start() {
 		const concurrentTests = [];
 		const serialTests = [];
-		for (const task of this.tasks.serial) {
+		const order = tasks => this.random === null ? tasks : shuffle(tasks, this.random);
+		for (const task of order(this.tasks.serial)) {
 			if (!task.metadata.selected || (this.runOnlyExclusive && !task.metadata.exclusive)) {
 				this.snapshots.skipBlock(task.title, task.metadata.taskIndex);
 				continue;
@@ -417,6 +1073,7 @@ export default class Runner extends Emittery {
 				title: task.title,
 				knownFailing: task.metadata.failing,
 				skip: task.metadata.skipped,
+				tags: task.metadata.tags,
 				todo: false,
 			});
 
@@ -424,10 +1081,11 @@ export default class Runner extends Emittery {
 				this.snapshots.skipBlock(task.title, task.metadata.taskIndex);
 			} else {
 				serialTests.push(task);
+				this.countGroupTest(task);
 			}
 		}
 
-		for (const task of this.tasks.concurrent) {
+		for (const task of order(this.tasks.concurrent)) {
 			if (!task.metadata.selected || (this.runOnlyExclusive && !task.metadata.exclusive)) {
 				this.snapshots.skipBlock(task.title, task.metadata.taskIndex);
 				continue;
@@ -438,6 +1096,7 @@ export default class Runner extends Emittery {
 				title: task.title,
 				knownFailing: task.metadata.failing,
 				skip: task.metadata.skipped,
+				tags: task.metadata.tags,
 				todo: false,
 			});
 
@@ -445,8 +1104,10 @@ export default class Runner extends Emittery {
 				this.snapshots.skipBlock(task.title, task.metadata.taskIndex);
 			} else if (this.serial) {
 				serialTests.push(task);
+				this.countGroupTest(task);
 			} else {
 				concurrentTests.push(task);
+				this.countGroupTest(task);
 			}
 		}
 
@@ -460,6 +1121,7 @@ export default class Runner extends Emittery {
 				title: task.title,
 				knownFailing: false,
 				skip: false,
+				tags: task.metadata.tags,
 				todo: true,
 			});
 		}
@@ -495,7 +1157,7 @@ export default class Runner extends Emittery {
 					return false;
 				}
 
-				return this.runTest(task, contextRef.copy());
+				return this.runTest(task, contextRef);
 			}, true);
 		});
 		const concurrentPromise = Promise.all([beforePromise, serialPromise]).then(async ([beforeHooksOk, serialOk]) => { // eslint-disable-line promise/prefer-await-to-then
@@ -512,7 +1174,7 @@ export default class Runner extends Emittery {
 
 			// If a concurrent test fails, even if `failFast` is enabled it won't
 			// stop other concurrent tests from running.
-			const allOkays = await Promise.all(concurrentTests.map(task => this.runTest(task, contextRef.copy())));
+			const allOkays = await Promise.all(concurrentTests.map(task => this.runTest(task, contextRef)));
 			return allOkays.every(Boolean);
 		});
 
@@ -521,6 +1183,8 @@ export default class Runner extends Emittery {
 
 		try {
 			const ok = await concurrentPromise;
+			await this.leaveIncompleteGroups();
+
 			// Only run `after` hooks if all hooks and tests passed.
 			if (ok) {
 				await this.runHooks(this.tasks.after, contextRef);
@@ -528,6 +1192,7 @@ export default class Runner extends Emittery {
 
 			// Always run `after.always` hooks.
 			await this.runHooks(this.tasks.afterAlways, contextRef);
+			await this.teardownFileFixtures(contextRef);
 			process.removeListener('beforeExit', beforeExitHandler);
 			await this.emit('finish');
 		} catch (error) {
@@ -1,24 +1,65 @@
 import fs from 'node:fs';
 import path from 'node:path';
 
+import chunkd from 'chunkd';
 import writeFileAtomic from 'write-file-atomic';
 
 import isCi from './is-ci.js';
+import slash from './slash.cjs';
 
 const FILENAME = 'failing-tests.json';
 
+function readDurations(filename) {
+	let durations;
+	try {
+		durations = JSON.parse(fs.readFileSync(filename, 'utf8'));
+	} catch {
+		return {};
+	}
+
+	if (typeof durations !== 'object' || durations === null || Array.isArray(durations)) {
+		return {};
+	}
+
+	return Object.fromEntries(Object.entries(durations).filter(([, duration]) => Number.isFinite(duration) && duration >= 0));
+}
+
+// Returns a map of absolute test file paths to the titles of the tests that
+// failed in the previous run.
+function readFailedTests(filename) {
+	let failedTests;
+	try {
+		failedTests = JSON.parse(fs.readFileSync(filename, 'utf8'));
+	} catch {
+		return new Map();
+	}
+
+	// Older versions stored an array of file paths.
+	if (typeof failedTests !== 'object' || failedTests === null || Array.isArray(failedTests)) {
+		return new Map();
+	}
+
+	return new Map(Object.entries(failedTests).filter(([, titles]) => Array.isArray(titles) && titles.every(title => typeof title === 'string')));
+}
+
 const scheduler = {
-	storeFailedTestFiles(runStatus, cacheDir) {
+	storeFailedTests(runStatus, cacheDir) {
 		if (isCi || !cacheDir) {
 			return;
 		}
 
 		const filename = path.join(cacheDir, FILENAME);
+		// Remember the failures in test files that did not run this time.
+		const failedTests = new Map([...readFailedTests(filename)].filter(([file]) => !runStatus.stats.byFile.has(file)));
+		for (const [file, titles] of runStatus.getFailedTests()) {
+			failedTests.set(file, titles);
+		}
+
 		// Given that we're writing to a cache directory, consider this file
 		// temporary.
 		const temporaryFiles = [filename];
 		try {
-			writeFileAtomic.sync(filename, JSON.stringify(runStatus.getFailedTestFiles()), {
+			writeFileAtomic.sync(filename, JSON.stringify(Object.fromEntries(failedTests)), {
 				tmpfileCreated(tmpfile) {
 					temporaryFiles.push(tmpfile);
 				},
@@ -31,36 +72,116 @@ const scheduler = {
 		};
 	},
 
-	// Order test-files, so that files with failing tests come first
-	failingTestsFirst(selectedFiles, cacheDir, cacheEnabled) {
+	loadFailedTests(cacheDir, cacheEnabled) {
 		if (isCi || cacheEnabled === false) {
-			return selectedFiles;
+			return new Map();
 		}
 
-		const filePath = path.join(cacheDir, FILENAME);
-		let failedTestFiles;
-		try {
-			failedTestFiles = JSON.parse(fs.readFileSync(filePath));
-		} catch {
+		return readFailedTests(path.join(cacheDir, FILENAME));
+	},
+
+	// Order test-files, so that files with failing tests come first
+	failingTestsFirst(selectedFiles, cacheDir, cacheEnabled) {
+		const failedTests = scheduler.loadFailedTests(cacheDir, cacheEnabled);
+		if (failedTests.size === 0) {
 			return selectedFiles;
 		}
 
 		return [...selectedFiles].sort((f, s) => {
-			if (failedTestFiles.includes(f) && failedTestFiles.includes(s)) {
+			if (failedTests.has(f) && failedTests.has(s)) {
 				return 0;
 			}
 
-			if (failedTestFiles.includes(f)) {
+			if (failedTests.has(f)) {
 				return -1;
 			}
 
-			if (failedTestFiles.includes(s)) {
+			if (failedTests.has(s)) {
 				return 1;
 			}
 
 			return 0;
 		});
 	},
+
+	// Merge the durations of the files that ran into the previously recorded
+	// durations. Unlike failing tests these are stored in CI as well, so they can
+	// be used to balance parallel runs. Only files that ran all their tests are
+	// recorded, since selecting tests would skew the durations.
+	storeFileDurations(runStatus, {filename, matching, projectDir}) {
+		if (!filename || matching) {
+			return;
+		}
+
+		const durations = readDurations(filename);
+		for (const [file, {duration, selectingLines}] of runStatus.stats.byFile) {
+			if (duration > 0 && !selectingLines) {
+				durations[slash(path.relative(projectDir, file))] = duration;
+			}
+		}
+
+		// Sort the keys so the file can be diffed and checked in.
+		const sorted = Object.fromEntries(Object.entries(durations).sort(([a], [b]) => a.localeCompare(b, 'en')));
+
+		// The file tends to live in the project directory, but the watcher should
+		// not rerun tests just because it changed.
+		const temporaryFiles = [filename];
+		try {
+			fs.mkdirSync(path.dirname(filename), {recursive: true});
+			writeFileAtomic.sync(filename, JSON.stringify(sorted, null, '\t') + '\n', {
+				tmpfileCreated(tmpfile) {
+					temporaryFiles.push(tmpfile);
+				},
+			});
+		} catch {}
+
+		return {
+			changedFiles: [],
+			temporaryFiles,
+		};
+	},
+
+	// Returns a map of absolute file paths to their recorded durations.
+	loadFileDurations({filename, projectDir}) {
+		const durations = new Map();
+		if (filename) {
+			for (const [file, duration] of Object.entries(readDurations(filename))) {
+				durations.set(path.resolve(projectDir, file), duration);
+			}
+		}
+
+		return durations;
+	},
+
+	// Select the files for the current run, such that each run is expected to
+	// take about the same time. Files are assigned to whichever run has the
+	// least work, longest files first. Files without a recorded duration are
+	// chunked as before, and assumed to take an average amount of time.
+	//
+	// The files must be sorted in the same way for each run, and each run must
+	// use the same durations, for the selection to be consistent.
+	balanceFiles(sortedFiles, {currentIndex, totalRuns}, durations) {
+		const known = sortedFiles.filter(file => durations.has(file));
+		if (known.length === 0) {
+			return chunkd(sortedFiles, currentIndex, totalRuns);
+		}
+
+		const unknown = sortedFiles.filter(file => !durations.has(file));
+		const average = known.reduce((sum, file) => sum + durations.get(file), 0) / known.length;
+		const loads = Array.from({length: totalRuns}, (_, index) => chunkd(unknown, index, totalRuns).length * average);
+		const selected = new Set(chunkd(unknown, currentIndex, totalRuns));
+
+		// Sorting is stable, so files with equal durations remain in order.
+		for (const file of known.sort((a, b) => durations.get(b) - durations.get(a))) {
+			const index = loads.indexOf(Math.min(...loads));
+			loads[index] += durations.get(file);
+			if (index === currentIndex) {
+				selected.add(file);
+			}
+		}
+
+		return sortedFiles.filter(file => selected.has(file));
+	},
 };
 
 export default scheduler;
@@ -0,0 +1,348 @@
+import {Buffer} from 'node:buffer';
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+
+import concordance from 'concordance';
+import figures from 'figures';
+import plur from 'plur';
+
+import {chalk} from './chalk.js';
+import {snapshotManager as concordanceOptions} from './concordance-options.js';
+import {
+	determineSnapshotPaths,
+	encodeSnapshots,
+	formatEntry,
+	generateReport,
+	readSnapshotFile,
+	SnapshotError,
+	VersionMismatchError,
+} from './snapshot-manager.js';
+
+const labelOf = (snapshot, index) => snapshot.label ?? `Snapshot ${index + 1}`; // Human-readable labels start counting at 1.
+
+const describe = snapshot => snapshot.data
+	? concordance.deserialize(snapshot.data, concordanceOptions)
+	: null;
+
+// Accepts a snapshot file, or the test file the snapshots belong to.
+function resolveSnapshotFile(file, {projectDir, snapshotDir}) {
+	const resolved = path.resolve(file);
+	if (path.extname(resolved) === '.snap') {
+		return resolved;
+	}
+
+	return determineSnapshotPaths({file: resolved, fixedLocation: snapshotDir, projectDir}).snapPath;
+}
+
+function readBlocks(file, options) {
+	const snapPath = resolveSnapshotFile(file, options);
+	const relativePath = path.relative(process.cwd(), snapPath);
+	return {blocks: readSnapshotBlocks(snapPath, relativePath), relativePath};
+}
+
+function readSnapshotBlocks(snapPath, relativePath) {
+	try {
+		return readSnapshotFile(snapPath).blocks;
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			throw new Error(`Couldn’t find a snapshot file at ${relativePath}`);
+		}
+
+		if (!(error instanceof SnapshotError)) {
+			throw error;
+		}
+
+		const reason = error instanceof VersionMismatchError
+			? `it was created by a different version of AVA (snapshot version ${error.snapVersion}, expected ${error.expectedVersion})`
+			: error.message;
+		throw new Error(`Couldn’t read ${relativePath}: ${reason}`);
+	}
+}
+
+// Lists the tests in the snapshot file, and the labels of their snapshots.
+export function list(file, options) {
+	const {blocks, relativePath} = readBlocks(file, options);
+	const lines = [chalk.gray(relativePath)];
+	let count = 0;
+	for (const {title, snapshots} of blocks) {
+		lines.push('', chalk.bold(title));
+		for (const [index, snapshot] of snapshots.entries()) {
+			lines.push(`  ${index + 1}. ${labelOf(snapshot, index).split('\n').join(' ')}`);
+		}
+
+		count += snapshots.length;
+	}
+
+	lines.push('', `${blocks.length} ${plur('test', blocks.length)}, ${count} ${plur('snapshot', count)}`);
+	return lines.join('\n');
+}
+
+// Renders the snapshots of a single test, like in the Markdown report. The
+// index is 1-based, as in the report.
+export function show(file, {title, index}, options) {
+	const {blocks, relativePath} = readBlocks(file, options);
+	const block = blocks.find(block => block.title === title);
+	if (block === undefined) {
+		throw new Error(`There are no snapshots for ’${title}’ in ${relativePath}`);
+	}
+
+	if (index === undefined) {
+		return block.snapshots.map((snapshot, index) => formatEntry(snapshot, index)).join('\n\n');
+	}
+
+	if (!Number.isInteger(index) || index < 1 || index > block.snapshots.length) {
+		throw new RangeError(`’${title}’ has ${block.snapshots.length} ${plur('snapshot', block.snapshots.length)}, so the index must be between 1 and ${block.snapshots.length}`);
+	}
+
+	return formatEntry(block.snapshots[index - 1], index - 1);
+}
+
+function diffSnapshots(baseSnapshots, headSnapshots) {
+	const entries = [];
+	for (let index = 0; index < Math.max(baseSnapshots.length, headSnapshots.length); index++) {
+		const base = baseSnapshots[index];
+		const head = headSnapshots[index];
+		if (base === undefined) {
+			entries.push(`  ${chalk.green('+')} ${labelOf(head, index)}`);
+			continue;
+		}
+
+		if (head === undefined) {
+			entries.push(`  ${chalk.red('-')} ${labelOf(base, index)}`);
+			continue;
+		}
+
+		const baseDescriptor = describe(base);
+		const headDescriptor = describe(head);
+		if (baseDescriptor === null || headDescriptor === null) {
+			if (baseDescriptor !== headDescriptor) {
+				entries.push(`  ${chalk.yellow('~')} ${labelOf(head, index)}`);
+			}
+
+			continue;
+		}
+
+		if (!concordance.compareDescriptors(baseDescriptor, headDescriptor)) {
+			const diff = concordance.diffDescriptors(baseDescriptor, headDescriptor, concordanceOptions);
+			entries.push(`  ${chalk.yellow('~')} ${labelOf(head, index)}\n\n${diff.replaceAll(/^/gm, '      ')}`);
+		}
+	}
+
+	return entries;
+}
+
+// Compares two snapshot files, for instance the file from the base branch with
+// the file from a pull request.
+export function diff(baseFile, headFile, options) {
+	const base = readBlocks(baseFile, options);
+	const head = readBlocks(headFile, options);
+	const baseBlocks = new Map(base.blocks.map(({title, snapshots}) => [title, snapshots]));
+	const headBlocks = new Map(head.blocks.map(({title, snapshots}) => [title, snapshots]));
+
+	const lines = [chalk.gray(`${chalk.red('-')} ${base.relativePath}`), chalk.gray(`${chalk.green('+')} ${head.relativePath}`)];
+	let changed = false;
+	for (const title of baseBlocks.keys()) {
+		if (!headBlocks.has(title)) {
+			lines.push('', `${chalk.red('-')} ${chalk.bold(title)}`);
+			changed = true;
+		}
+	}
+
+	for (const [title, snapshots] of headBlocks) {
+		if (!baseBlocks.has(title)) {
+			lines.push('', `${chalk.green('+')} ${chalk.bold(title)}`);
+			changed = true;
+			continue;
+		}
+
+		const entries = diffSnapshots(baseBlocks.get(title), snapshots);
+		if (entries.length > 0) {
+			lines.push('', `${chalk.yellow('~')} ${chalk.bold(title)}`, ...entries);
+			changed = true;
+		}
+	}
+
+	if (!changed) {
+		lines.push('', 'The snapshots are the same');
+	}
+
+	return {changed, output: lines.join('\n').trimEnd()};
+}
+
+const sameData = (a, b) => a === undefined || b === undefined ? a === b : Buffer.compare(a, b) === 0;
+
+const sameSnapshots = (a, b) => a === undefined || b === undefined
+	? a === b
+	: a.length === b.length && a.every((snapshot, index) => snapshot.label === b[index].label && sameData(snapshot.data, b[index].data));
+
+// Merges entries by test title. Each entry is taken from the side that changed
+// it. If both sides changed it differently, the current side is kept and the
+// test is reported as a conflict.
+function mergeByTitle(base, current, other, isSame) {
+	const merged = new Map();
+	const conflicts = [];
+	for (const title of new Set([...current.keys(), ...other.keys()])) {
+		const ancestor = base.get(title);
+		const ours = current.get(title);
+		const theirs = other.get(title);
+
+		let value = ours;
+		if (isSame(ours, ancestor)) {
+			value = theirs;
+		} else if (!isSame(theirs, ancestor) && !isSame(ours, theirs)) {
+			conflicts.push(title);
+		}
+
+		if (value !== undefined) {
+			merged.set(title, value);
+		}
+	}
+
+	return {merged, conflicts};
+}
+
+// Git passes an empty file if there is no common ancestor.
+const isEmpty = file => fs.statSync(file).size === 0;
+
+const REPORT_HEADER = /^# Snapshot report for `(.+)`$/m;
+
+const isReport = file => fs.readFileSync(file, 'utf8').startsWith('# Snapshot report for');
+
+function readSnapshotSide(file) {
+	const blocks = isEmpty(file) ? [] : readSnapshotBlocks(file, path.relative(process.cwd(), file));
+	return new Map(blocks.map(({title, snapshots}) => [title, snapshots]));
+}
+
+// Reports start with a header, followed by a section for each test.
+function readReportSide(file) {
+	if (isEmpty(file)) {
+		return {header: undefined, sections: new Map()};
+	}
+
+	const [header, ...sections] = fs.readFileSync(file, 'utf8').split(/^## /m);
+	return {
+		header: header.trimEnd(),
+		sections: new Map(sections.map(section => [section.slice(0, section.indexOf('\n')), section.trimEnd()])),
+	};
+}
+
+// The report names the test file, which can't be derived from the location of
+// the snapshot file. Reuse the name from the current report if possible.
+function readReportedFile(reportPath, fallback) {
+	try {
+		return REPORT_HEADER.exec(fs.readFileSync(reportPath, 'utf8'))?.[1] ?? fallback;
+	} catch (error) {
+		if (error.code === 'ENOENT') {
+			return fallback;
+		}
+
+		throw error;
+	}
+}
+
+async function mergeSnapshots({base, current, other, file}) {
+	// Without the path the report can't be regenerated, and would silently be
+	// left out of date.
+	if (file === undefined) {
+		throw new Error('The path of the snapshot file is required to regenerate its report. Configure the merge driver with `%O %A %B %P`.');
+	}
+
+	const {merged, conflicts} = mergeByTitle(readSnapshotSide(base), readSnapshotSide(current), readSnapshotSide(other), sameSnapshots);
+	const snapshots = {blocks: [...merged].map(([title, snapshots]) => ({title, snapshots}))};
+	await fs.promises.writeFile(current, await encodeSnapshots(snapshots));
+
+	// Regenerate the report in the working tree. Git only updates the working
+	// tree once all merge drivers have run, so if the report is committed and
+	// was changed by both branches, Git replaces this report with the result of
+	// merging the reports themselves. That's why reports should be merged by
+	// this driver as well, so both results are the same.
+	const name = path.basename(file, '.snap');
+	const reportPath = path.join(path.dirname(file), `${name}.md`);
+	await fs.promises.writeFile(reportPath, generateReport(readReportedFile(reportPath, name), path.basename(file), snapshots));
+
+	return {conflicts};
+}
+
+async function mergeReports({base, current, other}) {
+	const currentReport = readReportSide(current);
+	const {merged, conflicts} = mergeByTitle(readReportSide(base).sections, currentReport.sections, readReportSide(other).sections, (a, b) => a === b);
+	await fs.promises.writeFile(current, `${[currentReport.header, ...merged.values()].join('\n\n## ')}\n`);
+	return {conflicts};
+}
+
+// Merges snapshot files, or their reports, for use as a Git merge driver. The
+// result is written to the current file.
+export async function merge(options) {
+	return isReport(options.current) ? mergeReports(options) : mergeSnapshots(options);
+}
+
+// Reports the snapshots that were removed by `ava snapshot prune`, in place of
+// the regular reporters.
+export class PruneReporter {
+	constructor({projectDir, reportStream}) {
+		this.projectDir = projectDir;
+		this.reportStream = reportStream;
+		this.failedFiles = new Set();
+		this.pruned = [];
+	}
+
+	relativeFile(file) {
+		return path.relative(this.projectDir, file);
+	}
+
+	writeLine(line = '') {
+		this.reportStream.write(`${line}\n`);
+	}
+
+	startRun(plan) {
+		plan.status.on('stateChange', event => {
+			this.consumeStateChange(event);
+		});
+	}
+
+	consumeStateChange(event) {
+		switch (event.type) {
+			case 'snapshots-pruned': {
+				this.pruned.push(event);
+				break;
+			}
+
+			case 'internal-error':
+			case 'uncaught-exception':
+			case 'unhandled-rejection':
+			case 'worker-failed': {
+				if (event.testFile !== undefined && !this.failedFiles.has(event.testFile)) {
+					this.failedFiles.add(event.testFile);
+					const message = event.err?.message ?? event.err?.formattedError;
+					this.writeLine(chalk.red(`${figures.cross} Couldn’t load ${this.relativeFile(event.testFile)}${message ? `: ${message}` : ''}`));
+				}
+
+				break;
+			}
+
+			default: {
+				break;
+			}
+		}
+	}
+
+	endRun() {
+		if (this.failedFiles.size > 0) {
+			this.writeLine(chalk.red('  The snapshots of these test files were not pruned.'));
+			this.writeLine();
+		}
+
+		if (this.pruned.length === 0) {
+			this.writeLine(`${chalk.green(figures.tick)} No obsolete snapshots found`);
+			return;
+		}
+
+		for (const {snapPath, titles} of this.pruned) {
+			this.writeLine(`${chalk.green(figures.tick)} Removed the snapshots of ${titles.length} ${plur('test', titles.length)} from ${this.relativeFile(snapPath)}:`);
+			for (const title of titles) {
+				this.writeLine(`  ${chalk.gray(figures.line)} ${title}`);
+			}
+		}
+	}
+}
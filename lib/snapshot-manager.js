@@ -85,7 +85,7 @@ function tryRead(file) {
 	}
 }
 
-function formatEntry(snapshot, index) {
+export function formatEntry(snapshot, index) {
 	const {
 		data,
 		label = `Snapshot ${index + 1}`, // Human-readable labels start counting at 1.
@@ -119,7 +119,7 @@ function combineEntries({blocks}) {
 	return combined;
 }
 
-function generateReport(relFile, snapFile, snapshots) {
+export function generateReport(relFile, snapFile, snapshots) {
 	return new BufferBuilder()
 		.write(`# Snapshot report for \`${slash(relFile)}\`
 
@@ -182,7 +182,7 @@ function sortBlocks(blocksByTitle, blockIndices) {
 	);
 }
 
-async function encodeSnapshots(snapshotData) {
+export async function encodeSnapshots(snapshotData) {
 	const encoded = await cbor.encodeAsync(snapshotData, {
 		omitUndefinedProperties: true,
 		canonical: true,
@@ -238,6 +238,17 @@ function decodeSnapshots(buffer, snapPath) {
 	return cbor.decode(decompressed);
 }
 
+// Reads the snapshot file outside of a test run, e.g. to inspect it from the
+// command line.
+export function readSnapshotFile(snapPath) {
+	const buffer = fs.readFileSync(snapPath);
+	try {
+		return decodeSnapshots(buffer, snapPath);
+	} catch (error) {
+		throw error instanceof SnapshotError ? error : new InvalidSnapshotError(snapPath);
+	}
+}
+
 class Manager {
 	constructor(options) {
 		this.dir = options.dir;
@@ -251,6 +262,8 @@ class Manager {
 		this.oldBlocksByTitle = options.oldBlocksByTitle;
 		this.newBlocksByTitle = options.newBlocksByTitle;
 		this.blockIndices = new Map();
+		// How many snapshots of each block were accessed by its test.
+		this.accessCounts = new Map();
 		this.error = options.error;
 
 		this.hasChanges = false;
@@ -260,11 +273,17 @@ class Manager {
 		this.blockIndices.set(title, taskIndex);
 	}
 
+	access(title, index) {
+		this.accessCounts.set(title, Math.max(this.accessCounts.get(title) ?? 0, index + 1));
+	}
+
 	compare(options) {
 		if (this.error) {
 			throw this.error;
 		}
 
+		this.access(options.belongsTo, options.index);
+
 		const block = this.newBlocksByTitle.get(options.belongsTo);
 
 		const snapshot = block?.snapshots[options.index];
@@ -328,6 +347,40 @@ class Manager {
 		record();
 	}
 
+	// Returns the titles of the blocks that are obsolete, either because their
+	// test was not declared, or because their test ran completely but did not
+	// access all of its snapshots.
+	obsoleteTitles(completedTitles = new Set()) {
+		return [...this.oldBlocksByTitle]
+			.filter(([title, {snapshots}]) => !this.blockIndices.has(title) || (completedTitles.has(title) && (this.accessCounts.get(title) ?? 0) < snapshots.length))
+			.map(([title]) => title);
+	}
+
+	// Removes the obsolete blocks, or the snapshots that are no longer accessed,
+	// and returns the titles of the blocks.
+	prune(completedTitles) {
+		if (this.error) {
+			throw this.error;
+		}
+
+		const titles = this.obsoleteTitles(completedTitles);
+		for (const title of titles) {
+			const count = this.blockIndices.has(title) ? this.accessCounts.get(title) ?? 0 : 0;
+			const block = this.newBlocksByTitle.get(title);
+			if (count === 0 || block === undefined) {
+				this.newBlocksByTitle.delete(title);
+			} else {
+				this.newBlocksByTitle.set(title, {...block, snapshots: block.snapshots.slice(0, count)});
+			}
+		}
+
+		if (titles.length > 0) {
+			this.hasChanges = true;
+		}
+
+		return titles;
+	}
+
 	skipBlock(title) {
 		const block = this.oldBlocksByTitle.get(title);
 
@@ -337,6 +390,7 @@ class Manager {
 	}
 
 	skipSnapshot({belongsTo, index, deferRecording}) {
+		this.access(belongsTo, index);
 		const oldBlock = this.oldBlocksByTitle.get(belongsTo);
 		const snapshot = oldBlock?.snapshots[index] ?? {};
 
@@ -356,7 +410,7 @@ class Manager {
 	async save() {
 		const {dir, relFile, snapFile, snapPath, reportPath} = this;
 
-		if (this.updating && this.newBlocksByTitle.size === 0) {
+		if ((this.updating || this.hasChanges) && this.newBlocksByTitle.size === 0) {
 			return {
 				changedFiles: [cleanFile(snapPath), cleanFile(reportPath)].flat(),
 				temporaryFiles: [],
@@ -428,7 +482,7 @@ export const determineSnapshotDir = memoize(({file, fixedLocation, projectDir})
 	return testDir;
 }, {cacheKey: ([{file}]) => file});
 
-function determineSnapshotPaths({file, fixedLocation, projectDir}) {
+export function determineSnapshotPaths({file, fixedLocation, projectDir}) {
 	const dir = determineSnapshotDir({file, fixedLocation, projectDir});
 	const relFile = path.relative(projectDir, resolveSourceFile(file));
 	const name = path.basename(relFile);
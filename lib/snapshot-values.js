@@ -0,0 +1,134 @@
+import {isPlainObject} from 'is-plain-object';
+
+// Stands in for a redacted value, so the snapshot is the same regardless of the
+// actual value.
+export class Redacted {
+	constructor(type) {
+		this.type = type;
+	}
+}
+
+export class RedactionError extends Error {
+	constructor(message, {path, value}) {
+		super(message);
+		this.name = 'RedactionError';
+		this.path = path;
+		this.value = value;
+	}
+}
+
+const PRIMITIVE_TYPES = new Map([
+	[BigInt, 'bigint'],
+	[Boolean, 'boolean'],
+	[Number, 'number'],
+	[String, 'string'],
+	[Symbol, 'symbol'],
+]);
+
+const isOfType = (value, type) => typeof value === PRIMITIVE_TYPES.get(type) || value instanceof type;
+
+// Replaces values, and the values nested within plain objects, arrays, maps and
+// sets. The containers are copied rather than modified. Other objects, such as
+// class instances, are passed to `replace()` but their contents are left alone.
+function transform(value, replace, path = [], copies = new Map()) {
+	value = replace(value, path);
+	if (copies.has(value)) {
+		return copies.get(value);
+	}
+
+	if (Array.isArray(value)) {
+		const copy = [];
+		copies.set(value, copy);
+		for (const [index, item] of value.entries()) {
+			copy.push(transform(item, replace, [...path, String(index)], copies));
+		}
+
+		return copy;
+	}
+
+	if (value instanceof Map) {
+		const copy = new Map();
+		copies.set(value, copy);
+		for (const [key, item] of value) {
+			copy.set(key, transform(item, replace, [...path, String(key)], copies));
+		}
+
+		return copy;
+	}
+
+	if (value instanceof Set) {
+		const copy = new Set();
+		copies.set(value, copy);
+		let index = 0;
+		for (const item of value) {
+			copy.add(transform(item, replace, [...path, String(index++)], copies));
+		}
+
+		return copy;
+	}
+
+	if (isPlainObject(value)) {
+		const copy = Object.getPrototypeOf(value) === null ? Object.create(null) : {};
+		copies.set(value, copy);
+		for (const key of Reflect.ownKeys(value)) {
+			if (Object.prototype.propertyIsEnumerable.call(value, key)) {
+				copy[key] = transform(value[key], replace, typeof key === 'string' ? [...path, key] : path, copies);
+			}
+		}
+
+		return copy;
+	}
+
+	return value;
+}
+
+// Property paths are separated by dots. A `*` matches any property, array index
+// or map key.
+const matchesPath = (pattern, path) => pattern.length === path.length && pattern.every((segment, index) => segment === '*' || segment === path[index]);
+
+// Replaces the values at the property paths with placeholders, after checking
+// that they're of the expected type.
+export function redact(value, redactions) {
+	const patterns = Object.entries(redactions).map(([path, type]) => ({
+		path,
+		segments: path.split('.'),
+		type,
+		matched: false,
+	}));
+	if (patterns.length === 0) {
+		return value;
+	}
+
+	const redacted = transform(value, (value, path) => {
+		const pattern = patterns.find(({segments}) => matchesPath(segments, path));
+		if (pattern === undefined) {
+			return value;
+		}
+
+		pattern.matched = true;
+		if (!isOfType(value, pattern.type)) {
+			throw new RedactionError(`The value at \`${path.join('.')}\` is not ${/^[aeiou]/i.test(pattern.type.name) ? 'an' : 'a'} ${pattern.type.name}`, {path, value});
+		}
+
+		return new Redacted(pattern.type.name);
+	});
+
+	const unmatched = patterns.find(({matched}) => !matched);
+	if (unmatched !== undefined) {
+		throw new RedactionError(`There is no value at \`${unmatched.path}\` to redact`, {path: unmatched.segments, value});
+	}
+
+	return redacted;
+}
+
+// Replaces values using the first serializer that accepts them.
+export function serialize(value, serializers) {
+	if (serializers.length === 0) {
+		return value;
+	}
+
+	return transform(value, value => {
+		const serializer = serializers.find(serializer => serializer.test(value));
+		return serializer === undefined ? value : serializer.serialize(value);
+	});
+}
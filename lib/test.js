@@ -5,6 +5,7 @@ import plur from 'plur';
 import {
 	AssertionError, Assertions, checkAssertionMessage, getAssertionStack,
 } from './assert.js';
+import installClock from './clock.js';
 import concordanceOptions from './concordance-options.js';
 import nowAndTimers from './now-and-timers.cjs';
 import parseTestArgs from './parse-test-args.js';
@@ -56,6 +57,7 @@ class ExecutionContext extends Assertions {
 				test.countPassedAssertion();
 			},
 			compareWithSnapshot: options => test.compareWithSnapshot(options),
+			compareWithInlineSnapshot: options => test.compareWithInlineSnapshot(options),
 			experiments: test.experiments,
 			disableSnapshots: test.isHook === true,
 		});
@@ -92,6 +94,10 @@ class ExecutionContext extends Assertions {
 			test.addTeardown(callback);
 		};
 
+		this.clock = {
+			install: config => test.installClock(config),
+		};
+
 		this.try = async (...attemptArgs) => {
 			if (test.isHook) {
 				const error = new Error('`t.try()` can only be used in tests');
@@ -216,7 +222,10 @@ export default class Test {
 		this.nextSnapshotIndex = nextSnapshotIndex;
 		this.snapshotCount = 0;
 
-		const deferRecording = this.metadata.inline;
+		// Attempts, and tests that may be retried, only record their snapshots
+		// once they're committed.
+		this.deferRecording = this.metadata.inline || options.deferSnapshotRecordings === true;
+		const {deferRecording} = this;
 		this.deferredSnapshotRecordings = [];
 		this.compareWithSnapshot = ({expected, message}) => {
 			this.snapshotCount++;
@@ -240,6 +249,8 @@ export default class Test {
 			return result;
 		};
 
+		this.compareWithInlineSnapshot = options.compareInlineSnapshot;
+
 		this.skipSnapshot = () => {
 			if (typeof options.skipSnapshot === 'function') {
 				const record = options.skipSnapshot({
@@ -379,8 +390,12 @@ export default class Test {
 			if (startingSnapshotCount === this.snapshotCount) {
 				this.snapshotCount += snapshotCount;
 				this.nextSnapshotIndex += snapshotCount;
-				for (const record of deferredSnapshotRecordings) {
-					record();
+				if (this.deferRecording) {
+					this.deferredSnapshotRecordings.push(...deferredSnapshotRecordings);
+				} else {
+					for (const record of deferredSnapshotRecordings) {
+						record();
+					}
 				}
 			} else {
 				this.saveFirstError(new Error('Cannot commit `t.try()` result. Do not run concurrent snapshot assertions when using `t.try()`'));
@@ -473,6 +488,25 @@ export default class Test {
 		this.teardowns.push(callback);
 	}
 
+	installClock(config) {
+		if (this.isHook) {
+			const error = new Error('`t.clock.install()` can only be used in tests');
+			this.saveFirstError(error);
+			throw error;
+		}
+
+		if (this.finishing) {
+			const error = new Error('`t.clock.install()` cannot be used during teardown');
+			this.saveFirstError(error);
+			throw error;
+		}
+
+		const clock = installClock(config);
+		// Restore the real timers once the test has finished.
+		this.teardowns.push(() => clock.uninstall());
+		return clock;
+	}
+
 	async runTeardowns() {
 		const teardowns = [...this.teardowns].reverse();
 
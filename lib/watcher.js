@@ -80,14 +80,15 @@ const eachLine = async (lineReader, callback) => {
 	}
 };
 
-const writeCommandInstructions = (reporter, interactiveGlobPattern, interactiveMatchPattern) => {
+const writeCommandInstructions = (reporter, interactiveGlobPattern, interactiveMatchPattern, onlyFailed) => {
+	const rerun = onlyFailed ? 'rerun failed tests' : 'rerun tests';
 	reporter.lineWriter.writeLine(chalk.gray('Type `g` followed by enter to filter test files by a glob pattern'));
 	reporter.lineWriter.writeLine(chalk.gray('Type `m` followed by enter to filter tests by their title (similar to --match)'));
 	if (interactiveGlobPattern || interactiveMatchPattern) {
 		reporter.lineWriter.writeLine(chalk.gray('Type `a` followed by enter to rerun all tests (while preserving filters)'));
-		reporter.lineWriter.writeLine(chalk.gray('Type `r` followed by enter to rerun tests that match your filters'));
+		reporter.lineWriter.writeLine(chalk.gray(`Type \`r\` followed by enter to ${rerun} that match your filters`));
 	} else {
-		reporter.lineWriter.writeLine(chalk.gray('Type `r` followed by enter to rerun tests'));
+		reporter.lineWriter.writeLine(chalk.gray(`Type \`r\` followed by enter to ${rerun}`));
 	}
 
 	reporter.lineWriter.writeLine(chalk.gray('Type `u` followed by enter to update snapshots in selected tests'));
@@ -157,7 +158,7 @@ const promptForMatchPattern = async (reporter, lineReader, currentPattern) => {
 	return value === '' ? undefined : value;
 };
 
-export async function start({api, filter, globs, projectDir, providers, reporter, stdin, signal}) {
+export async function start({api, filter, globs, projectDir, providers, reporter, reporters = [reporter], stdin, signal}) {
 	providers = providers.filter(({level}) => level >= providerLevels.ava6);
 	for await (const {files, testFileSelector, ...runtimeOptions} of plan({
 		api,
@@ -170,7 +171,9 @@ export async function start({api, filter, globs, projectDir, providers, reporter
 		reporter,
 	})) {
 		await api.run({files, testFileSelector, runtimeOptions});
-		reporter.endRun();
+		for (const reporter_ of reporters) {
+			reporter_.endRun();
+		}
 	}
 }
 
@@ -220,6 +223,7 @@ async function * plan({
 	const touchedFiles = new Set();
 	const temporaryFiles = new Set();
 	const failureCounts = new Map();
+	const failedTests = new Map();
 
 	const countPreviousFailures = () => {
 		let previousFailures = 0;
@@ -260,6 +264,13 @@ async function * plan({
 				case 'worker-failed': {
 					const path = nodePath.relative(projectDir, evt.testFile);
 					failureCounts.set(path, 1 + (failureCounts.get(path) ?? 0));
+					// An empty list of titles means the whole file must be rerun.
+					if (evt.type !== 'test-failed') {
+						failedTests.set(evt.testFile, []);
+					} else if (failedTests.get(evt.testFile)?.length !== 0) {
+						failedTests.set(evt.testFile, [...(failedTests.get(evt.testFile) ?? []), evt.title]);
+					}
+
 					break;
 				}
 
@@ -275,6 +286,7 @@ async function * plan({
 	let changed = Promise.resolve({});
 	let firstRun = true;
 	let runAll = true;
+	let rerunFailed = false;
 	let updateSnapshots = false;
 
 	const reset = () => {
@@ -283,6 +295,7 @@ async function * plan({
 		});
 		firstRun = false;
 		runAll = false;
+		rerunFailed = false;
 		updateSnapshots = false;
 	};
 
@@ -320,6 +333,7 @@ async function * plan({
 		for (const file of selectedFiles) {
 			const path = nodePath.relative(projectDir, file);
 			failureCounts.delete(path);
+			failedTests.delete(file);
 		}
 
 		return selectedFiles;
@@ -338,6 +352,7 @@ async function * plan({
 
 		switch (line.toLowerCase()) {
 			case 'r': {
+				rerunFailed = api.options.onlyFailed === true;
 				signalChanged();
 				break;
 			}
@@ -568,6 +583,7 @@ async function * plan({
 		if (nonTestFiles.length > 0) {
 			debug('Non-test files changed, running all tests');
 			failureCounts.clear(); // All tests are run, so clear previous failures.
+			failedTests.clear();
 			signalChanged();
 		} else if (uniqueTestFiles.size > 0) {
 			signalChanged({testFiles: [...uniqueTestFiles]});
@@ -601,6 +617,8 @@ async function * plan({
 		const instructFirstRun = firstRun;
 		const skipInteractive = runAll;
 		const instructUpdateSnapshots = updateSnapshots;
+		// Copy the failed tests, since they're removed once the test files are selected.
+		const instructFailedTests = rerunFailed ? new Map(failedTests) : undefined;
 		reset(); // Make sure the next run can be triggered.
 
 		let files = testFiles.map(file => nodePath.join(projectDir, file));
@@ -628,6 +646,7 @@ async function * plan({
 		respondToChanges = false;
 		yield {
 			countPreviousFailures,
+			failedTests: instructFailedTests,
 			files,
 			firstRun: instructFirstRun,
 			testFileSelector: instructTestFileSelector,
@@ -637,7 +656,7 @@ async function * plan({
 		respondToChanges = true;
 
 		// Write command instructions after the tests have run and been reported.
-		writeCommandInstructions(reporter, interactiveGlobPattern, interactiveMatchPattern);
+		writeCommandInstructions(reporter, interactiveGlobPattern, interactiveMatchPattern, api.options.onlyFailed);
 
 		// Trigger the callback, which if there were changes will run the tests again.
 		debounce.refresh();
@@ -16,8 +16,11 @@ import serializeError from '../serialize-error.js';
 
 import channel from './channel.cjs';
 import {runCompletionHandlers} from './completion-handlers.js';
+import collectCoverage from './coverage.js';
 import lineNumberSelection from './line-numbers.js';
+import {trackOpenHandles} from './open-handles.js';
 import {set as setOptions} from './options.cjs';
+import createPooledChain from './pooled-chain.js';
 import {flags, refs, sharedWorkerTeardowns} from './state.cjs';
 import {isRunningInThread, isRunningInChildProcess} from './utils.cjs';
 
@@ -53,6 +56,10 @@ process.exit = new Proxy(process.exit, {
 });
 
 const run = async options => {
+	if (options.coverageDirectory && isRunningInThread) {
+		collectCoverage(options.coverageDirectory);
+	}
+
 	setOptions(options);
 	setChalk(options.chalkOptions);
 
@@ -61,87 +68,134 @@ const run = async options => {
 		globalThis.console = Object.assign(globalThis.console, new console.Console({stdout, stderr, colorMode: true}));
 	}
 
-	let checkSelectedByLineNumbers;
-	try {
-		checkSelectedByLineNumbers = lineNumberSelection({
-			file: options.file,
-			lineNumbers: options.lineNumbers,
-		});
-	} catch (error) {
-		channel.send({type: 'line-number-selection-error', err: serializeError(error)});
-		checkSelectedByLineNumbers = () => false;
+	// Pooled workers run multiple test files, one after the other, each with a
+	// new runner.
+	const pooled = options.isolate === false;
+	if (pooled) {
+		refs.runnerChain = createPooledChain(() => runner);
 	}
 
-	runner = new Runner({
-		checkSelectedByLineNumbers,
-		experiments: options.experiments,
-		failFast: options.failFast,
-		failWithoutAssertions: options.failWithoutAssertions,
-		file: options.file,
-		match: options.match,
-		projectDir: options.projectDir,
-		recordNewSnapshots: options.recordNewSnapshots,
-		serial: options.serial,
-		snapshotDir: options.snapshotDir,
-		updateSnapshots: options.updateSnapshots,
-	});
-
-	refs.runnerChain = runner.chain;
-
-	channel.peerFailed.then(() => { // eslint-disable-line promise/prefer-await-to-then
-		runner.interrupt();
-	});
-
-	runner.on('accessed-snapshots', filename => channel.send({type: 'accessed-snapshots', filename}));
-	runner.on('stateChange', state => channel.send(state));
-
-	runner.on('error', error => {
-		channel.send({type: 'internal-error', err: serializeError(error)});
-		forceExit();
-	});
-
-	runner.on('finish', async () => {
+	const teardownSharedWorkers = async () => {
 		try {
-			const {touchedFiles} = await runner.saveSnapshotState();
-			if (touchedFiles) {
-				channel.send({type: 'touched-files', files: touchedFiles});
-			}
+			await Promise.all(sharedWorkerTeardowns.map(fn => fn()));
+			return true;
 		} catch (error) {
-			channel.send({type: 'internal-error', err: serializeError(error)});
+			channel.send({type: 'uncaught-exception', err: serializeError(error)});
 			forceExit();
-			return;
+			return false;
 		}
+	};
 
+	// Snapshot serializers are loaded once, after the first runner has been
+	// created. The runners share this array so they all see them.
+	const snapshotSerializers = [];
+
+	const createRunner = options => {
+		let checkSelectedByLineNumbers;
 		try {
-			await Promise.all(sharedWorkerTeardowns.map(fn => fn()));
+			checkSelectedByLineNumbers = lineNumberSelection({
+				file: options.file,
+				lineNumbers: options.lineNumbers,
+			});
 		} catch (error) {
-			channel.send({type: 'uncaught-exception', err: serializeError(error)});
-			forceExit();
-			return;
+			channel.send({type: 'line-number-selection-error', err: serializeError(error)});
+			checkSelectedByLineNumbers = () => [];
+		}
+
+		// Track the resources created while the test file runs, so those that are
+		// still open once it has finished can be reported.
+		const openHandles = options.detectOpenHandles ? trackOpenHandles() : null;
+
+		const fileRunner = new Runner({
+			acquireLock: channel.acquireLock,
+			checkSelectedByLineNumbers,
+			excludeTags: options.excludeTags,
+			experiments: options.experiments,
+			failFast: options.failFast,
+			failOnObsoleteSnapshots: options.failOnObsoleteSnapshots,
+			failedTests: options.failedTests,
+			failWithoutAssertions: options.failWithoutAssertions,
+			file: options.file,
+			globalSetupResult: options.globalSetupResult,
+			match: options.match,
+			projectDir: options.projectDir,
+			pruneSnapshots: options.pruneSnapshots,
+			randomSeed: options.randomSeed,
+			recordNewSnapshots: options.recordNewSnapshots,
+			repeat: options.repeat,
+			retries: options.retries,
+			runTests: options.runTests,
+			runWithinRunnable: openHandles?.run,
+			serial: options.serial,
+			snapshotDir: options.snapshotDir,
+			snapshotSerializers,
+			tags: options.tags,
+			untilFailure: options.untilFailure,
+			updateSnapshots: options.updateSnapshots,
+		});
+		runner = fileRunner;
+
+		if (!pooled) {
+			refs.runnerChain = fileRunner.chain;
 		}
 
-		nowAndTimers.setImmediate(() => {
-			const unhandled = currentlyUnhandled();
-			if (unhandled.length === 0) {
-				return avaIsDone();
+		channel.peerFailed.then(() => { // eslint-disable-line promise/prefer-await-to-then
+			fileRunner.interrupt();
+		});
+
+		fileRunner.on('accessed-snapshots', filename => channel.send({type: 'accessed-snapshots', filename}));
+		fileRunner.on('stateChange', state => channel.send(state));
+
+		fileRunner.on('error', error => {
+			channel.send({type: 'internal-error', err: serializeError(error)});
+			forceExit();
+		});
+
+		fileRunner.on('finish', async () => {
+			try {
+				const {touchedFiles} = await fileRunner.saveSnapshotState();
+				if (touchedFiles) {
+					channel.send({type: 'touched-files', files: touchedFiles});
+				}
+			} catch (error) {
+				channel.send({type: 'internal-error', err: serializeError(error)});
+				forceExit();
+				return;
 			}
 
-			for (const rejection of unhandled) {
-				channel.send({type: 'unhandled-rejection', err: serializeError(rejection.reason, {testFile: options.file})});
+			// Shared workers are torn down once the pooled worker has run its last
+			// test file.
+			if (!pooled && !await teardownSharedWorkers()) {
+				return;
 			}
 
-			forceExit();
+			nowAndTimers.setImmediate(() => {
+				const handles = openHandles?.stop() ?? [];
+				if (handles.length > 0) {
+					channel.send({type: 'open-handles', handles});
+				}
+
+				const unhandled = currentlyUnhandled();
+				if (unhandled.length === 0) {
+					return pooled ? runNextFile() : avaIsDone();
+				}
+
+				for (const rejection of unhandled) {
+					channel.send({type: 'unhandled-rejection', err: serializeError(rejection.reason, {testFile: options.file})});
+				}
+
+				forceExit();
+			});
 		});
-	});
+	};
+
+	createRunner(options);
 
 	process.on('uncaughtException', error => {
-		channel.send({type: 'uncaught-exception', err: serializeError(error, {testFile: options.file})});
+		channel.send({type: 'uncaught-exception', err: serializeError(error, {testFile: runner.file})});
 		forceExit();
 	});
 
-	// Store value to prevent required modules from modifying it.
-	const testPath = options.file;
-
 	const extensionsToLoadAsModules = Object.entries(options.moduleTypes)
 		.filter(([, type]) => type === 'module')
 		.map(([extension]) => extension);
@@ -215,6 +269,47 @@ const run = async options => {
 		return importFromProject(ref);
 	};
 
+	const loadTestFile = async testPath => {
+		await load(testPath);
+
+		if (flags.loadedMain) {
+			// Unreference the channel if the test file required AVA. This stops it
+			// from keeping the event loop busy, which means the `beforeExit` event can be
+			// used to detect when tests stall.
+			channel.unref();
+		} else {
+			channel.send({type: 'missing-ava-import'});
+			forceExit();
+		}
+	};
+
+	const runNextFile = async () => {
+		// Keep the worker alive while waiting for the next test file.
+		channel.ref();
+		const nextFile = channel.nextFile();
+		channel.send({type: 'file-finished'});
+		const nextOptions = await nextFile;
+		if (nextOptions === null) {
+			if (await teardownSharedWorkers()) {
+				channel.unref();
+				avaIsDone();
+			}
+
+			return;
+		}
+
+		createRunner(nextOptions);
+		try {
+			await loadTestFile(nextOptions.file);
+		} catch (error) {
+			channel.send({type: 'uncaught-exception', err: serializeError(error, {testFile: nextOptions.file})});
+			forceExit();
+		}
+	};
+
+	// Store value to prevent required modules from modifying it.
+	const testPath = options.file;
+
 	try {
 		for await (const [ref, ...args] of (options.require ?? [])) {
 			const loadedModule = await loadRequiredModule(ref);
@@ -227,6 +322,16 @@ const run = async options => {
 			}
 		}
 
+		for await (const ref of (options.snapshotSerializers ?? [])) {
+			const loadedModule = await loadRequiredModule(ref);
+			const serializer = typeof loadedModule.test === 'function' ? loadedModule : loadedModule.default;
+			if (typeof serializer?.test !== 'function' || typeof serializer.serialize !== 'function') {
+				throw new TypeError(`The snapshot serializer ’${ref}’ must export test() and serialize() functions`);
+			}
+
+			snapshotSerializers.push(serializer);
+		}
+
 		if (options.debug?.port !== undefined && options.debug?.host !== undefined) {
 			// If an inspector was active when the main process started, and is
 			// already active for the worker process, do not open a new one.
@@ -240,17 +345,7 @@ const run = async options => {
 			}
 		}
 
-		await load(testPath);
-
-		if (flags.loadedMain) {
-			// Unreference the channel if the test file required AVA. This stops it
-			// from keeping the event loop busy, which means the `beforeExit` event can be
-			// used to detect when tests stall.
-			channel.unref();
-		} else {
-			channel.send({type: 'missing-ava-import'});
-			forceExit();
-		}
+		await loadTestFile(testPath);
 	} catch (error) {
 		channel.send({type: 'uncaught-exception', err: serializeError(error, {testFile: options.file})});
 		forceExit();
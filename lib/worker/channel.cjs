@@ -108,8 +108,71 @@ handle.ref();
 exports.options = selectAvaMessage(handle.channel, 'options').then(message => message.ava.options);
 exports.peerFailed = selectAvaMessage(handle.channel, 'peer-failed');
 exports.send = handle.send.bind(handle);
+exports.ref = handle.ref.bind(handle);
 exports.unref = handle.unref.bind(handle);
 
+const lockWaiters = new Map();
+let nextFileWaiter = null;
+handle.channel.on('message', message => {
+	switch (message.ava?.type) {
+		case 'lock-granted': {
+			lockWaiters.get(message.ava.lockId)?.();
+			break;
+		}
+
+		case 'next-file': {
+			nextFileWaiter?.(message.ava.options);
+			nextFileWaiter = null;
+			break;
+		}
+
+		default: {
+			break;
+		}
+	}
+});
+
+// Pooled workers run multiple test files. Resolves with the options for the
+// next file, or `null` if there are no more files to run.
+exports.nextFile = () => new Promise(resolve => {
+	nextFileWaiter = resolve;
+});
+
+let lockCounter = 0;
+
+// Locks are coordinated by the main process, so tests in other workers that
+// use the same locks don't run at the same time. The locks must be released
+// once the test is done.
+function acquireLock(names) {
+	const lockId = ++lockCounter;
+
+	// Keep the worker alive while waiting for the locks to be granted.
+	handle.ref();
+	const stopWaiting = () => {
+		if (lockWaiters.delete(lockId)) {
+			handle.unref();
+		}
+	};
+
+	const granted = new Promise(resolve => {
+		lockWaiters.set(lockId, () => {
+			stopWaiting();
+			resolve();
+		});
+	});
+	handle.send({type: 'lock-acquire', lockId, names});
+
+	return {
+		granted,
+		release() {
+			stopWaiting();
+			handle.send({type: 'lock-release', lockId});
+		},
+	};
+}
+
+exports.acquireLock = acquireLock;
+
 let channelCounter = 0;
 let messageCounter = 0;
 
@@ -184,7 +247,7 @@ function registerSharedWorker(filename, initialData) {
 		if (message.type === 'message') {
 			// Wait for a turn of the event loop, to allow new subscriptions to be set
 			// up in response to the previous message.
-			setImmediate(() => {
+			timers.setImmediate(() => {
 				for (const emitter of messageEmitters) {
 					emitter.emit('message', message);
 				}
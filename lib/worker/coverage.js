@@ -0,0 +1,27 @@
+import fs from 'node:fs';
+import inspector from 'node:inspector';
+import path from 'node:path';
+import process from 'node:process';
+import {threadId} from 'node:worker_threads';
+
+// Child processes write their coverage to the NODE_V8_COVERAGE directory, but
+// that only works for worker threads if the main process was started with it.
+// Instead use the inspector to collect coverage in the same format.
+export default function collectCoverage(directory) {
+	const session = new inspector.Session();
+	session.connect();
+	session.post('Profiler.enable');
+	session.post('Profiler.startPreciseCoverage', {callCount: true, detailed: true});
+
+	// Messages are handled synchronously, so the coverage can be written while
+	// the thread is exiting.
+	process.once('exit', () => {
+		session.post('Profiler.takePreciseCoverage', (error, {result} = {}) => {
+			if (!error) {
+				fs.writeFileSync(path.join(directory, `coverage-${process.pid}-${Date.now()}-${threadId}.json`), JSON.stringify({result}));
+			}
+
+			session.disconnect();
+		});
+	});
+}
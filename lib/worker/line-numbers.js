@@ -20,7 +20,7 @@ function parse(file) {
 	const locations = [];
 	walk.simple(ast, {
 		CallExpression(node) {
-			locations.push(node.loc);
+			locations.push({...node.loc, rows: findTableRows(node)});
 		},
 	});
 
@@ -36,6 +36,25 @@ function parse(file) {
 	return locations;
 }
 
+// Rows of tables passed inline to `test.each()` can be selected individually.
+// Returns the locations of the rows if the call declares such tests.
+function findTableRows({callee}) {
+	while (callee.type === 'MemberExpression') {
+		callee = callee.object;
+	}
+
+	if (callee.type !== 'CallExpression' || callee.callee.type !== 'MemberExpression' || callee.callee.property.name !== 'each') {
+		return undefined;
+	}
+
+	const [table] = callee.arguments;
+	if (table?.type !== 'ArrayExpression') {
+		return undefined;
+	}
+
+	return table.elements.map(element => element?.loc ?? null);
+}
+
 function findTest(locations, declaration) {
 	// Find all calls that span the test declaration.
 	const spans = locations.filter(loc => {
@@ -105,15 +124,21 @@ export default function lineNumberSelection({file, lineNumbers = []}) {
 			}
 
 			if (sourceMap !== null) {
-				locations = locations.map(({start, end}) => ({
+				const translateLocation = ({start, end}) => ({
 					start: translate(sourceMap, start),
 					end: translate(sourceMap, end),
+				});
+				locations = locations.map(loc => ({
+					...translateLocation(loc),
+					rows: loc.rows?.map(row => row === null ? null : translateLocation(row)),
 				}));
 			}
 		}
 
-		// Assume this is called from a test declaration, which is located in the file.
-		// If not… don't select the test!
+		// Assume this is called from a test or group declaration, which is located
+		// in the file. If not… don't select the test! Returns the selected lines
+		// spanned by the declaration. For `test.each()` declarations with an inline
+		// table, the `rows` property holds the selected lines of each row.
 		const callSite = callsites().find(callSite => {
 			const current = callSite.getFileName();
 			if (file.startsWith('file://')) {
@@ -123,7 +148,7 @@ export default function lineNumberSelection({file, lineNumbers = []}) {
 			return current.startsWith('file://') ? pathToFileURL(file).toString() === current : file === current;
 		});
 		if (!callSite) {
-			return false;
+			return [];
 		}
 
 		const start = translate(sourceMap, {
@@ -133,9 +158,14 @@ export default function lineNumberSelection({file, lineNumbers = []}) {
 
 		const test = findTest(locations, start);
 		if (!test) {
-			return false;
+			return [];
+		}
+
+		const lines = range(test.start.line, test.end.line).filter(line => selected.has(line));
+		if (test.rows !== undefined) {
+			lines.rows = test.rows.map(row => row === null ? [] : lines.filter(line => line >= row.start.line && line <= row.end.line));
 		}
 
-		return range(test.start.line, test.end.line).some(line => selected.has(line));
+		return lines;
 	};
 }
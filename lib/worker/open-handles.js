@@ -0,0 +1,84 @@
+import {AsyncLocalStorage, createHook} from 'node:async_hooks';
+import {fileURLToPath, pathToFileURL} from 'node:url';
+
+// The resources that can keep the worker from exiting, by their `async_hooks`
+// type.
+const descriptions = new Map([
+	['Timeout', 'Timer'],
+	['TCPWRAP', 'Socket'],
+	['TCPSERVERWRAP', 'Server'],
+	['PIPEWRAP', 'Socket'],
+	['PIPESERVERWRAP', 'Server'],
+	['UDPWRAP', 'Socket'],
+	['PROCESSWRAP', 'Child process'],
+	['FILEHANDLE', 'File handle'],
+	['FSEVENTWRAP', 'File watcher'],
+	['STATWATCHER', 'File watcher'],
+]);
+
+const avaDirectory = fileURLToPath(new URL('..', import.meta.url));
+const avaDirectoryUrl = pathToFileURL(avaDirectory).href;
+
+// AVA runs tests using `Promise.all()`, which shows up as `at async
+// Promise.all (index 0)`.
+const isInternalFrame = line => /(?:\(|at )node:|\(index \d+\)$/.test(line) || line.includes(avaDirectory) || line.includes(avaDirectoryUrl);
+
+// Captures where the resource was created, without the frames of Node.js
+// internals and AVA itself.
+const captureStack = () => {
+	const {stackTraceLimit} = Error;
+	Error.stackTraceLimit = 20;
+	const {stack} = new Error(); // eslint-disable-line unicorn/error-message
+	Error.stackTraceLimit = stackTraceLimit;
+
+	return stack
+		.split('\n')
+		.slice(1)
+		.filter(line => !isInternalFrame(line))
+		.slice(0, 10)
+		.join('\n');
+};
+
+// Tracks the resources that are created while a test file runs, and which test
+// or hook created them.
+export function trackOpenHandles() {
+	const storage = new AsyncLocalStorage();
+	const resources = new Map();
+
+	const hook = createHook({
+		init(asyncId, type, triggerAsyncId, resource) {
+			if (descriptions.has(type)) {
+				resources.set(asyncId, {
+					resource,
+					stack: captureStack(),
+					title: storage.getStore(),
+					type,
+				});
+			}
+		},
+
+		destroy(asyncId) {
+			resources.delete(asyncId);
+		},
+	}).enable();
+
+	return {
+		// Attributes the resources created by `fn` to the test or hook with the
+		// title.
+		run(title, fn) {
+			return storage.run(title, fn);
+		},
+
+		// Stops tracking, and returns the resources that are still open. Unreferenced
+		// resources don't keep the worker from exiting, so they're left out. File
+		// handles are only destroyed once they're garbage collected, but no longer
+		// have a file descriptor once they're closed.
+		stop() {
+			hook.disable();
+			return [...resources.values()]
+				.filter(({resource}) => typeof resource.hasRef !== 'function' || resource.hasRef())
+				.filter(({resource, type}) => type !== 'FILEHANDLE' || resource.fd >= 0)
+				.map(({stack, title, type}) => ({description: descriptions.get(type), stack, title}));
+		},
+	};
+}
@@ -0,0 +1,35 @@
+// Test files that run in the same pooled worker share the modules they import,
+// including AVA itself and any helpers that declare tests. Rather than
+// exporting the chain of the first runner, resolve the chain of the runner for
+// the current test file whenever it's used.
+function createLazyChain(getRunner, resolve) {
+	return new Proxy(() => {}, {
+		apply(_target, thisArg, args) {
+			const result = Reflect.apply(resolve(), thisArg, args);
+			if (typeof result !== 'function') {
+				return result;
+			}
+
+			// Calls like `test.retry(2)` and `test.extend(fixtures)` return new
+			// chains, which are created again for the runners of other test files.
+			const results = new WeakMap([[getRunner(), result]]);
+			return createLazyChain(getRunner, () => {
+				const runner = getRunner();
+				if (!results.has(runner)) {
+					results.set(runner, Reflect.apply(resolve(), thisArg, args));
+				}
+
+				return results.get(runner);
+			});
+		},
+
+		get(_target, property) {
+			const value = resolve()[property];
+			return typeof value === 'function' ? createLazyChain(getRunner, () => resolve()[property]) : value;
+		},
+	});
+}
+
+export default function createPooledChain(getRunner) {
+	return createLazyChain(getRunner, () => getRunner().chain);
+}
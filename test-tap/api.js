@@ -325,6 +325,21 @@ for (const opt of options) {
 				t.equal(runStatus.stats.failedTests, 0);
 			});
 	});
+	test(`records durations of test files, tests and hooks - workerThreads: ${opt.workerThreads}`, async t => {
+		const api = await apiCreator(opt);
+		const file = path.join(__dirname, 'fixture/durations.cjs');
+
+		return api.run({files: [file]})
+			.then(runStatus => {
+				const {duration, durations} = runStatus.stats.byFile.get(file);
+				t.same(durations.hooks.map(({title}) => title), ['setup']);
+				t.same(durations.tests.map(({title}) => title).sort(), ['fast', 'slow']);
+				const slow = durations.tests.find(({title}) => title === 'slow');
+				t.ok(slow.duration >= 150);
+				t.ok(duration >= slow.duration);
+			});
+	});
+
 	test(`run from package.json folder by default - workerThreads: ${opt.workerThreads}`, async t => {
 		const api = await apiCreator(opt);
 
@@ -5,7 +5,9 @@ import stripAnsi from 'strip-ansi';
 import {test} from 'tap';
 
 import * as assert from '../lib/assert.js';
+import {InlineSnapshots} from '../lib/inline-snapshots.js';
 import * as snapshotManager from '../lib/snapshot-manager.js';
+import {Redacted} from '../lib/snapshot-values.js';
 import {set as setOptions} from '../lib/worker/options.cjs';
 
 setOptions({chalkOptions: {level: 0}});
@@ -1564,6 +1566,91 @@ test('.snapshot()', async t => {
 	t.end();
 });
 
+test('.snapshot() with redactions', t => {
+	let compared;
+	const redactingAssertions = new assertions.constructor({
+		compareWithSnapshot({expected}) {
+			compared = expected;
+			return {pass: true};
+		},
+	});
+
+	const user = {
+		id: 'f81d4fae',
+		createdAt: new Date(),
+		name: 'Jane',
+		sessions: [{token: 'abc'}, {token: 'def'}],
+	};
+	passes(t, () => redactingAssertions.snapshot(user, {redact: {id: String, createdAt: Date, 'sessions.*.token': String}}));
+	t.same(compared, {
+		id: new Redacted('String'),
+		createdAt: new Redacted('Date'),
+		name: 'Jane',
+		sessions: [{token: new Redacted('String')}, {token: new Redacted('String')}],
+	});
+	t.equal(user.id, 'f81d4fae');
+
+	passes(t, () => redactingAssertions.snapshot(new Map([['id', 42]]), {redact: {id: Number}}, 'my message'));
+	t.same(compared, new Map([['id', new Redacted('Number')]]));
+
+	failsWith(t, () => redactingAssertions.snapshot({id: 42}, {redact: {id: String}}), {
+		assertion: 't.snapshot()',
+		message: 'The value at `id` is not a String',
+		formattedDetails: [{label: 'Value:', formatted: '42'}],
+	});
+
+	failsWith(t, () => redactingAssertions.snapshot({id: 42}, {redact: {'user.id': Number}}), {
+		assertion: 't.snapshot()',
+		message: 'There is no value at `user.id` to redact',
+		formattedDetails: [{label: 'Value:', formatted: /id: 42/}],
+	});
+
+	failsWith(t, () => redactingAssertions.snapshot({id: 42}, {redact: {id: 'number'}}), {
+		assertion: 't.snapshot()',
+		message: 'The `redact` option must map property paths to constructors, such as `String` or `Date`',
+		formattedDetails: [{label: 'Called with:', formatted: /id: 'number'/}],
+	});
+
+	t.end();
+});
+
+test('.snapshot.inline()', t => {
+	const inlineSnapshots = new InlineSnapshots({recordNewSnapshots: false, updating: false});
+	const inlineAssertions = new assertions.constructor({
+		compareWithInlineSnapshot: options => inlineSnapshots.compare(options),
+	});
+
+	passes(t, () => inlineAssertions.snapshot.inline({foo: 'bar'}, '{\n  foo: \'bar\',\n}'));
+	passes(t, () => inlineAssertions.snapshot.inline({foo: 'bar'}, '\n\t\t{\n\t\t  foo: \'bar\',\n\t\t}\n\t'));
+	passes(t, () => inlineAssertions.snapshot.inline('bar', '\'bar\''));
+
+	failsWith(t, () => inlineAssertions.snapshot.inline('not bar', '\'bar\''), {
+		assertion: 't.snapshot.inline()',
+		message: 'Did not match inline snapshot',
+		formattedDetails: [{label: 'Difference (- actual, + expected):', formatted: /- '\\'not bar\\''\n\+ '\\'bar\\''/}],
+	});
+
+	failsWith(t, () => inlineAssertions.snapshot.inline('not bar', '\'bar\'', 'my message'), {
+		assertion: 't.snapshot.inline()',
+		message: 'my message',
+		formattedDetails: [{label: 'Difference (- actual, + expected):', formatted: /not bar/}],
+	});
+
+	failsWith(t, () => inlineAssertions.snapshot.inline('bar', 42), {
+		assertion: 't.snapshot.inline()',
+		message: 'The inline snapshot must be a string',
+		formattedDetails: [{label: 'Called with:', formatted: /42/}],
+	});
+
+	failsWith(t, () => inlineAssertions.snapshot.inline('bar'), {
+		assertion: 't.snapshot.inline()',
+		message: 'No inline snapshot available — new snapshots are not created in CI environments',
+		formattedDetails: [],
+	});
+
+	t.end();
+});
+
 test('.truthy()', t => {
 	failsWith(t, () => assertions.truthy(0), {
 		assertion: 't.truthy()',
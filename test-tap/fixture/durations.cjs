@@ -0,0 +1,16 @@
+const {setTimeout: delay} = require('node:timers/promises');
+
+const test = require('../../entrypoints/main.cjs');
+
+test.before('setup', t => {
+	t.pass();
+});
+
+test('fast', t => {
+	t.pass();
+});
+
+test('slow', async t => {
+	await delay(200);
+	t.pass();
+});
@@ -0,0 +1,23 @@
+const test = require('../../../entrypoints/main.cjs');
+
+test.each([
+	[1, 1, 2],
+	[1, 2, 3],
+	[
+		2,
+		3,
+		5,
+	],
+])('$0 + $1 = $2', (t, a, b, sum) => {
+	t.is(a + b, sum);
+});
+
+const table = [{name: 'a'}, {name: 'b'}];
+
+test.each(table).serial('serial $name', (t, {name}) => {
+	t.is(typeof name, 'string');
+});
+
+test('other', t => {
+	t.pass();
+});
@@ -0,0 +1,8 @@
+const test = require('../../entrypoints/main.cjs');
+
+let attempts = 0;
+
+test('passes on the second attempt', t => {
+	attempts++;
+	t.is(attempts, 2);
+});
@@ -0,0 +1,11 @@
+import process from 'node:process';
+
+export default async function globalSetup({projectDir}) {
+	console.log(`setup in ${projectDir === process.cwd() ? 'project directory' : projectDir}`);
+	if (process.env.SETUP_FAILS) {
+		throw new Error('Setup failed');
+	}
+
+	process.env.FROM_GLOBAL_SETUP = 'environment variable';
+	return process.env.SETUP_RETURNS_FUNCTION ? {fn() {}} : {value: 'from setup'};
+}
@@ -0,0 +1,8 @@
+import process from 'node:process';
+
+export default async function globalTeardown({globalSetup}) {
+	console.log(`teardown with ${JSON.stringify(globalSetup)}`);
+	if (process.env.TEARDOWN_FAILS) {
+		throw new Error('Teardown failed');
+	}
+}
@@ -0,0 +1,19 @@
+const {setTimeout: delay} = require('node:timers/promises');
+
+const test = require('../../../entrypoints/main.cjs');
+
+test('receives the result of the global setup', t => {
+	t.deepEqual(test.meta.globalSetup, {value: 'from setup'});
+	t.true(Object.isFrozen(test.meta.globalSetup));
+});
+
+test('receives environment variables set by the global setup', t => {
+	t.is(process.env.FROM_GLOBAL_SETUP, 'environment variable');
+});
+
+if (process.env.HANG) {
+	test('hangs until the run is interrupted', async t => {
+		await delay(60_000);
+		t.pass();
+	});
+}
@@ -0,0 +1,21 @@
+const test = require('../../../entrypoints/main.cjs');
+
+test.group('outer', () => {
+	test.beforeEach(t => {
+		t.context.outer = true;
+	});
+
+	test('a', t => {
+		t.true(t.context.outer);
+	});
+
+	test.group('inner', () => {
+		test('b', t => {
+			t.true(t.context.outer);
+		});
+	});
+});
+
+test('c', t => {
+	t.pass();
+});
@@ -0,0 +1,11 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const {threadId} = require('node:worker_threads');
+
+// Test files that run in the same worker share this module, and globals.
+const log = filename => {
+	globalThis.filesRun = (globalThis.filesRun ?? 0) + 1;
+	fs.appendFileSync(process.env.ISOLATE_LOG, `${path.basename(filename)} ${process.pid}/${threadId} ${globalThis.filesRun}\n`);
+};
+
+module.exports = log;
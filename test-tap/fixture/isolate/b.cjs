@@ -0,0 +1,15 @@
+const test = require('../../../entrypoints/main.cjs');
+
+const log = require('./_log.cjs');
+
+test.before(() => {
+	log(__filename);
+});
+
+test('passes', t => {
+	if (process.env.CRASH === 'b') {
+		process.exit(1); // eslint-disable-line unicorn/no-process-exit
+	}
+
+	t.pass();
+});
@@ -0,0 +1,17 @@
+const fs = require('node:fs');
+const {setTimeout: delay} = require('node:timers/promises');
+
+const test = require('../../../entrypoints/main.cjs');
+
+const log = message => fs.appendFileSync(process.env.LOCK_LOG, `${message}\n`);
+
+test.lock('table')('c', async t => {
+	log('start c');
+	await delay(200);
+	if (process.env.CRASH === 'c') {
+		process.exit(1); // eslint-disable-line unicorn/no-process-exit
+	}
+
+	log('end c');
+	t.pass();
+});
@@ -0,0 +1,11 @@
+const test = require('../../../entrypoints/main.cjs');
+
+const fixed = (process.env.FIXED ?? '').split(',');
+
+test('a1', t => {
+	t.pass();
+});
+
+test('a2', t => {
+	t.true(fixed.includes('a2'));
+});
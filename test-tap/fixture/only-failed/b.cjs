@@ -0,0 +1,11 @@
+const test = require('../../../entrypoints/main.cjs');
+
+const fixed = (process.env.FIXED ?? '').split(',');
+
+test('b1', t => {
+	t.pass();
+});
+
+test('b2', t => {
+	t.true(fixed.includes('b2'));
+});
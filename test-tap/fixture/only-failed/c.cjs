@@ -0,0 +1,5 @@
+const test = require('../../../entrypoints/main.cjs');
+
+test('c1', t => {
+	t.pass();
+});
@@ -0,0 +1,15 @@
+const test = require('../../../entrypoints/main.cjs');
+
+test.before(() => {
+	if (process.env.CRASH) {
+		throw new Error('Crashed');
+	}
+});
+
+test('d1', t => {
+	t.pass();
+});
+
+test('d2', t => {
+	t.pass();
+});
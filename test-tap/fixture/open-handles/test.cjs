@@ -0,0 +1,46 @@
+const fs = require('node:fs/promises');
+const net = require('node:net');
+
+const test = require('../../../entrypoints/main.cjs');
+
+// Closed once the test file has finished, so the worker can exit.
+const handles = [];
+test.after.always(() => {
+	setImmediate(async () => {
+		for (const close of handles) {
+			await close(); // eslint-disable-line no-await-in-loop
+		}
+	});
+});
+
+test('leaves a timer open', t => {
+	const interval = setInterval(() => {}, 1000);
+	handles.push(() => clearInterval(interval));
+	t.pass();
+});
+
+test('leaves a server open', async t => {
+	const server = net.createServer();
+	await new Promise(resolve => {
+		server.listen(0, resolve);
+	});
+	handles.push(() => new Promise(resolve => {
+		server.close(resolve);
+	}));
+	t.pass();
+});
+
+test('leaves a file handle open', async t => {
+	const file = await fs.open(__filename);
+	handles.push(() => file.close());
+	t.pass();
+});
+
+test('closes its resources', async t => {
+	const timeout = setTimeout(() => {}, 1000);
+	clearTimeout(timeout);
+	setTimeout(() => {}, 1000).unref();
+	const file = await fs.open(__filename);
+	await file.close();
+	t.pass();
+});
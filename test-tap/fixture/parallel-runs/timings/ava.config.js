@@ -0,0 +1,6 @@
+import process from 'node:process';
+
+export default {
+	files: ['*.cjs'],
+	timingsFile: process.env.TIMINGS_FILE,
+};
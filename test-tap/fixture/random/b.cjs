@@ -0,0 +1,7 @@
+const test = require('../../../entrypoints/main.cjs');
+
+for (const n of [1, 2, 3, 4, 5]) {
+	test('b' + n, t => {
+		t.pass();
+	});
+}
@@ -0,0 +1,16 @@
+const test = require('../../../entrypoints/main.cjs');
+
+let before = 0;
+test.before(() => {
+	before++;
+});
+
+test.serial('stable', t => {
+	t.is(before, 1);
+});
+
+let iteration = 0;
+test.serial('flaky', t => {
+	iteration++;
+	t.not(iteration, 3);
+});
@@ -0,0 +1,27 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import process from 'node:process';
+
+const reportDir = process.env.REPORT_DIR;
+
+const inline = {
+	events: [],
+	startRun(plan) {
+		plan.status.on('stateChange', evt => {
+			this.events.push(evt.type);
+		});
+	},
+	endRun() {
+		fs.writeFileSync(path.join(reportDir, 'inline.json'), JSON.stringify(this.events));
+	},
+};
+
+export default {
+	files: ['test.cjs'],
+	reporters: [
+		'default',
+		['tap', {output: path.join(reportDir, 'report.tap')}],
+		['./reporter.js', {output: path.join(reportDir, 'custom.json')}],
+		inline,
+	],
+};
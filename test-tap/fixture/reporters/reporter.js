@@ -0,0 +1,17 @@
+import fs from 'node:fs';
+
+export default function makeReporter({options}) {
+	const passed = [];
+	return {
+		startRun(plan) {
+			plan.status.on('stateChange', evt => {
+				if (evt.type === 'test-passed') {
+					passed.push(evt.title);
+				}
+			});
+		},
+		endRun() {
+			fs.writeFileSync(options.output, JSON.stringify(passed));
+		},
+	};
+}
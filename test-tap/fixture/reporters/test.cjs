@@ -0,0 +1,5 @@
+const test = require('../../../entrypoints/main.cjs');
+
+test('passes', t => {
+	t.pass();
+});
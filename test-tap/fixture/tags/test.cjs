@@ -0,0 +1,13 @@
+const test = require('../../../entrypoints/main.cjs');
+
+test.tag('slow')('slow', t => {
+	t.pass();
+});
+
+test.tag('db', 'slow')('db', t => {
+	t.pass();
+});
+
+test('untagged', t => {
+	t.pass();
+});
@@ -0,0 +1,10 @@
+module.exports = {
+	files: ['test.cjs'],
+	coverage: {
+		include: process.env.COVERAGE_INCLUDE ? [process.env.COVERAGE_INCLUDE] : [],
+		reportsDirectory: process.env.COVERAGE_DIR,
+		thresholds: {
+			lines: Number(process.env.LINES_THRESHOLD ?? 0),
+		},
+	},
+};
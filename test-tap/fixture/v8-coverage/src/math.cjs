@@ -0,0 +1,18 @@
+exports.add = (a, b) => a + b;
+
+exports.subtract = (a, b) => {
+	if (a < b) {
+		return -(b - a);
+	}
+
+	return a - b;
+};
+
+exports.multiply = (a, b) => {
+	let result = 0;
+	for (let i = 0; i < b; i++) {
+		result = exports.add(result, a);
+	}
+
+	return result;
+};
@@ -0,0 +1,11 @@
+const test = require('../../../entrypoints/main.cjs');
+
+const {add, subtract} = require('./src/math.cjs');
+
+test('add', t => {
+	t.is(add(1, 2), 3);
+});
+
+test('subtract', t => {
+	t.is(subtract(3, 2), 1);
+});
@@ -1,5 +1,6 @@
 import childProcess from 'node:child_process';
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
 import {fileURLToPath} from 'node:url';
 
@@ -56,6 +57,82 @@ for (const tapFlag of ['--tap', '-t']) {
 	});
 }
 
+test('--reporter junit --output writes a JUnit report', t => {
+	const outputFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ava-junit-')), 'report.xml');
+	execCli(['--reporter', 'junit', '--output', outputFile, 'test.cjs'], {dirname: 'fixture/tap'}, (error, stdout) => {
+		t.error(error);
+		t.equal(stdout, '');
+		const report = fs.readFileSync(outputFile, 'utf8');
+		t.match(report, /^<\?xml version="1\.0" encoding="UTF-8"\?>/);
+		t.match(report, /<testsuite name="test\.cjs" tests="1" failures="0" errors="0" skipped="0"/);
+		t.match(report, /<testcase name="works" classname="test\.cjs"/);
+		t.end();
+	});
+});
+
+test('--output requires the TAP, JUnit or NDJSON reporter', t => {
+	execCli(['--output', 'report.xml', 'test.cjs'], {dirname: 'fixture/tap'}, (error, stdout, stderr) => {
+		t.ok(error);
+		t.match(stderr, 'The --output flag requires the TAP, JUnit or NDJSON reporter.');
+		t.end();
+	});
+});
+
+test('--retries reruns failed tests', t => {
+	execCli(['--retries', '1', 'flaky.cjs'], (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /\[retry 1\/1]: passes on the second attempt/);
+		t.match(stdout, /passes on the second attempt \[flaky, passed on attempt 2]/);
+		t.match(stdout, /1 flaky test passed after being retried/);
+		t.end();
+	});
+});
+
+test('tests are not retried by default', t => {
+	execCli(['flaky.cjs'], (error, stdout) => {
+		t.ok(error);
+		t.match(stdout, /1 test failed/);
+		t.end();
+	});
+});
+
+test('--retries must be a non-negative integer', t => {
+	execCli(['--retries', '-1', 'flaky.cjs'], (error, stdout, stderr) => {
+		t.ok(error);
+		t.match(stderr, 'The --retries flag or ’retries’ configuration must be a non-negative integer.');
+		t.end();
+	});
+});
+
+test('--slow highlights slow tests and summarizes the slowest tests and files', t => {
+	execCli(['--slow', '150', 'durations.cjs'], (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /slow \[slow] \(\d+ms\)/);
+		t.notMatch(stdout, /fast \[slow]/);
+		t.match(stdout, /Slowest tests\n\s+slow \(\d+ms\)\n\s+fast \(\d+ms\)/);
+		t.match(stdout, /Slowest files\n\s+durations\.cjs \([\d.]+m?s\)/);
+		t.end();
+	});
+});
+
+test('--slow highlights slow tests in TAP output', t => {
+	execCli(['--tap', '--slow', '150', 'durations.cjs'], (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /ok \d+ - slow\n# slow: took \d+ms/);
+		t.notMatch(stdout, /ok \d+ - fast\n# slow/);
+		t.match(stdout, /# slowest tests\n# {3}slow \(\d+ms\)\n# {3}fast \(\d+ms\)\n# slowest files\n# {3}durations\.cjs \(\d+ms\)/);
+		t.end();
+	});
+});
+
+test('--slow must be a non-negative number', t => {
+	execCli(['--slow', 'soon', 'durations.cjs'], (error, stdout, stderr) => {
+		t.ok(error);
+		t.match(stderr, 'The --slow flag or ’slow’ configuration must be a non-negative number of milliseconds.');
+		t.end();
+	});
+});
+
 test('works when no files are found', t => {
 	execCli([], {dirname: 'fixture/globs/no-files'}, (error, stdout) => {
 		t.equal(error.code, 1);
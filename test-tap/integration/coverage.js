@@ -0,0 +1,87 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {test} from 'tap';
+
+import {normalizeCoverageOptions} from '../../lib/coverage.js';
+import {execCli} from '../helper/cli.js';
+
+const runWithCoverage = (args, env = {}, reportsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ava-coverage-'))) => new Promise(resolve => {
+	execCli(args, {
+		dirname: 'fixture/v8-coverage',
+		env: {COVERAGE_DIR: reportsDirectory, ...env},
+	}, (error, stdout, stderr) => {
+		resolve({
+			error,
+			reportsDirectory,
+			stderr,
+			stdout,
+		});
+	});
+});
+
+for (const args of [['--coverage'], ['--coverage', '--no-worker-threads']]) {
+	test(`collects coverage with ${args.join(' ')}`, async t => {
+		const {error, reportsDirectory, stdout} = await runWithCoverage(args);
+		t.error(error);
+		t.match(stdout, /Statements\s+: 55\.55% \( 10\/18 \)/);
+		t.match(stdout, /Functions\s+: 66\.66% \( 2\/3 \)/);
+
+		const coverage = JSON.parse(fs.readFileSync(path.join(reportsDirectory, 'coverage-final.json'), 'utf8'));
+		t.same(Object.keys(coverage).map(file => path.basename(file)), ['math.cjs']);
+		t.ok(fs.existsSync(path.join(reportsDirectory, 'lcov.info')));
+	});
+}
+
+test('does not collect coverage with --no-coverage', async t => {
+	const {error, reportsDirectory, stdout} = await runWithCoverage(['--no-coverage']);
+	t.error(error);
+	t.notMatch(stdout, /Coverage summary/);
+	t.same(fs.readdirSync(reportsDirectory), []);
+});
+
+test('fails when coverage does not meet the thresholds', async t => {
+	const {error, stdout} = await runWithCoverage(['--coverage'], {LINES_THRESHOLD: '90'});
+	t.ok(error);
+	t.match(stdout, /Coverage for lines \(55\.55%\) does not meet the threshold \(90%\)/);
+	t.match(stdout, /2 tests passed/);
+});
+
+test('fails thresholds when no files were covered', async t => {
+	const {error, stdout} = await runWithCoverage(['--coverage'], {COVERAGE_INCLUDE: 'missing/**', LINES_THRESHOLD: '50'});
+	t.ok(error);
+	t.match(stdout, /Coverage for lines is unknown, since no files were covered, and does not meet the threshold \(50%\)/);
+});
+
+test('removes reports from previous runs', async t => {
+	const reportsDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'ava-coverage-'));
+	fs.writeFileSync(path.join(reportsDirectory, 'stale.json'), '{}');
+	const {error} = await runWithCoverage(['--coverage'], {}, reportsDirectory);
+	t.error(error);
+	t.notOk(fs.existsSync(path.join(reportsDirectory, 'stale.json')));
+	t.ok(fs.existsSync(path.join(reportsDirectory, 'coverage-final.json')));
+});
+
+test('reports failed thresholds in the TAP output', async t => {
+	const {error, stdout} = await runWithCoverage(['--coverage', '--tap'], {LINES_THRESHOLD: '90'});
+	t.ok(error);
+	t.match(stdout, /^# Lines\s+: 55\.55% \( 10\/18 \)$/m);
+	t.match(stdout, /^not ok 3 - Coverage for lines \(55\.55%\) does not meet the threshold \(90%\)$/m);
+});
+
+test('the reports directory must not contain the project directory', t => {
+	const projectDir = path.join(os.tmpdir(), 'project');
+	for (const reportsDirectory of ['.', '..']) {
+		t.throws(() => normalizeCoverageOptions({reportsDirectory}, projectDir), {message: '’coverage.reportsDirectory’ must not contain the project directory.'});
+	}
+
+	t.equal(normalizeCoverageOptions({reportsDirectory: 'coverage'}, projectDir).reportsDirectory, path.join(projectDir, 'coverage'));
+	t.end();
+});
+
+test('fails with invalid thresholds', async t => {
+	const {error, stderr} = await runWithCoverage(['--coverage'], {LINES_THRESHOLD: '101'});
+	t.ok(error);
+	t.match(stderr, /’coverage\.thresholds\.lines’ must be a percentage between 0 and 100\./);
+});
@@ -0,0 +1,28 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const passedTests = stdout => [...stdout.matchAll(/^ok \d+ - (.+)$/gm)].map(match => match[1]).sort();
+
+for (const [args, expected] of [
+	[[], ['1 + 1 = 2', '1 + 2 = 3', '2 + 3 = 5', 'other', 'serial a', 'serial b']],
+	[['test.cjs:3'], ['1 + 1 = 2', '1 + 2 = 3', '2 + 3 = 5']],
+	[['test.cjs:12'], ['1 + 1 = 2', '1 + 2 = 3', '2 + 3 = 5']],
+	[['test.cjs:5'], ['1 + 2 = 3']],
+	[['test.cjs:4,8'], ['1 + 1 = 2', '2 + 3 = 5']],
+	[['test.cjs:5,11'], ['1 + 2 = 3']],
+	[['test.cjs:15'], []],
+	[['test.cjs:17'], ['serial a', 'serial b']],
+	[['--match', '1 + *'], ['1 + 1 = 2', '1 + 2 = 3']],
+]) {
+	test(`selects rows with ${args.join(' ') || 'no arguments'}`, t => {
+		execCli(['--tap', ...args], {dirname: 'fixture/each'}, (error, stdout) => {
+			if (expected.length > 0) {
+				t.error(error);
+			}
+
+			t.same(passedTests(stdout), expected);
+			t.end();
+		});
+	});
+}
@@ -0,0 +1,60 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const run = (args, env = {}) => new Promise(resolve => {
+	execCli(args, {dirname: 'fixture/global-setup', env}, (error, stdout, stderr) => {
+		resolve({error, stderr, stdout});
+	});
+});
+
+test('runs the global setup and teardown around the test files', async t => {
+	const {error, stdout} = await run(['--tap']);
+	t.error(error);
+	t.match(stdout, /^setup in project directory$/m);
+	t.match(stdout, /^ok 1 - receives the result of the global setup$/m);
+	t.match(stdout, /^ok 2 - receives environment variables set by the global setup$/m);
+	t.match(stdout, /^teardown with {"value":"from setup"}$/m);
+	t.ok(stdout.indexOf('setup in') < stdout.indexOf('ok 1') && stdout.indexOf('ok 2') < stdout.indexOf('teardown with'));
+});
+
+test('does not run test files if the global setup fails', async t => {
+	const {error, stdout} = await run([], {SETUP_FAILS: '1'});
+	t.ok(error);
+	t.match(stdout, /✘ Global setup failed/);
+	t.match(stdout, /Setup failed/);
+	t.notMatch(stdout, /receives the result/);
+	t.match(stdout, /^teardown with undefined$/m);
+});
+
+test('fails if the global setup returns a value that cannot be serialized', async t => {
+	const {error, stdout} = await run(['--tap'], {SETUP_RETURNS_FUNCTION: '1'});
+	t.ok(error);
+	t.match(stdout, /^not ok 1 - Global setup failed$/m);
+	t.match(stdout, /The value returned by the ’globalSetup’ module must be serializable/);
+});
+
+test('fails if the global teardown fails', async t => {
+	const {error, stdout} = await run(['--tap'], {TEARDOWN_FAILS: '1'});
+	t.ok(error);
+	t.match(stdout, /^ok 2 - receives environment variables set by the global setup$/m);
+	t.match(stdout, /^not ok 3 - Global teardown failed$/m);
+});
+
+test('runs the global teardown when the run is interrupted', async t => {
+	let stdout = '';
+	const {error} = await new Promise(resolve => {
+		const child = execCli(['--tap'], {dirname: 'fixture/global-setup', env: {HANG: '1'}}, error => {
+			resolve({error});
+		});
+		child.stdout.on('data', chunk => {
+			stdout += chunk;
+			if (!child.killed && /^ok 2 /m.test(stdout)) {
+				child.kill('SIGINT');
+			}
+		});
+	});
+	t.ok(error);
+	t.notMatch(stdout, /hangs until the run is interrupted/);
+	t.match(stdout, /^teardown with {"value":"from setup"}$/m);
+});
@@ -0,0 +1,24 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const passedTests = stdout => [...stdout.matchAll(/^ok \d+ - (.+)$/gm)].map(match => match[1]).sort();
+
+for (const [args, expected] of [
+	[[], ['c', 'outer › a', 'outer › inner › b']],
+	[['test.cjs:3'], ['outer › a', 'outer › inner › b']],
+	[['test.cjs:5'], ['outer › a', 'outer › inner › b']],
+	[['test.cjs:9'], ['outer › a']],
+	[['test.cjs:12'], ['outer › inner › b']],
+	[['test.cjs:14,19'], ['c', 'outer › inner › b']],
+	[['--match', 'outer › inner*'], ['outer › inner › b']],
+	[['--match', '*b'], ['outer › inner › b']],
+]) {
+	test(`selects grouped tests with ${args.join(' ') || 'no arguments'}`, t => {
+		execCli(['--tap', ...args], {dirname: 'fixture/groups'}, (error, stdout) => {
+			t.error(error);
+			t.same(passedTests(stdout), expected);
+			t.end();
+		});
+	});
+}
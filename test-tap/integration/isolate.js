@@ -0,0 +1,52 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const run = (args, env = {}) => new Promise(resolve => {
+	const log = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ava-isolate-')), 'log');
+	execCli(args, {dirname: 'fixture/isolate', env: {ISOLATE_LOG: log, ...env}}, (error, stdout) => {
+		// Each line records a test file, the worker it ran in, and how many test
+		// files that worker has run, in the order the test files ran.
+		const runs = fs.readFileSync(log, 'utf8').trim().split('\n').map(line => {
+			const [file, worker, filesRun] = line.split(' ');
+			return {file, worker, filesRun: Number(filesRun)};
+		});
+
+		resolve({
+			error,
+			filesRun: Object.fromEntries(runs.map(({file, filesRun}) => [file, filesRun])),
+			runs,
+			stdout,
+			workers: Object.fromEntries(runs.map(({file, worker}) => [file, worker])),
+		});
+	});
+});
+
+test('test files run one after the other in the same worker', async t => {
+	const {error, filesRun, stdout, workers} = await run([]);
+	t.error(error);
+	t.match(stdout, /4 tests passed/);
+	t.equal(workers['a.cjs'], workers['b.cjs']);
+	t.equal(workers['a.cjs'], workers['c.cjs']);
+	t.same([filesRun['a.cjs'], filesRun['b.cjs'], filesRun['c.cjs']].sort(), [1, 2, 3]);
+});
+
+test('test files matching ’isolatedFiles’ run in their own worker', async t => {
+	const {error, filesRun, workers} = await run([]);
+	t.error(error);
+	t.not(workers['isolated.cjs'], workers['a.cjs']);
+	t.equal(filesRun['isolated.cjs'], 1);
+});
+
+test('test files run in a new worker after a pooled worker exits', async t => {
+	const {error, runs, stdout, workers} = await run([], {CRASH: 'b'});
+	t.ok(error);
+	t.match(stdout, /b\.cjs exited with a non-zero exit code: 1/);
+	t.match(stdout, /3 tests passed/);
+	const after = runs.slice(runs.findIndex(({file}) => file === 'b.cjs') + 1);
+	t.ok(after.every(({worker}) => worker !== workers['b.cjs']));
+});
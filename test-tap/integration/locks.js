@@ -0,0 +1,44 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const runWithLocks = (env = {}) => new Promise(resolve => {
+	const log = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ava-locks-')), 'log');
+	execCli([], {dirname: 'fixture/locks', env: {LOCK_LOG: log, ...env}}, (error, stdout) => {
+		resolve({
+			error,
+			log: fs.readFileSync(log, 'utf8').trim().split('\n'),
+			stdout,
+		});
+	});
+});
+
+// Each test must end before the next one starts.
+const assertNotOverlapping = (t, log) => {
+	for (let index = 0; index < log.length; index += 2) {
+		const [, name] = log[index].split(' ');
+		t.equal(log[index + 1], `end ${name}`);
+	}
+};
+
+test('tests that hold the same lock do not run at the same time', async t => {
+	const {error, log, stdout} = await runWithLocks();
+	t.error(error);
+	t.match(stdout, /3 tests passed/);
+	t.equal(log.length, 6);
+	assertNotOverlapping(t, log);
+});
+
+test('locks are released when a worker crashes', async t => {
+	const {error, log, stdout} = await runWithLocks({CRASH: 'b'});
+	t.ok(error);
+	t.match(stdout, /2 tests passed/);
+	t.ok(log.includes('start b'));
+	const completed = log.filter(line => line !== 'start b');
+	t.same([...completed].sort(), ['end a', 'end c', 'start a', 'start c']);
+	assertNotOverlapping(t, completed);
+});
@@ -0,0 +1,62 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const cacheDir = fileURLToPath(new URL('../fixture/only-failed/node_modules', import.meta.url));
+
+const run = (args, fixed = [], env = {}) => new Promise(resolve => {
+	// Failed tests aren't remembered in CI.
+	execCli(['--tap', '--serial', ...args], {dirname: 'fixture/only-failed', env: {AVA_FORCE_CI: 'not-ci', FIXED: fixed.join(','), ...env}}, (error, stdout) => {
+		const results = [...stdout.matchAll(/^(not ok|ok) \d+ - (?:\w+ › )?(\w+)$/gm)].map(([, result, title]) => `${title} ${result === 'ok' ? 'passed' : 'failed'}`);
+		resolve({error, results: results.sort()});
+	});
+});
+
+const runResults = async (args, fixed, env) => {
+	const {results} = await run(args, fixed, env);
+	return results;
+};
+
+test('only runs the tests that failed in the previous run', async t => {
+	fs.rmSync(cacheDir, {force: true, recursive: true});
+	t.same(await runResults([]), ['a1 passed', 'a2 failed', 'b1 passed', 'b2 failed', 'c1 passed', 'd1 passed', 'd2 passed']);
+	t.same(await runResults(['--only-failed']), ['a2 failed', 'b2 failed']);
+	t.same(await runResults(['--only-failed'], ['a2']), ['a2 passed', 'b2 failed']);
+	t.same(await runResults(['--only-failed'], ['a2']), ['b2 failed']);
+	t.same(await runResults(['--only-failed', 'a.cjs'], ['a2']), ['a1 passed', 'a2 passed']);
+	t.same(await runResults(['--only-failed'], ['a2']), ['b2 failed']);
+
+	const {error, results} = await run(['--only-failed'], ['a2', 'b2']);
+	t.error(error);
+	t.same(results, ['b2 passed']);
+});
+
+test('runs all tests if none failed in the previous run', async t => {
+	const {error, results} = await run(['--only-failed'], ['a2', 'b2']);
+	t.error(error);
+	t.same(results, ['a1 passed', 'a2 passed', 'b1 passed', 'b2 passed', 'c1 passed', 'd1 passed', 'd2 passed']);
+});
+
+test('reruns the whole file if it failed outside of a test', async t => {
+	fs.rmSync(cacheDir, {force: true, recursive: true});
+	t.same(await runResults([], [], {CRASH: '1'}), ['a1 passed', 'a2 failed', 'b1 passed', 'b2 failed', 'c1 passed']);
+	t.same(await runResults(['--only-failed'], ['a2']), ['a2 passed', 'b2 failed', 'd1 passed', 'd2 passed']);
+	t.same(await runResults(['--only-failed'], ['a2']), ['b2 failed']);
+});
+
+test('stores the failed tests by file, remembering those of files that did not run', async t => {
+	const readFailedTests = () => {
+		const failedTests = JSON.parse(fs.readFileSync(path.join(cacheDir, '.cache/ava/failing-tests.json'), 'utf8'));
+		return Object.entries(failedTests).map(([file, titles]) => [path.basename(file), titles]).sort();
+	};
+
+	fs.rmSync(cacheDir, {force: true, recursive: true});
+	await run([]);
+	t.same(readFailedTests(), [['a.cjs', ['a2']], ['b.cjs', ['b2']]]);
+	await run(['b.cjs'], ['b2']);
+	t.same(readFailedTests(), [['a.cjs', ['a2']]]);
+});
@@ -0,0 +1,32 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+test('reports the resources that tests leave open', t => {
+	execCli(['--detect-open-handles'], {dirname: 'fixture/open-handles'}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /3 open handles in test\.cjs after its tests finished/);
+		t.match(stdout, /Timer created by leaves a timer open\n\s+at .+test\.cjs:17:19/);
+		t.match(stdout, /Server created by leaves a server open\n\s+at .+test\.cjs:25:10/);
+		t.match(stdout, /File handle created/);
+		t.notMatch(stdout, /closes its resources\n\s+at/);
+		t.end();
+	});
+});
+
+test('reports the resources that tests leave open in the JUnit report', t => {
+	execCli(['--detect-open-handles', '--reporter', 'junit'], {dirname: 'fixture/open-handles'}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /<system-err>3 open handles after the tests finished:\n\nTimer created by leaves a timer open\n\s+at .+test\.cjs:17:19/);
+		t.match(stdout, /Server created by leaves a server open/);
+		t.end();
+	});
+});
+
+test('does not report open resources by default', t => {
+	execCli([], {dirname: 'fixture/open-handles'}, (error, stdout) => {
+		t.error(error);
+		t.notMatch(stdout, /open handles/);
+		t.end();
+	});
+});
@@ -1,3 +1,8 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
 import {test} from 'tap';
 
 import {execCli} from '../helper/cli.js';
@@ -57,3 +62,123 @@ test('correctly applies custom comparator', t => {
 		}, error => t.error(error));
 	}
 });
+
+test('balances test files using recorded timings', async t => {
+	const fixtureDir = fileURLToPath(new URL('../fixture/parallel-runs/timings', import.meta.url));
+	const timingsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ava-timings-')), 'timings.json');
+	fs.copyFileSync(path.join(fixtureDir, 'timings.json'), timingsFile);
+
+	// Run sequentially, since each run updates the timings file.
+	for (const [index, expected] of [[0, /5 tests passed/], [1, /1 test passed/]]) {
+		const [error, stdout] = await new Promise(resolve => { // eslint-disable-line no-await-in-loop
+			execCli([], {
+				dirname: 'fixture/parallel-runs/timings',
+				env: {
+					AVA_FORCE_CI: 'ci',
+					CI_NODE_INDEX: String(index),
+					CI_NODE_TOTAL: '2',
+					TIMINGS_FILE: timingsFile,
+				},
+			}, (...args) => resolve(args));
+		});
+		t.error(error);
+		t.match(stdout, expected);
+		fs.copyFileSync(path.join(fixtureDir, 'timings.json'), timingsFile);
+	}
+});
+
+test('records timings of the files that ran', async t => {
+	const fixtureDir = fileURLToPath(new URL('../fixture/parallel-runs/timings', import.meta.url));
+	const timingsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ava-timings-')), 'timings.json');
+	fs.copyFileSync(path.join(fixtureDir, 'timings.json'), timingsFile);
+
+	await new Promise(resolve => {
+		execCli([], {
+			dirname: 'fixture/parallel-runs/timings',
+			env: {
+				AVA_FORCE_CI: 'ci',
+				CI_NODE_INDEX: '1',
+				CI_NODE_TOTAL: '2',
+				TIMINGS_FILE: timingsFile,
+			},
+		}, resolve);
+	});
+
+	const timings = JSON.parse(fs.readFileSync(timingsFile, 'utf8'));
+	t.same(Object.keys(timings), ['a.cjs', 'b.cjs', 'c.cjs', 'd.cjs', 'e.cjs']);
+	t.not(timings['a.cjs'], 1000);
+	t.equal(timings['b.cjs'], 100);
+});
+
+test('does not record timings when selecting tests', async t => {
+	const fixtureDir = fileURLToPath(new URL('../fixture/parallel-runs/timings', import.meta.url));
+	const timingsFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ava-timings-')), 'timings.json');
+	fs.copyFileSync(path.join(fixtureDir, 'timings.json'), timingsFile);
+
+	for (const args of [['--match', 'at expected index', 'a.cjs'], ['a.cjs:3']]) {
+		await new Promise(resolve => { // eslint-disable-line no-await-in-loop
+			execCli(args, {
+				dirname: 'fixture/parallel-runs/timings',
+				env: {
+					AVA_FORCE_CI: 'not-ci',
+					CI_NODE_INDEX: '1',
+					TIMINGS_FILE: timingsFile,
+				},
+			}, resolve);
+		});
+
+		t.equal(JSON.parse(fs.readFileSync(timingsFile, 'utf8'))['a.cjs'], 1000);
+	}
+});
+
+test('distributes test files using the --shard flag', t => {
+	t.plan(3);
+	for (let i = 0; i < 3; i++) {
+		execCli([`--shard=${i + 1}/3`], {
+			dirname: 'fixture/parallel-runs/more-files-than-ci-total',
+			env: {
+				AVA_FORCE_CI: 'not-ci',
+				// The fixtures assert on this variable.
+				CI_NODE_INDEX: String(i),
+			},
+		}, error => t.error(error));
+	}
+});
+
+test('the --shard flag takes precedence over CI detection', t => {
+	execCli(['--shard=2/3'], {
+		dirname: 'fixture/parallel-runs/more-files-than-ci-total',
+		env: {
+			AVA_FORCE_CI: 'ci',
+			CI_NODE_INDEX: '1',
+			CI_NODE_TOTAL: '2',
+		},
+	}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /Ran 3 test files out of 8 for job 2 of 3/);
+		t.end();
+	});
+});
+
+test('the --shard flag handles empty shards', t => {
+	execCli(['--shard=3/3'], {
+		dirname: 'fixture/parallel-runs/less-files-than-ci-total',
+		env: {AVA_FORCE_CI: 'not-ci'},
+	}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /No files tested in this parallel run/);
+		t.end();
+	});
+});
+
+test('fails with an invalid --shard flag', t => {
+	t.plan(3);
+	for (const shard of ['0/3', '4/3', 'two']) {
+		execCli([`--shard=${shard}`], {
+			dirname: 'fixture/parallel-runs/more-files-than-ci-total',
+			env: {AVA_FORCE_CI: 'not-ci'},
+		}, (error, stdout, stderr) => {
+			t.match(stderr, /The --shard flag or ’shard’ configuration must be formatted as <index>\/<total>/);
+		});
+	}
+});
@@ -0,0 +1,62 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const run = args => new Promise(resolve => {
+	execCli(['--tap', '--serial', '--concurrency=1', ...args], {dirname: 'fixture/random'}, (error, stdout, stderr) => {
+		resolve({error, stderr, stdout});
+	});
+});
+
+const passedTests = stdout => [...stdout.matchAll(/^ok \d+ - (.+)$/gm)].map(match => match[1].replace(/^\w+ › /, ''));
+
+const runOrder = async args => {
+	const {stdout} = await run(args);
+	return passedTests(stdout).join(' ');
+};
+
+test('runs tests in declaration order by default', async t => {
+	const {error, stdout} = await run([]);
+	t.error(error);
+	t.same(passedTests(stdout), ['a1', 'a2', 'a3', 'a4', 'a5', 'b1', 'b2', 'b3', 'b4', 'b5', 'c1', 'c2', 'c3', 'c4', 'c5']);
+});
+
+test('runs tests in a reproducible random order', async t => {
+	const first = await run(['--random=42']);
+	t.error(first.error);
+	t.match(first.stdout, /^# random order, seed 42$/m);
+	t.match(first.stdout, /^# Ran tests in random order, reproduce with --random=42$/m);
+
+	const order = passedTests(first.stdout).join(' ');
+	const declared = await runOrder([]);
+	t.not(order, declared);
+	t.equal(order.split(' ').sort().join(' '), declared);
+	t.equal(await runOrder(['--random=42']), order);
+	t.not(await runOrder(['--random=43']), order);
+});
+
+test('prints the generated seed', async t => {
+	const first = await run(['--random']);
+	t.error(first.error);
+	const [, seed] = /^# random order, seed (\d+)$/m.exec(first.stdout);
+	t.equal(await runOrder([`--random=${seed}`]), passedTests(first.stdout).join(' '));
+});
+
+test('a file pattern after --random is not a seed', async t => {
+	const {error, stdout} = await run(['--random', 'b.cjs']);
+	t.error(error);
+	t.match(stdout, /^# random order, seed \d+$/m);
+	t.same(passedTests(stdout).sort(), ['b1', 'b2', 'b3', 'b4', 'b5']);
+});
+
+test('shuffles the tests of a file independently of the other files', async t => {
+	const all = await runOrder(['--random=42']);
+	const single = await runOrder(['--random=42', 'b.cjs']);
+	t.equal(single, all.split(' ').filter(title => title.startsWith('b')).join(' '));
+});
+
+test('fails with an invalid seed', async t => {
+	const {error, stderr} = await run(['--random=nope']);
+	t.ok(error);
+	t.match(stderr, /The --random flag or ’random’ configuration must be true, or a non-negative integer seed\./);
+});
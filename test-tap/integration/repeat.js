@@ -0,0 +1,38 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const run = args => new Promise(resolve => {
+	execCli(args, {dirname: 'fixture/repeat'}, (error, stdout, stderr) => {
+		resolve({error, stderr, stdout});
+	});
+});
+
+test('repeats each test', async t => {
+	const {error, stdout} = await run(['--repeat=2']);
+	t.error(error);
+	t.match(stdout, /✔ stable \[passed 2 of 2 times]/);
+	t.match(stdout, /✔ flaky \[passed 2 of 2 times]/);
+	t.match(stdout, /2 tests passed/);
+});
+
+test('reports how often a repeated test failed', async t => {
+	const {error, stdout} = await run(['--repeat=5']);
+	t.ok(error);
+	t.match(stdout, /✔ stable \[passed 5 of 5 times]/);
+	t.match(stdout, /✘ \[fail]: flaky \[failed 1 of 5 times]/);
+	t.match(stdout, /1 test failed/);
+});
+
+test('repeats tests until one fails', async t => {
+	const {error, stdout} = await run(['--until-failure', '--match=flaky', '--tap']);
+	t.ok(error);
+	t.match(stdout, /^not ok 1 - flaky$/m);
+	t.match(stdout, /^# repeated 3 times: 2 passed, 1 failed$/m);
+});
+
+test('repeat must be a positive integer', async t => {
+	const {error, stderr} = await run(['--repeat=0']);
+	t.ok(error);
+	t.match(stderr, /The --repeat flag or ’repeat’ configuration must be a positive integer\./);
+});
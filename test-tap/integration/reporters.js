@@ -0,0 +1,40 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const makeReportDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'ava-reporters-'));
+
+test('runs all configured reporters', t => {
+	const reportDir = makeReportDir();
+	execCli([], {dirname: 'fixture/reporters', env: {REPORT_DIR: reportDir}}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /1 test passed/);
+		t.match(fs.readFileSync(path.join(reportDir, 'report.tap'), 'utf8'), /^ok 1 - passes$/m);
+		t.same(JSON.parse(fs.readFileSync(path.join(reportDir, 'custom.json'), 'utf8')), ['passes']);
+		t.ok(JSON.parse(fs.readFileSync(path.join(reportDir, 'inline.json'), 'utf8')).includes('test-passed'));
+		t.end();
+	});
+});
+
+test('the --reporter flag takes precedence over configured reporters', t => {
+	const reportDir = makeReportDir();
+	execCli(['--reporter', 'tap'], {dirname: 'fixture/reporters', env: {REPORT_DIR: reportDir}}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /^ok 1 - passes$/m);
+		t.same(fs.readdirSync(reportDir), []);
+		t.end();
+	});
+});
+
+test('--output requires --reporter when reporters are configured', t => {
+	const reportDir = makeReportDir();
+	execCli(['--output', 'report.xml'], {dirname: 'fixture/reporters', env: {REPORT_DIR: reportDir}}, (error, stdout, stderr) => {
+		t.ok(error);
+		t.match(stderr, 'The --output flag requires the --reporter or --tap flag when ’reporters’ are configured.');
+		t.end();
+	});
+});
@@ -0,0 +1,220 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+import {execa} from 'execa';
+import {test} from 'tap';
+import {temporaryDirectory} from 'tempy';
+
+const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+const setup = () => {
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{}');
+	const run = args => execa(process.execPath, [cliPath, '--no-color', ...args], {cwd, env: {AVA_FORCE_CI: 'not-ci'}, reject: false});
+	const writeTests = tests => fs.writeFileSync(path.join(cwd, 'test.cjs'), `const test = require(${JSON.stringify(avaPath)});\n${tests}`);
+	return {cwd, run, writeTests};
+};
+
+test('list and show the snapshots in a snapshot file', async t => {
+	const {run, writeTests} = setup();
+	writeTests(`
+test('first', t => {
+	t.snapshot({foo: 'bar'});
+	t.snapshot('hello', 'a greeting');
+});
+
+test('second', t => {
+	t.snapshot(2);
+});
+`);
+	await run([]);
+
+	let result = await run(['snapshot', 'list', 'test.cjs']);
+	t.equal(result.exitCode, 0);
+	t.equal(result.stdout, `test.cjs.snap
+
+first
+  1. Snapshot 1
+  2. a greeting
+
+second
+  1. Snapshot 1
+
+2 tests, 3 snapshots`);
+
+	result = await run(['snapshot', 'show', 'test.cjs.snap', '--title', 'first']);
+	t.equal(result.exitCode, 0);
+	t.equal(result.stdout, `> Snapshot 1
+
+    {
+      foo: 'bar',
+    }
+
+> a greeting
+
+    'hello'`);
+
+	result = await run(['snapshot', 'show', 'test.cjs', '--title', 'first', '--index', '2']);
+	t.equal(result.stdout, '> a greeting\n\n    \'hello\'');
+
+	result = await run(['snapshot', 'show', 'test.cjs', '--title', 'third']);
+	t.equal(result.exitCode, 1);
+	t.match(result.stderr, /There are no snapshots for ’third’ in test\.cjs\.snap/);
+
+	result = await run(['snapshot', 'list', 'missing.cjs']);
+	t.equal(result.exitCode, 1);
+	t.match(result.stderr, /Couldn’t find a snapshot file at missing\.cjs\.snap/);
+});
+
+test('diff two snapshot files', async t => {
+	const {cwd, run, writeTests} = setup();
+	writeTests(`
+test('first', t => {
+	t.snapshot({foo: 'bar'});
+});
+
+test('second', t => {
+	t.snapshot(2);
+});
+`);
+	await run([]);
+	fs.copyFileSync(path.join(cwd, 'test.cjs.snap'), path.join(cwd, 'base.snap'));
+
+	let result = await run(['snapshot', 'diff', 'base.snap', 'test.cjs.snap']);
+	t.equal(result.exitCode, 0);
+	t.match(result.stdout, /The snapshots are the same/);
+
+	writeTests(`
+test('first', t => {
+	t.snapshot({foo: 'baz'});
+});
+
+test('third', t => {
+	t.snapshot(3);
+});
+`);
+	await run(['--update-snapshots']);
+
+	result = await run(['snapshot', 'diff', 'base.snap', 'test.cjs.snap']);
+	t.equal(result.exitCode, 1);
+	t.equal(result.stdout, `- base.snap
++ test.cjs.snap
+
+- second
+
+~ first
+  ~ Snapshot 1
+
+        {
+      -   foo: 'bar',
+      +   foo: 'baz',
+        }
+
++ third`);
+});
+
+test('prune the snapshots of tests that no longer exist', async t => {
+	const {cwd, run, writeTests} = setup();
+	writeTests(`
+test('first', t => {
+	t.snapshot(1);
+});
+
+test('second', t => {
+	t.snapshot(2);
+});
+`);
+	await run([]);
+
+	writeTests(`
+test('first', t => {
+	t.snapshot(1);
+});
+
+test.skip('third', t => {
+	t.snapshot(3);
+});
+`);
+	let result = await run(['snapshot', 'prune']);
+	t.equal(result.exitCode, 0);
+	t.equal(result.stdout, '✔ Removed the snapshots of 1 test from test.cjs.snap:\n  ─ second');
+	t.match(fs.readFileSync(path.join(cwd, 'test.cjs.md'), 'utf8'), /## first/);
+	t.notMatch(fs.readFileSync(path.join(cwd, 'test.cjs.md'), 'utf8'), /## second/);
+
+	result = await run(['snapshot', 'list', 'test.cjs']);
+	t.match(result.stdout, /1 test, 1 snapshot$/);
+
+	result = await run(['snapshot', 'prune']);
+	t.equal(result.stdout, '✔ No obsolete snapshots found');
+});
+
+test('snapshots are not pruned for test files that fail to load', async t => {
+	const {cwd, run, writeTests} = setup();
+	writeTests(`
+test('first', t => {
+	t.snapshot(1);
+});
+`);
+	await run([]);
+
+	writeTests('throw new Error(\'Oops\');');
+	const result = await run(['snapshot', 'prune']);
+	t.equal(result.exitCode, 1);
+	t.match(result.stdout, /Couldn’t load test\.cjs: Oops/);
+	t.ok(fs.existsSync(path.join(cwd, 'test.cjs.snap')));
+});
+
+test('merge snapshot files and reports as a git merge driver', async t => {
+	const {cwd, run, writeTests} = setup();
+	const read = file => fs.readFileSync(path.join(cwd, file), 'utf8');
+	const copy = (from, to) => fs.copyFileSync(path.join(cwd, from), path.join(cwd, to));
+	const write = (...values) => writeTests(['a', 'b', 'c'].map((title, index) => `test('${title}', t => t.snapshot('${values[index]}'));`).join('\n'));
+
+	write('a1', 'b1', 'c1');
+	await run([]);
+	copy('test.cjs.snap', 'base.snap');
+	copy('test.cjs.md', 'base.md');
+
+	write('a2', 'b1', 'c1');
+	await run(['--update-snapshots']);
+	copy('test.cjs.snap', 'other.snap');
+	copy('test.cjs.md', 'other.md');
+
+	write('a2', 'b1', 'c2');
+	await run(['--update-snapshots']);
+	const expectedReport = read('test.cjs.md');
+
+	write('a1', 'b1', 'c2');
+	await run(['--update-snapshots']);
+	copy('test.cjs.md', 'current.md');
+
+	let result = await run(['snapshot', 'merge-driver', 'base.snap', 'test.cjs.snap', 'other.snap', 'test.cjs.snap']);
+	t.equal(result.exitCode, 0);
+	t.equal(read('test.cjs.md'), expectedReport);
+	result = await run(['snapshot', 'show', 'test.cjs', '--title', 'a']);
+	t.equal(result.stdout, '> Snapshot 1\n\n    \'a2\'');
+
+	result = await run(['snapshot', 'merge-driver', 'base.md', 'current.md', 'other.md']);
+	t.equal(result.exitCode, 0);
+	t.equal(read('current.md'), expectedReport);
+
+	write('a2', 'b1', 'c2');
+	result = await run([]);
+	t.equal(result.exitCode, 0, 'the merged snapshot file is valid');
+
+	write('a3', 'b1', 'c2');
+	await run(['--update-snapshots']);
+	const currentSnapshots = fs.readFileSync(path.join(cwd, 'test.cjs.snap'));
+	result = await run(['snapshot', 'merge-driver', 'base.snap', 'test.cjs.snap', 'other.snap']);
+	t.equal(result.exitCode, 1);
+	t.match(result.stderr, 'The path of the snapshot file is required to regenerate its report. Configure the merge driver with `%O %A %B %P`.');
+	t.same(fs.readFileSync(path.join(cwd, 'test.cjs.snap')), currentSnapshots);
+
+	result = await run(['snapshot', 'merge-driver', 'base.snap', 'test.cjs.snap', 'other.snap', 'test.cjs.snap']);
+	t.equal(result.exitCode, 1);
+	t.match(result.stderr, 'Both branches changed the snapshots of these tests in test.cjs.snap:\n    ─ a');
+	result = await run(['snapshot', 'show', 'test.cjs', '--title', 'a']);
+	t.equal(result.stdout, '> Snapshot 1\n\n    \'a3\'');
+});
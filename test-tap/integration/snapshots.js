@@ -7,6 +7,7 @@ import {gunzipSync} from 'node:zlib';
 import {execa} from 'execa';
 import {test} from 'tap';
 import {temporaryDirectory} from 'tempy';
+import ts from 'typescript';
 
 import {extractCompressedSnapshot} from '../../lib/snapshot-manager.js';
 import {execCli} from '../helper/cli.js';
@@ -305,3 +306,262 @@ test('in CI, new snapshots are not recorded', t => {
 		t.end();
 	});
 });
+
+test('inline snapshots are written into the test file', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{}');
+	const testPath = path.join(cwd, 'test.cjs');
+	fs.writeFileSync(testPath, `const test = require(${JSON.stringify(avaPath)});
+
+test('inline', t => {
+	t.snapshot.inline('value');
+	t.snapshot.inline({foo: 'bar'});
+});
+`);
+
+	const run = (args = [], ci = 'not-ci') => execa(process.execPath, [cliPath, '--no-color', ...args], {cwd, env: {AVA_FORCE_CI: ci}, reject: false});
+
+	let result = await run();
+	t.match(result.stdout, /1 test passed/);
+	t.equal(fs.readFileSync(testPath, 'utf8'), `const test = require(${JSON.stringify(avaPath)});
+
+test('inline', t => {
+	t.snapshot.inline('value', \`'value'\`);
+	t.snapshot.inline({foo: 'bar'}, \`
+		{
+		  foo: 'bar',
+		}
+	\`);
+});
+`);
+
+	result = await run([], 'ci');
+	t.match(result.stdout, /1 test passed/);
+
+	fs.writeFileSync(testPath, fs.readFileSync(testPath, 'utf8').replace('{foo: \'bar\'}', '{foo: \'baz\'}'));
+	result = await run();
+	t.match(result.stdout, /Did not match inline snapshot/);
+	t.match(result.stdout, /1 test failed/);
+
+	result = await run(['--update-snapshots']);
+	t.match(result.stdout, /1 test passed/);
+	t.match(fs.readFileSync(testPath, 'utf8'), '{foo: \'baz\'}, `\n\t\t{\n\t\t  foo: \'baz\',\n\t\t}\n\t`);');
+});
+
+test('inline snapshots are written into the original source of compiled test files', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{"ava": {"files": ["build/**"]}}');
+	fs.mkdirSync(path.join(cwd, 'src'));
+	fs.mkdirSync(path.join(cwd, 'build'));
+	const sourcePath = path.join(cwd, 'src', 'test.ts');
+	const source = `const test = require(${JSON.stringify(avaPath)});
+
+test('inline', t => {
+	const user: {name: string} = {name: 'Alice'};
+	t.snapshot.inline(user as object);
+	t.snapshot.inline(new Map<string, number>([['a', 1]]),);
+});
+`;
+	fs.writeFileSync(sourcePath, source);
+
+	const {outputText, sourceMapText} = ts.transpileModule(source, {
+		compilerOptions: {
+			module: ts.ModuleKind.CommonJS,
+			sourceMap: true,
+			target: ts.ScriptTarget.ES2022,
+		},
+		fileName: 'test.ts',
+	});
+	const compiled = outputText.replace('test.js.map', 'test.cjs.map');
+	fs.writeFileSync(path.join(cwd, 'build', 'test.cjs'), compiled);
+	fs.writeFileSync(path.join(cwd, 'build', 'test.cjs.map'), sourceMapText.replace('"test.ts"', '"../src/test.ts"'));
+
+	const result = await execa(process.execPath, [cliPath, '--no-color'], {cwd, env: {AVA_FORCE_CI: 'not-ci'}, reject: false});
+	t.match(result.stdout, /1 test passed/);
+	t.equal(fs.readFileSync(path.join(cwd, 'build', 'test.cjs'), 'utf8'), compiled);
+	t.equal(fs.readFileSync(sourcePath, 'utf8'), `const test = require(${JSON.stringify(avaPath)});
+
+test('inline', t => {
+	const user: {name: string} = {name: 'Alice'};
+	t.snapshot.inline(user as object, \`
+		{
+		  name: 'Alice',
+		}
+	\`);
+	t.snapshot.inline(new Map<string, number>([['a', 1]]), \`
+		Map {
+		  'a' => 1,
+		}
+	\`,);
+});
+`);
+});
+
+test('in CI, new inline snapshots are not recorded', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{}');
+	const source = `const test = require(${JSON.stringify(avaPath)});
+
+test('inline', t => {
+	t.snapshot.inline('value');
+});
+`;
+	fs.writeFileSync(path.join(cwd, 'test.cjs'), source);
+
+	const result = await execa(process.execPath, [cliPath, '--no-color'], {cwd, env: {AVA_FORCE_CI: 'ci'}, reject: false});
+	t.match(result.stdout, /No inline snapshot available — new snapshots are not created in CI environments/);
+	t.equal(fs.readFileSync(path.join(cwd, 'test.cjs'), 'utf8'), source);
+});
+
+test('snapshots of tests that no longer exist are reported as obsolete', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{}');
+	const writeTests = titles => fs.writeFileSync(path.join(cwd, 'test.cjs'), `const test = require(${JSON.stringify(avaPath)});
+${titles.map(title => `test(${JSON.stringify(title)}, t => t.snapshot(${JSON.stringify(title)}));`).join('\n')}
+`);
+	const run = (args = [], ci = 'not-ci') => execa(process.execPath, [cliPath, '--no-color', ...args], {cwd, env: {AVA_FORCE_CI: ci}, reject: false});
+
+	writeTests(['foo', 'bar', 'baz']);
+	await run();
+
+	writeTests(['foo']);
+	let result = await run();
+	t.equal(result.exitCode, 0);
+	t.match(result.stdout, '⚠ test.cjs has obsolete snapshots for 2 tests:\n    ─ bar\n    ─ baz');
+
+	result = await run([], 'ci');
+	t.equal(result.exitCode, 0);
+
+	result = await run(['--ci-snapshots=strict']);
+	t.equal(result.exitCode, 1, 'strict mode applies outside of CI as well');
+
+	result = await run(['--ci-snapshots=strict'], 'ci');
+	t.equal(result.exitCode, 1);
+	t.match(result.stdout, '✘ test.cjs has obsolete snapshots for 2 tests:');
+	t.match(result.stdout, /2 tests with obsolete snapshots/);
+
+	result = await run(['--ci-snapshots=strict', '--tap'], 'ci');
+	t.equal(result.exitCode, 1);
+	t.match(result.stdout, /^not ok \d+ - test\.cjs has obsolete snapshots for 2 tests$/m);
+
+	result = await run(['--ci-snapshots=strict', '--reporter', 'junit'], 'ci');
+	t.equal(result.exitCode, 1);
+	t.match(result.stdout, '<failure message="test.cjs has obsolete snapshots for 2 tests" type="Error">bar\nbaz</failure>');
+
+	result = await run(['--tap'], 'ci');
+	t.match(result.stdout, /^# test\.cjs has obsolete snapshots for 2 tests$/m);
+	t.notMatch(result.stdout, /^not ok/m);
+
+	result = await run(['--prune']);
+	t.equal(result.exitCode, 1);
+	t.match(result.stderr, /The --prune flag requires --update-snapshots/);
+
+	result = await run(['--update-snapshots', '--prune', '--match', 'nothing']);
+	t.match(result.stdout, /Removed the obsolete snapshots of 2 tests in test\.cjs/);
+
+	result = await run(['--ci-snapshots=strict'], 'ci');
+	t.equal(result.exitCode, 0);
+	t.notMatch(result.stdout, /obsolete snapshots/);
+});
+
+test('snapshots that tests no longer access are reported as obsolete', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{}');
+	const writeTests = snapshotCounts => fs.writeFileSync(path.join(cwd, 'test.cjs'), `const test = require(${JSON.stringify(avaPath)});
+${Object.entries(snapshotCounts).map(([title, count]) => `test(${JSON.stringify(title)}, t => {
+	t.pass();
+	${Array.from({length: count}, (_, index) => `t.snapshot(${index});`).join('\n')}
+});`).join('\n')}
+`);
+	const run = (args = []) => execa(process.execPath, [cliPath, '--no-color', ...args], {cwd, env: {AVA_FORCE_CI: 'not-ci'}, reject: false});
+
+	writeTests({foo: 2, bar: 1, baz: 1});
+	await run();
+
+	writeTests({foo: 1, bar: 0, baz: 1});
+	let result = await run();
+	t.equal(result.exitCode, 0);
+	t.match(result.stdout, '⚠ test.cjs has obsolete snapshots for 2 tests:\n    ─ foo\n    ─ bar');
+
+	result = await run(['--match', 'foo']);
+	t.notMatch(result.stdout, /obsolete snapshots/, 'not reported when tests are selected');
+
+	result = await run(['--update-snapshots', '--prune']);
+	t.match(result.stdout, /Removed the obsolete snapshots of 2 tests in test\.cjs/);
+
+	result = await run(['--ci-snapshots=strict']);
+	t.equal(result.exitCode, 0);
+	t.notMatch(result.stdout, /obsolete snapshots/);
+});
+
+test('--ci-snapshots must be default or strict', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), '{}');
+	fs.writeFileSync(path.join(cwd, 'test.cjs'), '');
+
+	const result = await execa(process.execPath, [cliPath, '--no-color', '--ci-snapshots=lenient'], {cwd, reject: false});
+	t.equal(result.exitCode, 1);
+	t.match(result.stderr, /The --ci-snapshots flag or ’ciSnapshots’ configuration must be either default or strict/);
+});
+
+test('snapshot serializers and redactions apply to the snapshot file and report', async t => {
+	const cliPath = fileURLToPath(new URL('../../entrypoints/cli.mjs', import.meta.url));
+	const avaPath = fileURLToPath(new URL('../../entrypoints/main.cjs', import.meta.url));
+
+	const cwd = temporaryDirectory();
+	fs.writeFileSync(path.join(cwd, 'package.json'), JSON.stringify({ava: {snapshotSerializers: ['./money-serializer.cjs']}}));
+	fs.writeFileSync(path.join(cwd, 'money-serializer.cjs'), `exports.test = value => value?.constructor?.name === 'Money';
+exports.serialize = ({amount, currency}) => \`\${amount.toFixed(2)} \${currency}\`;
+`);
+	fs.writeFileSync(path.join(cwd, 'test.cjs'), `const {randomUUID} = require('node:crypto');
+const test = require(${JSON.stringify(avaPath)});
+
+class Money {
+	constructor(amount, currency) {
+		this.amount = amount;
+		this.currency = currency;
+	}
+}
+
+test('order', t => {
+	t.snapshot({id: randomUUID(), createdAt: new Date(), total: new Money(5, 'EUR')}, {redact: {id: String, createdAt: Date}});
+});
+`);
+	const run = () => execa(process.execPath, [cliPath, '--no-color'], {cwd, env: {AVA_FORCE_CI: 'not-ci'}, reject: false});
+
+	let result = await run();
+	t.equal(result.exitCode, 0);
+	t.match(fs.readFileSync(path.join(cwd, 'test.cjs.md'), 'utf8'), `    {
+      createdAt: Redacted {
+        type: 'Date',
+      },
+      id: Redacted {
+        type: 'String',
+      },
+      total: '5.00 EUR',
+    }`);
+
+	result = await run();
+	t.equal(result.exitCode, 0, 'the snapshot is the same on the next run');
+
+	fs.writeFileSync(path.join(cwd, 'money-serializer.cjs'), 'exports.test = () => false;\n');
+	result = await run();
+	t.equal(result.exitCode, 1);
+	t.match(result.stdout, /The snapshot serializer ’\.\/money-serializer\.cjs’ must export test\(\) and serialize\(\) functions/);
+});
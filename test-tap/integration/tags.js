@@ -0,0 +1,54 @@
+import {test} from 'tap';
+
+import {execCli} from '../helper/cli.js';
+
+const passedTests = stdout => [...stdout.matchAll(/^ok \d+ - (.+)$/gm)].map(match => match[1]).sort();
+
+for (const [args, expected] of [
+	[[], ['db', 'slow', 'untagged']],
+	[['--tag', 'slow'], ['db', 'slow']],
+	[['--tag', 'db', '--tag', 'slow'], ['db', 'slow']],
+	[['--exclude-tag', 'db'], ['slow', 'untagged']],
+	[['--tag', 'slow', '--exclude-tag', 'db'], ['slow']],
+	[['--tag', 'slow', '--match', 'd*'], ['db']],
+]) {
+	test(`selects tests with ${args.join(' ') || 'no arguments'}`, t => {
+		execCli(['--tap', ...args], {dirname: 'fixture/tags'}, (error, stdout) => {
+			t.error(error);
+			t.same(passedTests(stdout), expected);
+			t.end();
+		});
+	});
+}
+
+test('fails when no tests have the tag', t => {
+	execCli(['--tag', 'unknown'], {dirname: 'fixture/tags'}, (error, stdout) => {
+		t.ok(error);
+		t.match(stdout, /Couldn’t find any matching tests/);
+		t.end();
+	});
+});
+
+test('reports tags', t => {
+	execCli(['--tap', '--tag', 'db'], {dirname: 'fixture/tags'}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /^ok 1 - db\n# tags: db, slow$/m);
+		t.end();
+	});
+});
+
+test('reports tags in the default reporter', t => {
+	execCli(['--tag', 'db'], {dirname: 'fixture/tags'}, (error, stdout) => {
+		t.error(error);
+		t.match(stdout, /✔ db #db #slow/);
+		t.end();
+	});
+});
+
+test('fails with invalid tags', t => {
+	execCli(['--tag', ' '], {dirname: 'fixture/tags'}, (error, stdout, stderr) => {
+		t.ok(error);
+		t.match(stderr, /The --tag flag or ’tags’ configuration must only contain tag names\./);
+		t.end();
+	});
+});
@@ -0,0 +1,71 @@
+import {EventEmitter} from 'node:events';
+import {fileURLToPath} from 'node:url';
+
+import {test} from 'tap';
+
+import fixReporterEnv from '../helper/fix-reporter-env.js';
+import report from '../helper/report.js';
+import TTYStream from '../helper/tty-stream.js';
+
+fixReporterEnv();
+
+test(async t => {
+	const {default: JunitReporter} = await import('../../lib/reporters/junit.js');
+
+	const run = (type, sanitizers = []) => t => {
+		t.plan(1);
+
+		const logFile = fileURLToPath(new URL(`junit.${type.toLowerCase()}.${process.version.split('.')[0]}.log`, import.meta.url));
+
+		const tty = new TTYStream({
+			columns: 200,
+			sanitizers: [...sanitizers, report.sanitizers.cwd, report.sanitizers.experimentalWarning, report.sanitizers.posix, report.sanitizers.tapLoaders, report.sanitizers.timers, string => string.replaceAll(/time="[\d.]+"/g, 'time="0.000"')],
+		});
+		const reporter = new JunitReporter({
+			projectDir: report.projectDir(type),
+			reportStream: tty,
+			stdStream: tty,
+			sanitizeStackOutput: report.sanitizers.cwd,
+		});
+		return report[type](reporter)
+			.then(() => {
+				tty.end();
+				return tty.asBuffer();
+			})
+			.then(buffer => report.assert(t, logFile, buffer))
+			.catch(t.threw);
+	};
+
+	t.test('junit reporter - regular run', run('regular'));
+	t.test('junit reporter - failFast run', run('failFast'));
+	t.test('junit reporter - second failFast run', run('failFast2'));
+	t.test('junit reporter - only run', run('only'));
+	t.test('junit reporter - edge cases', run('edgeCases'));
+});
+
+test('junit reporter - suites take as long as their test file', async t => {
+	const {default: JunitReporter} = await import('../../lib/reporters/junit.js');
+
+	let output = '';
+	const reportStream = {
+		write(chunk) {
+			output += chunk;
+		},
+	};
+	const status = new EventEmitter();
+	const reporter = new JunitReporter({projectDir: '/project', reportStream, stdStream: reportStream});
+	reporter.startRun({status});
+
+	const testFile = '/project/test.js';
+	for (const title of ['first', 'second']) {
+		status.emit('stateChange', {
+			type: 'test-passed', testFile, title, duration: 1000, logs: [],
+		});
+	}
+
+	status.emit('stateChange', {type: 'stats', stats: {byFile: new Map([[testFile, {declaredTests: 2, duration: 1500}]])}});
+	reporter.endRun();
+
+	t.match(output, '<testsuite name="test.js" tests="2" failures="0" errors="0" skipped="0" time="1.500">');
+	t.match(output, '<testcase name="first" classname="test.js" time="1.000"/>');
+});
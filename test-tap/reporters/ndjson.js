@@ -0,0 +1,44 @@
+import {fileURLToPath} from 'node:url';
+
+import {test} from 'tap';
+
+import fixReporterEnv from '../helper/fix-reporter-env.js';
+import report from '../helper/report.js';
+import TTYStream from '../helper/tty-stream.js';
+
+fixReporterEnv();
+
+test(async t => {
+	const {default: NdjsonReporter} = await import('../../lib/reporters/ndjson.js');
+
+	const run = (type, sanitizers = []) => t => {
+		t.plan(1);
+
+		const logFile = fileURLToPath(new URL(`ndjson.${type.toLowerCase()}.${process.version.split('.')[0]}.log`, import.meta.url));
+
+		const tty = new TTYStream({
+			columns: 200,
+			sanitizers: [...sanitizers, report.sanitizers.cwd, report.sanitizers.experimentalWarning, report.sanitizers.tapLoaders, report.sanitizers.timers, string => string.replaceAll(/"duration":\d+/g, '"duration":0').replaceAll(/"avaVersion":"[^"]+"/g, '"avaVersion":"VERSION"')],
+		});
+		const reporter = new NdjsonReporter({
+			projectDir: report.projectDir(type),
+			reportStream: tty,
+			stdStream: tty,
+			// Sanitize stacks before they're serialized, since JSON escapes backslashes and newlines.
+			sanitizeStackOutput: string => report.sanitizers.posix(report.sanitizers.cwd(report.sanitizers.acorn(string))),
+		});
+		return report[type](reporter)
+			.then(() => {
+				tty.end();
+				return tty.asBuffer();
+			})
+			.then(buffer => report.assert(t, logFile, buffer))
+			.catch(t.threw);
+	};
+
+	t.test('ndjson reporter - regular run', run('regular'));
+	t.test('ndjson reporter - failFast run', run('failFast'));
+	t.test('ndjson reporter - second failFast run', run('failFast2'));
+	t.test('ndjson reporter - only run', run('only'));
+	t.test('ndjson reporter - edge cases', run('edgeCases'));
+});
@@ -1,7 +1,11 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
 import {setTimeout as delay} from 'node:timers/promises';
 
 import {test} from 'tap';
 
+import {destructuredNames} from '../lib/fixtures.js';
 import Runner from '../lib/runner.js';
 import {set as setOptions} from '../lib/worker/options.cjs';
 
@@ -51,6 +55,7 @@ test('runner emits "stateChange" events', t => {
 				type: 'declared-test',
 				title: 'foo',
 				knownFailing: false,
+				tags: [],
 				todo: false,
 			});
 			t.end();
@@ -775,3 +780,878 @@ test('hooks run concurrently, but can be serialized', t => {
 		});
 	});
 });
+
+test('retried tests run until they pass', t => {
+	let attempts = 0;
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-retry' || evt.type === 'test-passed') {
+				events.push(evt);
+			}
+		});
+
+		runner.chain.retry(2)('flaky', a => {
+			attempts++;
+			a.is(attempts, 2);
+		});
+	}).then(() => {
+		t.equal(attempts, 2);
+		t.same(events.map(evt => evt.type === 'test-retry' ? `retry ${evt.attempt}/${evt.retries}` : `passed after ${evt.attempts}`), ['retry 1/2', 'passed after 2']);
+		t.equal(events[0].title, 'flaky');
+		t.equal(events[0].err.assertion, 't.is()');
+	});
+});
+
+test('retried tests fail once retries are exhausted', t => {
+	let attempts = 0;
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-retry' || evt.type === 'test-failed') {
+				events.push(evt.type === 'test-retry' ? `retry ${evt.attempt}/${evt.retries}` : `failed after ${evt.attempts}`);
+			}
+		});
+
+		runner.chain.retry(2)('broken', a => {
+			attempts++;
+			a.fail();
+		});
+	}).then(() => {
+		t.equal(attempts, 3);
+		t.same(events, ['retry 1/2', 'retry 2/2', 'failed after 3']);
+	});
+});
+
+test('each hooks run for every attempt of a retried test', t => {
+	const calls = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.before(() => {
+			calls.push('before');
+		});
+
+		runner.chain.beforeEach(a => {
+			calls.push('beforeEach');
+			a.context.attempt = (a.context.attempt ?? 0) + 1;
+		});
+
+		runner.chain.afterEach.always(() => {
+			calls.push('afterEach.always');
+		});
+
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed') {
+				calls.push('passed');
+			}
+		});
+
+		runner.chain.retry(1)('flaky', a => {
+			calls.push('test');
+			// Every attempt gets a fresh context.
+			a.is(a.context.attempt, 1);
+			a.is(calls.filter(call => call === 'test').length, 2);
+		});
+	}).then(() => {
+		t.same(calls, ['before', 'beforeEach', 'test', 'afterEach.always', 'beforeEach', 'test', 'passed', 'afterEach.always']);
+	});
+});
+
+test('only the last attempt of a retried test records snapshots', async t => {
+	const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ava-retry-snapshots-'));
+	const file = path.join(projectDir, 'test.js');
+	fs.writeFileSync(file, '');
+	t.teardown(() => fs.rmSync(projectDir, {recursive: true, force: true}));
+
+	const options = {file, projectDir, recordNewSnapshots: true};
+	let attempts = 0;
+	const recorder = await promiseEnd(new Runner(options), runner => {
+		runner.chain.retry(1)('flaky', a => {
+			attempts++;
+			a.snapshot({attempt: attempts});
+			a.is(attempts, 2);
+		});
+	});
+	t.ok(recorder.passedTests.has('flaky'));
+	await recorder.saveSnapshotState();
+
+	const results = [];
+	await promiseEnd(new Runner(options), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed' || evt.type === 'test-failed') {
+				results.push(evt.type);
+			}
+		});
+
+		runner.chain('flaky', a => {
+			a.snapshot({attempt: 2});
+		});
+	});
+	t.same(results, ['test-passed']);
+});
+
+test('retries option applies to all tests, unless overridden', t => {
+	const attempts = {};
+	return promiseEnd(new Runner({file: import.meta.url, retries: 1}), runner => {
+		runner.chain('default', a => {
+			attempts.default = (attempts.default ?? 0) + 1;
+			a.fail();
+		});
+
+		runner.chain.retry(0)('override', a => {
+			attempts.override = (attempts.override ?? 0) + 1;
+			a.fail();
+		});
+
+		runner.chain.failing('known failure', a => {
+			attempts.failing = (attempts.failing ?? 0) + 1;
+			a.pass();
+		});
+	}).then(() => {
+		t.same(attempts, {default: 2, override: 1, failing: 2});
+	});
+});
+
+test('retry() must be called with a non-negative integer', t => {
+	const runner = new Runner({file: import.meta.url});
+	for (const retries of [-1, 1.5, '1', undefined]) {
+		t.throws(() => {
+			runner.chain.retry(retries);
+		}, {message: '`test.retry()` must be called with a non-negative integer'});
+	}
+
+	t.equal(runner.chain.retry(1), runner.chain.retry(1));
+	t.end();
+});
+
+test('groups prefix the titles of their tests', t => {
+	const pass = a => {
+		a.pass();
+	};
+
+	const titles = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed') {
+				titles.push(evt.title);
+			}
+		});
+
+		runner.chain.group('outer', () => {
+			runner.chain('a', a => {
+				a.pass();
+			});
+
+			runner.chain.group('inner', () => {
+				runner.chain.serial('b', pass);
+			});
+		});
+
+		runner.chain('c', a => {
+			a.pass();
+		});
+	}).then(() => {
+		t.same(titles.sort(), ['c', 'outer › a', 'outer › inner › b']);
+	});
+});
+
+test('group hooks only apply to the tests in the group', t => {
+	const calls = [];
+	const declareInnerGroup = runner => {
+		runner.chain.afterEach(a => {
+			calls.push(`inner afterEach ${a.title}`);
+		});
+
+		runner.chain.after.always(a => {
+			calls.push(`inner after.always ${Object.keys(a.context).join(',')}`);
+		});
+
+		runner.chain('test', a => {
+			calls.push('test');
+			a.pass();
+		});
+	};
+
+	return promiseEnd(new Runner({file: import.meta.url, serial: true}), runner => {
+		runner.chain.before(a => {
+			a.context.file = true;
+		});
+
+		runner.chain.beforeEach(a => {
+			calls.push(`file beforeEach ${a.title}`);
+		});
+
+		runner.chain.afterEach(a => {
+			calls.push(`file afterEach ${a.title}`);
+		});
+
+		runner.chain.group('outer', () => {
+			runner.chain.before(a => {
+				calls.push('outer before');
+				a.context.outer = true;
+			});
+
+			runner.chain.beforeEach(a => {
+				calls.push(`outer beforeEach ${a.title}`);
+			});
+
+			runner.chain.group('inner', () => declareInnerGroup(runner));
+
+			runner.chain.after(() => {
+				calls.push('outer after');
+			});
+		});
+
+		runner.chain('other', a => {
+			calls.push(`other ${Object.keys(a.context).join(',')}`);
+			a.pass();
+		});
+	}).then(() => {
+		t.same(calls, [
+			'outer before',
+			'file beforeEach beforeEach hook for outer › inner › test',
+			'outer beforeEach outer › beforeEach hook for outer › inner › test',
+			'test',
+			'inner afterEach outer › inner › afterEach hook for outer › inner › test',
+			'file afterEach afterEach hook for outer › inner › test',
+			'inner after.always file,outer',
+			'outer after',
+			'file beforeEach beforeEach hook for other',
+			'other file',
+			'file afterEach afterEach hook for other',
+		]);
+	});
+});
+
+test('tests in a group do not run if a before hook of the group fails', t => {
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'hook-failed' || evt.type === 'test-passed') {
+				events.push(`${evt.type} ${evt.title}`);
+			}
+		});
+
+		runner.chain.group('group', () => {
+			runner.chain.before(a => {
+				a.fail();
+			});
+
+			runner.chain.after.always(() => {
+				events.push('after.always');
+			});
+
+			runner.chain('test', a => {
+				a.pass();
+			});
+		});
+
+		runner.chain('other', a => {
+			a.pass();
+		});
+	}).then(() => {
+		t.same(events.sort(), ['after.always', 'hook-failed group › before hook', 'test-passed other']);
+	});
+});
+
+test('only and skip apply to all tests in a group', t => {
+	const fail = a => {
+		a.fail();
+	};
+
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'selected-test') {
+				events.push(`${evt.title}${evt.skip ? ' (skipped)' : ''}`);
+			}
+		});
+
+		runner.chain.group.only('only', () => {
+			runner.chain('a', a => {
+				a.pass();
+			});
+
+			runner.chain.group.skip('skip', () => {
+				runner.chain('b', fail);
+			});
+		});
+
+		runner.chain('c', fail);
+	}).then(() => {
+		t.same(events, ['only › a', 'only › skip › b (skipped)']);
+	});
+});
+
+test('serial groups run their tests serially', t => {
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain('concurrent', async a => {
+			await delay(20);
+			events.push('concurrent');
+			a.pass();
+		});
+
+		runner.chain.serial.group('serial', () => {
+			runner.chain('a', async a => {
+				await delay(10);
+				events.push('a');
+				a.pass();
+			});
+
+			runner.chain('b', a => {
+				events.push('b');
+				a.pass();
+			});
+		});
+	}).then(() => {
+		t.same(events, ['a', 'b', 'concurrent']);
+	});
+});
+
+test('groups must be declared with a title and a synchronous function', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.group(noop);
+	}, {message: 'Group titles must be strings'});
+	t.throws(() => {
+		runner.chain.group(' ', noop);
+	}, {message: 'Groups must have a title'});
+	t.throws(() => {
+		runner.chain.group('group');
+	}, {message: 'Expected a function that declares the tests and hooks of the group'});
+	t.throws(() => {
+		runner.chain.group('group', async () => {});
+	}, {message: 'Groups must be declared synchronously. Do not use an async function or return a promise.'});
+	t.end();
+});
+
+test('each() declares a test for each row, interpolating the title', t => {
+	const calls = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.chain.each([[1, 2, 3], [2, 3, 5]])('$0 + $1 = $2 (#$#)', (a, x, y, sum) => {
+			calls.push([a.title, x, y, sum]);
+			a.is(x + y, sum);
+		});
+
+		runner.chain.each([{name: 'a', nested: {value: true}}, {name: 'b', nested: {value: null}}])('$name is $nested.value, $missing', (a, row) => {
+			calls.push([a.title, row.name]);
+			a.pass();
+		});
+
+		runner.chain.each(['x', 'y'])('$0', (a, value, extra) => {
+			calls.push([a.title, value, extra]);
+			a.pass();
+		}, 'extra');
+	}).then(() => {
+		t.same(calls.sort(), [
+			['1 + 2 = 3 (#0)', 1, 2, 3],
+			['2 + 3 = 5 (#1)', 2, 3, 5],
+			['a is true, $missing', 'a'],
+			['b is null, $missing', 'b'],
+			['x', 'x', 'extra'],
+			['y', 'y', 'extra'],
+		]);
+	});
+});
+
+test('each() composes with other modifiers', t => {
+	const events = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed') {
+				events.push(`${evt.title}${evt.knownFailing ? ' (failing)' : ''}`);
+			} else if (evt.type === 'selected-test' && evt.skip) {
+				events.push(`${evt.title} (skipped)`);
+			}
+		});
+
+		runner.chain.each([1, 2]).serial('serial $0', async (a, value) => {
+			await delay(10 * (3 - value));
+			events.push(`ran serial ${value}`);
+			a.pass();
+		});
+
+		runner.chain.each([1]).failing('failing $0', a => {
+			a.fail();
+		});
+
+		runner.chain.each([1]).skip('skip $0', a => {
+			a.fail();
+		});
+	}).then(() => {
+		t.ok(events.indexOf('ran serial 1') < events.indexOf('ran serial 2'));
+		t.same(events.sort(), ['failing 1 (failing)', 'ran serial 1', 'ran serial 2', 'serial 1', 'serial 2', 'skip 1 (skipped)']);
+	});
+});
+
+test('each() with only() only runs those rows', t => {
+	const titles = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed') {
+				titles.push(evt.title);
+			}
+		});
+
+		runner.chain.each(['a', 'b']).only('only $0', a => {
+			a.pass();
+		});
+
+		runner.chain('other', a => {
+			a.fail();
+		});
+	}).then(() => {
+		t.same(titles.sort(), ['only a', 'only b']);
+	});
+});
+
+test('each() requires unique titles', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.each([1, 2])('same', noop);
+	}, {message: 'Duplicate test title: same'});
+	t.end();
+});
+
+test('each() must be called with an array', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => {
+		runner.chain.each(new Set([1]));
+	}, {message: '`test.each()` must be called with an array of rows'});
+	t.end();
+});
+
+test('tags select tests', t => {
+	const run = options => {
+		const titles = [];
+		return promiseEnd(new Runner({file: import.meta.url, ...options}), runner => {
+			runner.on('stateChange', evt => {
+				if (evt.type === 'selected-test') {
+					titles.push(`${evt.title} ${evt.tags.join(',')}`.trim());
+				}
+			});
+
+			runner.chain.tag('slow')('slow', a => {
+				a.pass();
+			});
+
+			runner.chain.tag('db', 'slow').serial('db', a => {
+				a.pass();
+			});
+
+			runner.chain.tag('db').each([1])('row $0', a => {
+				a.pass();
+			});
+
+			runner.chain('untagged', a => {
+				a.pass();
+			});
+
+			runner.chain.todo('todo');
+		}).then(() => titles.sort());
+	};
+
+	return Promise.all([
+		run({}),
+		run({tags: ['db']}),
+		run({tags: ['db'], excludeTags: ['slow']}),
+		run({excludeTags: ['slow']}),
+		run({tags: ['slow'], match: ['d*']}),
+	]).then(([all, db, dbNotSlow, notSlow, matched]) => {
+		t.same(all, ['db db,slow', 'row 1 db', 'slow slow', 'todo', 'untagged']);
+		t.same(db, ['db db,slow', 'row 1 db']);
+		t.same(dbNotSlow, ['row 1 db']);
+		t.same(notSlow, ['row 1 db', 'todo', 'untagged']);
+		t.same(matched, ['db db,slow']);
+	});
+});
+
+test('tag() must be called with tag names', t => {
+	const runner = new Runner({file: import.meta.url});
+	for (const tags of [[], [''], [' '], ['slow', 1]]) {
+		t.throws(() => {
+			runner.chain.tag(...tags);
+		}, {message: '`test.tag()` must be called with one or more tag names'});
+	}
+
+	t.end();
+});
+
+test('each(), lock(), retry() and tag() can be combined', t => {
+	const attempts = {};
+	const tags = {};
+	const locks = [];
+	const acquireLock = names => {
+		locks.push(names.join(','));
+		return {
+			granted: Promise.resolve(),
+			release() {},
+		};
+	};
+
+	const runner = new Runner({file: import.meta.url, acquireLock});
+
+	t.throws(() => {
+		runner.chain.retry(1).tag('slow').retry(2);
+	}, {message: '`test.retry()` cannot be repeated'});
+
+	return promiseEnd(runner, runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'selected-test') {
+				tags[evt.title] = evt.tags;
+			}
+		});
+
+		const declare = (chain, title) => {
+			chain(title, a => {
+				attempts[a.title] = (attempts[a.title] ?? 0) + 1;
+				a.is(attempts[a.title], 2);
+			});
+		};
+
+		declare(runner.chain.tag('slow').retry(1), 'tag retry');
+		declare(runner.chain.retry(1).lock('db').tag('a', 'b').tag('b', 'c'), 'retry lock tag');
+		declare(runner.chain.lock('db').tag('slow').lock('cache').retry(1).serial, 'lock tag lock retry');
+
+		runner.chain.retry(1).tag('slow').each([1, 2])('row $0', (a, value) => {
+			attempts[a.title] = (attempts[a.title] ?? 0) + 1;
+			a.is(attempts[a.title], value);
+		});
+	}).then(() => {
+		t.same(attempts, {
+			'tag retry': 2,
+			'retry lock tag': 2,
+			'lock tag lock retry': 2,
+			'row 1': 1,
+			'row 2': 2,
+		});
+		t.same(tags, {
+			'tag retry': ['slow'],
+			'retry lock tag': ['a', 'b', 'c'],
+			'lock tag lock retry': ['slow'],
+			'row 1': ['slow'],
+			'row 2': ['slow'],
+		});
+		t.same(locks.sort(), ['db', 'db,cache']);
+		t.equal(runner.chain.retry(1).tag('slow').name, 'test.retry(1).tag(slow)');
+	});
+});
+
+test('randomSeed shuffles the order of tests', t => {
+	const run = randomSeed => {
+		const titles = [];
+		return promiseEnd(new Runner({file: import.meta.url, randomSeed}), runner => {
+			for (const title of ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']) {
+				runner.chain.serial(title, a => {
+					titles.push(title);
+					a.pass();
+				});
+			}
+		}).then(() => titles.join(''));
+	};
+
+	return Promise.all([run(undefined), run(1), run(1), run(2)]).then(([declared, first, second, other]) => {
+		t.equal(declared, 'abcdefgh');
+		t.not(first, declared);
+		t.equal(first, second);
+		t.not(first, other);
+		t.same([...first].sort().join(''), declared);
+	});
+});
+
+test('repeat runs each test the given number of times', t => {
+	const calls = [];
+	const results = [];
+	return promiseEnd(new Runner({file: import.meta.url, repeat: 3}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-iteration') {
+				results.push(`${evt.title} ${evt.iteration} ${evt.passed ? 'passed' : 'failed'}`);
+			} else if (evt.type === 'test-passed' || evt.type === 'test-failed') {
+				results.push({title: evt.title, type: evt.type, repeat: evt.repeat});
+			}
+		});
+
+		runner.chain.before(a => {
+			calls.push('before');
+			a.context.count = 0;
+		});
+
+		runner.chain.beforeEach(() => {
+			calls.push('beforeEach');
+		});
+
+		runner.chain.serial('stable', a => {
+			// Every iteration starts with the context as it was after the `before` hooks.
+			a.is(a.context.count++, 0);
+		});
+
+		let iteration = 0;
+		runner.chain.serial('flaky', a => {
+			a.not(++iteration, 2);
+		});
+	}).then(() => {
+		t.same(calls, ['before', ...Array.from({length: 6}, () => 'beforeEach')]);
+		t.same(results, [
+			'stable 1 passed',
+			'stable 2 passed',
+			'stable 3 passed',
+			{title: 'stable', type: 'test-passed', repeat: {iterations: 3, passed: 3, failed: 0}},
+			'flaky 1 passed',
+			'flaky 2 failed',
+			'flaky 3 passed',
+			{title: 'flaky', type: 'test-failed', repeat: {iterations: 3, passed: 2, failed: 1}},
+		]);
+	});
+});
+
+test('untilFailure stops repeating tests once one fails', t => {
+	const iterations = {};
+	const results = [];
+	return promiseEnd(new Runner({file: import.meta.url, repeat: 10, untilFailure: true}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed' || evt.type === 'test-failed') {
+				results.push(`${evt.title} ${evt.type} ${evt.repeat.iterations}`);
+			}
+		});
+
+		for (const title of ['first', 'second', 'third']) {
+			runner.chain.serial(title, a => {
+				iterations[title] = (iterations[title] ?? 0) + 1;
+				a.true(title !== 'second' || iterations.second < 5);
+			});
+		}
+	}).then(() => {
+		// Tests that start after the failure still run once.
+		t.same(iterations, {first: 10, second: 5, third: 1});
+		t.same(results, ['first test-passed 10', 'second test-failed 5', 'third test-passed 1']);
+	});
+});
+
+test('failedTests selects tests by their title', t => {
+	const ran = [];
+	return promiseEnd(new Runner({file: import.meta.url, failedTests: ['second', 'group › nested']}), runner => {
+		for (const title of ['first', 'second']) {
+			runner.chain(title, a => {
+				ran.push(title);
+				a.pass();
+			});
+		}
+
+		runner.chain.group('group', () => {
+			runner.chain('nested', a => {
+				ran.push('nested');
+				a.pass();
+			});
+		});
+	}).then(() => {
+		t.same(ran.sort(), ['nested', 'second']);
+	});
+});
+
+test('extend() sets up the fixtures that tests destructure', t => {
+	const calls = [];
+	const passed = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed') {
+				passed.push(evt.title);
+			}
+		});
+
+		const fixtureTest = runner.chain.extend({
+			async config({}, use) { // eslint-disable-line no-empty-pattern
+				calls.push('config setup');
+				await use({name: 'test'});
+				calls.push('config teardown');
+			},
+			async db({config}, use) {
+				calls.push('db setup');
+				await use(`db for ${config.name}`);
+				calls.push('db teardown');
+			},
+			async unused({}, use) { // eslint-disable-line no-empty-pattern
+				calls.push('unused setup');
+				await use();
+			},
+		});
+
+		fixtureTest.serial('uses db', ({db, is, teardown}) => {
+			teardown(() => calls.push('test teardown'));
+			calls.push('test');
+			is(db, 'db for test');
+		});
+
+		fixtureTest.serial('uses nothing', a => {
+			a.throws(() => a.db, {message: /’db’ fixture must be destructured/});
+		});
+	}).then(() => {
+		t.same(passed, ['uses db', 'uses nothing']);
+		t.same(calls, ['config setup', 'db setup', 'test', 'test teardown', 'db teardown', 'config teardown']);
+	});
+});
+
+test('file-scoped fixtures are shared by the tests in the file', t => {
+	const calls = [];
+	const passed = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-passed') {
+				passed.push(evt.title);
+			}
+		});
+
+		const fixtureTest = runner.chain.extend({
+			server: [async ({}, use) => { // eslint-disable-line no-empty-pattern
+				calls.push('server setup');
+				await use('server');
+				calls.push('server teardown');
+			}, {scope: 'file'}],
+			async client({server}, use) {
+				calls.push('client setup');
+				await use(`client of ${server}`);
+			},
+		});
+
+		fixtureTest.after.always(() => {
+			calls.push('after.always');
+		});
+
+		for (const title of ['first', 'second']) {
+			fixtureTest(title, ({client, is}) => {
+				is(client, 'client of server');
+			});
+		}
+	}).then(() => {
+		t.same(passed.sort(), ['first', 'second']);
+		t.same(calls, ['server setup', 'client setup', 'client setup', 'after.always', 'server teardown']);
+	});
+});
+
+test('fixtures that fail to set up fail the test', t => {
+	const failed = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-failed') {
+				failed.push(`${evt.title}: ${evt.err.message}`);
+			}
+		});
+
+		const fixtureTest = runner.chain.extend({
+			async broken() {
+				throw new Error('Cannot connect');
+			},
+			async unused() {},
+		});
+
+		fixtureTest('broken', ({broken}) => broken);
+		fixtureTest('unused', ({unused}) => unused);
+	}).then(() => {
+		t.same(failed.sort(), [
+			'broken: Rejected promise returned by test',
+			'unused: Rejected promise returned by test',
+		]);
+	});
+});
+
+test('extend() validates the fixtures', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => runner.chain.extend([]), {message: '`test.extend()` must be called with an object of fixtures'});
+	t.throws(() => runner.chain.extend({db: 'db'}), {message: 'The ’db’ fixture must be a function, or an array with a function and options'});
+	t.throws(() => runner.chain.extend({db: [noop, {scope: 'worker'}]}), {message: 'The scope of the ’db’ fixture must be ’test’ or ’file’'});
+	t.throws(() => runner.chain.extend({db({config}) {}}), {message: 'The ’db’ fixture depends on ’config’, which is not a fixture'}); // eslint-disable-line no-unused-vars
+	t.throws(() => runner.chain.extend({a({b}) {}, b({a}) {}}), {message: 'Fixtures cannot depend on themselves: ’a’ → ’b’ → ’a’'}); // eslint-disable-line no-unused-vars
+	t.throws(() => runner.chain.extend({db: [({config}) => {}, {scope: 'file'}], config() {}}), {message: 'The file-scoped ’db’ fixture cannot depend on the test-scoped ’config’ fixture'}); // eslint-disable-line no-unused-vars
+	t.end();
+});
+
+/* eslint-disable no-unused-vars, no-empty-pattern */
+const withDefault = function ({db, ...rest} = {}) {};
+const methods = {
+	async * generator({config}) {},
+	'quoted method'({config}) {},
+};
+const bound = function ({db}) {
+	return [this, db];
+}.bind(null);
+
+test('destructuredNames() reads the fixtures from the first parameter', t => {
+	t.same(destructuredNames(() => {}), {names: [], rest: false});
+	t.same(destructuredNames(t => {}), {names: [], rest: false});
+	t.same(destructuredNames(async (...args) => {}), {names: [], rest: false});
+	t.same(destructuredNames(({}) => {}), {names: [], rest: false});
+	t.same(destructuredNames(({db, config: {name}, 'quoted-name': quoted, is = () => {}}) => {}), {names: ['db', 'config', 'quoted-name', 'is'], rest: false});
+	t.same(destructuredNames(async ({db = '({a, b})'}, use) => {}), {names: ['db'], rest: false});
+	t.same(destructuredNames(withDefault), {names: ['db'], rest: true});
+	t.same(destructuredNames(methods.generator), {names: ['config'], rest: false});
+	t.same(destructuredNames(methods['quoted method']), {names: ['config'], rest: false});
+	t.end();
+});
+
+test('destructuredNames() throws if the parameter cannot be analysed', t => {
+	const key = 'db';
+	t.throws(() => destructuredNames(({[key]: db}) => {}, 'the ’db’ fixture'), {message: 'Cannot determine which fixtures are destructured by the ’db’ fixture: property names must not be computed'});
+	t.throws(() => destructuredNames(([db]) => {}), {message: 'Cannot determine which fixtures are destructured by the function: its first parameter must be an identifier or an object pattern'});
+	t.throws(() => destructuredNames(bound), {message: 'Cannot determine which fixtures are destructured by the function: its source cannot be parsed'});
+	t.end();
+});
+/* eslint-enable no-unused-vars, no-empty-pattern */
+
+test('tests whose fixtures cannot be determined fail', t => {
+	const failed = [];
+	return promiseEnd(new Runner({file: import.meta.url}), runner => {
+		runner.on('stateChange', evt => {
+			if (evt.type === 'test-failed') {
+				failed.push(evt);
+			}
+		});
+
+		const fixtureTest = runner.chain.extend({
+			async db({}, use) { // eslint-disable-line no-empty-pattern
+				await use('db');
+			},
+		});
+
+		fixtureTest('bound', bound);
+	}).then(() => {
+		t.same(failed.map(evt => evt.title), ['bound']);
+		t.match(failed[0].err.formattedDetails[0].formatted, /Cannot determine which fixtures are destructured by the test implementation: its source cannot be parsed/);
+	});
+});
+
+test('lock() holds the locks while the test and its hooks run', t => {
+	const calls = [];
+	const acquireLock = names => {
+		calls.push(`acquire ${names.join(',')}`);
+		return {
+			granted: Promise.resolve(),
+			release() {
+				calls.push(`release ${names.join(',')}`);
+			},
+		};
+	};
+
+	return promiseEnd(new Runner({file: import.meta.url, acquireLock}), runner => {
+		runner.chain.beforeEach(() => {
+			calls.push('beforeEach');
+		});
+
+		runner.chain.lock('db', 'cache', 'db').serial('locked', a => {
+			calls.push('locked');
+			a.fail();
+		});
+
+		runner.chain.serial('unlocked', a => {
+			calls.push('unlocked');
+			a.pass();
+		});
+	}).then(() => {
+		t.same(calls, ['acquire db,cache', 'beforeEach', 'locked', 'release db,cache', 'beforeEach', 'unlocked']);
+	});
+});
+
+test('lock() must be called with lock names', t => {
+	const runner = new Runner({file: import.meta.url});
+	t.throws(() => runner.chain.lock(), {message: '`test.lock()` must be called with one or more lock names'});
+	t.throws(() => runner.chain.lock(''), {message: '`test.lock()` must be called with one or more lock names'});
+	t.end();
+});
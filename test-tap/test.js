@@ -687,6 +687,90 @@ test('teardowns cannot be registered by teardowns', async t => {
 	t.match(result.error.message, /cannot be used during teardown/);
 });
 
+test('t.clock.install() fakes timers until the test has finished', async t => {
+	const realSetTimeout = globalThis.setTimeout;
+	const result = await ava(a => {
+		const clock = a.clock.install({now: 0});
+		a.not(globalThis.setTimeout, realSetTimeout);
+
+		let calls = 0;
+		setTimeout(() => calls++, 100);
+		setInterval(() => calls++, 100);
+		a.is(clock.tick(99), 99);
+		a.is(calls, 0);
+		clock.tick(1);
+		a.is(calls, 2);
+		a.is(Date.now(), 100);
+
+		clock.setSystemTime(new Date('2020-01-01T00:00:00Z'));
+		a.is(new Date().getUTCFullYear(), 2020);
+		a.is(clock.now, Date.now());
+	}).run();
+	t.equal(result.passed, true);
+	t.equal(globalThis.setTimeout, realSetTimeout);
+});
+
+test('t.clock.install() restores timers when the test fails', async t => {
+	const realDate = globalThis.Date;
+	const result = await ava(a => {
+		a.clock.install();
+		a.fail();
+	}).run();
+	t.equal(result.passed, false);
+	t.equal(globalThis.Date, realDate);
+});
+
+test('t.clock can run all timers', async t => {
+	const result = await ava(async a => {
+		const clock = a.clock.install({now: 0});
+		const order = [];
+		setTimeout(() => {
+			order.push('a');
+			setTimeout(() => order.push('c'), 1000);
+		}, 10);
+		setTimeout(() => order.push('b'), 500);
+		a.is(clock.runAll(), 1010);
+		a.deepEqual(order, ['a', 'b', 'c']);
+
+		const promise = new Promise(resolve => {
+			setTimeout(resolve, 10_000);
+		});
+		await clock.runAllAsync();
+		await promise;
+		a.is(clock.now, 11_010);
+	}).run();
+	t.equal(result.passed, true);
+});
+
+test('test timeouts are not affected by fake timers', async t => {
+	const result = await ava(a => {
+		a.clock.install();
+		a.timeout(50);
+		return new Promise(() => {});
+	}).run();
+	t.equal(result.passed, false);
+	t.equal(result.error.message, 'Test timeout exceeded');
+});
+
+test('fake timers can only be installed once at a time', async t => {
+	const result = await ava(a => {
+		const clock = a.clock.install();
+		a.throws(() => a.clock.install(), {message: /^Fake timers are already installed/});
+		clock.uninstall();
+		a.notThrows(() => a.clock.install());
+	}).run();
+	t.equal(result.passed, true);
+});
+
+test('t.clock.install() validates its options', async t => {
+	const result = await ava(a => {
+		a.throws(() => a.clock.install({now: '2020'}), {message: 'The `now` option must be a number or a Date'});
+		a.throws(() => a.clock.install({toFake: ['setTimeout', 'sleep']}), {message: /^The `toFake` option must be an array/});
+		a.throws(() => a.clock.install({loopLimit: 0}), {message: 'The `loopLimit` option must be a positive integer'});
+	}).run();
+	t.equal(result.passed, true);
+});
+
 test('.log() is bound', t => ava(a => {
 	const {log} = a;
 	for (const value of [1, 2, 3]) {
@@ -0,0 +1,13 @@
+import {expectType} from 'tsd';
+
+import test, {type Clock} from '../../entrypoints/main.mjs';
+
+test.serial('test', async t => {
+	const clock = t.clock.install({now: new Date('2020-01-01'), toFake: ['setTimeout', 'Date']});
+	expectType<Clock>(clock);
+	expectType<number>(clock.now);
+	expectType<number>(clock.tick(100));
+	expectType<number>(await clock.runAllAsync());
+	clock.setSystemTime(0);
+	clock.uninstall();
+});
@@ -0,0 +1,29 @@
+import {expectType} from 'tsd';
+
+import test from '../../entrypoints/main.mjs';
+
+test.each([[1, 2, 3], [2, 3, 5]])('$0 + $1 = $2', (t, a, b, sum) => {
+	expectType<number>(a);
+	expectType<number>(b);
+	t.is(a + b, sum);
+});
+
+test.each([{name: 'a', value: 1}, {name: 'b', value: 2}]).serial.failing('$name', (t, row) => {
+	expectType<string>(row.name);
+	t.is(row.value, 0);
+});
+
+test.each(['a', 'b']).skip('$0', (t, value) => {
+	expectType<string>(value);
+	t.pass();
+});
+
+const macro = test.macro({
+	exec(t, value: number) {
+		t.true(value > 0);
+	},
+	title: (providedTitle, value) => `${providedTitle ?? 'positive'} ${value}`,
+});
+
+test.each([1, 2])(macro);
+test.each([1, 2]).only('is positive', macro);
@@ -0,0 +1,42 @@
+import {expectType} from 'tsd';
+
+import test from '../../entrypoints/main.mjs';
+
+type Config = {url: string};
+
+const fixtureTest = test.extend<{config: Config; database: string}>({
+	async config({}, use) { // eslint-disable-line no-empty-pattern
+		await use({url: 'memory:'});
+	},
+	database: [async ({config}, use) => {
+		expectType<Config>(config);
+		await use(`database at ${config.url}`);
+	}, {scope: 'file'}],
+});
+
+fixtureTest('destructures fixtures', ({config, database, is}) => {
+	expectType<Config>(config);
+	expectType<string>(database);
+	is(database, 'database at memory:');
+});
+
+fixtureTest.serial.failing('chains', ({database, fail}) => {
+	expectType<string>(database);
+	fail();
+});
+
+const extendedTest = fixtureTest.extend<{connection: number}>({
+	async connection({database}, use) {
+		expectType<string>(database);
+		await use(1);
+	},
+});
+
+extendedTest('extends fixtures', ({connection, database, pass}) => {
+	expectType<number>(connection);
+	expectType<string>(database);
+	pass();
+});
+
+// @ts-expect-error TS2322
+test.extend<{port: number}>({port: async ({}, use) => use('80')}); // eslint-disable-line no-empty-pattern
@@ -0,0 +1,23 @@
+import test from '../../entrypoints/main.mjs';
+
+test.group('group', () => {
+	test.beforeEach(t => {
+		t.pass();
+	});
+
+	test('test', t => {
+		t.pass();
+	});
+
+	test.group.only('nested', () => {
+		test('test', t => {
+			t.pass();
+		});
+	});
+});
+
+test.serial.group.skip('serial', () => {
+	test('test', t => {
+		t.pass();
+	});
+});
@@ -0,0 +1,19 @@
+import test from '../../entrypoints/main.mjs';
+
+test.lock('postgres')('test', t => {
+	t.pass();
+});
+
+test.lock('postgres', 'redis').serial.failing('failing', t => {
+	t.fail();
+});
+
+test.lock('postgres').each([1, 2])('row $0', (t, value) => {
+	t.true(value > 0);
+});
+
+const macro = test.macro(t => {
+	t.pass();
+});
+
+test.lock('postgres').skip('macro', macro);
@@ -0,0 +1,31 @@
+import test from '../../entrypoints/main.mjs';
+
+test.retry(2)('test', t => {
+	t.pass();
+});
+
+test.retry(1).serial.failing('test', t => {
+	t.fail();
+});
+
+const macro = test.macro(t => {
+	t.pass();
+});
+
+test.retry(1)('macro', macro);
+
+test.retry(2).each([1, 2])('row $0', (t, value) => {
+	t.true(value > 0);
+});
+
+test.tag('slow').retry(2)('tagged', t => {
+	t.pass();
+});
+
+test.lock('postgres').tag('db').retry(1).serial('combined', t => {
+	t.pass();
+});
+
+// `each()` must come last.
+// @ts-expect-error TS2339
+test.each([1]).retry(1);
@@ -9,9 +9,30 @@ test('snapshot', t => {
 	expectError(t.snapshot('hello world', null));
 });
 
+test('snapshot with options', t => {
+	t.snapshot({id: 'abc', createdAt: new Date()}, {redact: {id: String, createdAt: Date}});
+	t.snapshot({id: 'abc'}, {redact: {id: String}}, 'a snapshot with a message');
+	t.snapshot.skip({id: 'abc'}, {redact: {id: String}});
+	// @ts-expect-error TS2322
+	expectError(t.snapshot({id: 'abc'}, {redact: {id: 'string'}}));
+});
+
 test('snapshot.skip', t => {
 	t.snapshot.skip({foo: 'bar'});
 	t.snapshot.skip(null, 'a snapshot with a message');
 	// @ts-expect-error TS2345
 	expectError(t.snapshot.skip('hello world', null)); // eslint-disable-line @typescript-eslint/no-confusing-void-expression
 });
+
+test('snapshot.inline', t => {
+	t.snapshot.inline({foo: 'bar'});
+	t.snapshot.inline({foo: 'bar'}, `
+		{
+		  foo: 'bar',
+		}
+	`);
+	t.snapshot.inline(null, `null`, 'an inline snapshot with a message');
+	// @ts-expect-error TS2345
+	expectError(t.snapshot.inline('hello world', 42));
+	t.snapshot.inline.skip({foo: 'bar'});
+});
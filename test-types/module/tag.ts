@@ -0,0 +1,19 @@
+import test from '../../entrypoints/main.mjs';
+
+test.tag('slow')('test', t => {
+	t.pass();
+});
+
+test.tag('slow', 'db').serial.failing('failing', t => {
+	t.fail();
+});
+
+test.tag('slow').each([1, 2])('row $0', (t, value) => {
+	t.true(value > 0);
+});
+
+const macro = test.macro(t => {
+	t.pass();
+});
+
+test.tag('slow').only('macro', macro);
@@ -58,6 +58,27 @@ test('can rerun tests', withFixture('basic'), async (t, fixture) => {
 	});
 });
 
+test('can rerun failed tests', withFixture('filter-files'), async (t, fixture) => {
+	await fixture.watch({
+		async 1({process, stats}) {
+			t.is(stats.selectedTestCount, 8);
+			t.is(stats.failed.length, 2);
+			process.stdin.write('r\n');
+		},
+
+		async 2({process, stats}) {
+			t.is(stats.selectedTestCount, 2);
+			t.deepEqual(stats.failed.map(({title}) => title), ['david', 'harry']);
+			process.stdin.write('r\n');
+		},
+
+		async 3({stats}) {
+			t.is(stats.selectedTestCount, 2);
+			this.done();
+		},
+	}, ['--only-failed']);
+});
+
 test('can update snapshots', withFixture('basic'), async (t, fixture) => {
 	await fixture.watch({
 		async 1({process}) {
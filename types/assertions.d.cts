@@ -317,6 +317,14 @@ export type RegexAssertion = {
 	skip(string: string, regex: RegExp, message?: string): void;
 };
 
+export type SnapshotOptions = {
+	/**
+	 * Replace the values at these property paths with placeholders before comparing them with the snapshot. Each value
+	 * must be of the given type, e.g. `String` or `Date`. Use `*` to match any property, array index or map key.
+	 */
+	redact?: Record<string, (abstract new (...args: any[]) => unknown) | ((...args: any[]) => unknown)>;
+};
+
 export type SnapshotAssertion = {
 	/**
 	 * Assert that `expected` is [deeply equal](https://github.com/concordancejs/concordance#comparison-details) to a
@@ -327,8 +335,39 @@ export type SnapshotAssertion = {
 	 */
 	(expected: any, message?: string): true;
 
+	/**
+	 * Assert that `expected` is [deeply equal](https://github.com/concordancejs/concordance#comparison-details) to a
+	 * previously recorded [snapshot](https://github.com/concordancejs/concordance#serialization-details), or if
+	 * necessary record a new snapshot. Values are redacted according to the options.
+	 *
+	 * Returns `true` if the assertion passed and throws otherwise.
+	 */
+	(expected: any, options: SnapshotOptions, message?: string): true;
+
+	/**
+	 * Assert that `expected` matches the snapshot embedded in the test file. If there is no embedded snapshot, or when
+	 * updating snapshots, the formatted value is written into the test file as the second argument.
+	 */
+	inline: InlineSnapshotAssertion;
+
 	/** Skip this assertion. */
 	skip(expected: any, message?: string): void;
+
+	/** Skip this assertion. */
+	skip(expected: any, options: SnapshotOptions, message?: string): void;
+};
+
+export type InlineSnapshotAssertion = {
+	/**
+	 * Assert that `expected` matches the snapshot embedded in the test file. If there is no embedded snapshot, or when
+	 * updating snapshots, the formatted value is written into the test file as the second argument.
+	 *
+	 * Returns `true` if the assertion passed and throws otherwise.
+	 */
+	(expected: any, embedded?: string, message?: string): true;
+
+	/** Skip this assertion. */
+	skip(expected: any, embedded?: string, message?: string): void;
 };
 
 export type ThrowsAssertion = {
@@ -33,6 +33,22 @@ type AvaSerializedError = SerializedErrorBase & {
 
 type SerializedError = AggregateSerializedError | NativeSerializedError | AvaSerializedError;
 
+type CoverageMetric = 'statements' | 'branches' | 'functions' | 'lines';
+
+type CoverageTotals = {
+	total: number;
+	covered: number;
+	skipped: number;
+	pct: number | 'Unknown';
+};
+
+/** The results of a test that was run repeatedly, using `--repeat` or `--until-failure`. */
+type RepeatResults = {
+	iterations: number;
+	passed: number;
+	failed: number;
+};
+
 export type StateChangeEvent = {
 	type: 'starting';
 	testFile: string;
@@ -41,8 +57,14 @@ export type StateChangeEvent = {
 	stats: {
 		byFile: Map<string, {
 			declaredTests: number;
+			duration: number;
+			durations: {
+				hooks: ReadonlyArray<{title: string; duration: number}>;
+				tests: ReadonlyArray<{title: string; duration: number}>;
+			};
 			failedHooks: number;
 			failedTests: number;
+			flakyTests: number;
 			internalErrors: number;
 			remainingTests: number;
 			passedKnownFailingTests: number;
@@ -55,16 +77,23 @@ export type StateChangeEvent = {
 			unhandledRejections: number;
 		}>;
 		declaredTests: number;
+		failedCoverageThresholds: number;
+		failedGlobalHooks: number;
 		failedHooks: number;
+		/** The number of tests with obsolete snapshots, if these fail the run. */
+		failedObsoleteSnapshots: number;
 		failedTests: number;
 		failedWorkers: number;
 		files: number;
+		flakyTests: number;
 		parallelRuns: {
 			currentIndex: number;
 			totalRuns: number;
 		} | undefined;
 		finishedWorkers: number;
 		internalErrors: number;
+		/** The number of tests with obsolete snapshots. */
+		obsoleteSnapshots: number;
 		remainingTests: number;
 		passedKnownFailingTests: number;
 		passedTests: number;
@@ -81,6 +110,7 @@ export type StateChangeEvent = {
 	type: 'declared-test';
 	title: string;
 	knownFailing: boolean;
+	tags: string[];
 	todo: boolean;
 	testFile: string;
 } | {
@@ -88,6 +118,7 @@ export type StateChangeEvent = {
 	title: string;
 	knownFailing: boolean;
 	skip: boolean;
+	tags: string[];
 	todo: boolean;
 	testFile: string;
 } | {
@@ -98,17 +129,46 @@ export type StateChangeEvent = {
 } | {
 	type: 'test-passed';
 	title: string;
+	attempts: number;
 	duration: number;
 	knownFailing: boolean;
 	logs: string[];
+	repeat?: RepeatResults;
+	tags: string[];
 	testFile: string;
 } | {
 	type: 'test-failed';
 	title: string;
+	attempts: number;
+	err: SerializedError;
+	duration: number;
+	knownFailing: boolean;
+	logs: string[];
+	repeat?: RepeatResults;
+	tags: string[];
+	testFile: string;
+} | {
+	type: 'test-iteration';
+	title: string;
+	iteration: number;
+	passed: boolean;
+	attempts: number;
+	err?: SerializedError;
+	duration: number;
+	knownFailing: boolean;
+	logs: string[];
+	tags: string[];
+	testFile: string;
+} | {
+	type: 'test-retry';
+	title: string;
+	attempt: number;
+	retries: number;
 	err: SerializedError;
 	duration: number;
 	knownFailing: boolean;
 	logs: string[];
+	tags: string[];
 	testFile: string;
 } | {
 	type: 'worker-finished';
@@ -119,6 +179,36 @@ export type StateChangeEvent = {
 	nonZeroExitCode?: boolean;
 	signal?: string;
 	err?: SerializedError;
+} | {
+	type: 'obsolete-snapshots';
+	/** Whether the obsolete snapshots fail the run, with `--ci-snapshots=strict`. */
+	failed: boolean;
+	snapPath: string;
+	/** The titles of the tests that no longer exist. */
+	titles: string[];
+	testFile: string;
+} | {
+	type: 'snapshots-pruned';
+	snapPath: string;
+	/** The titles of the tests whose snapshots were removed. */
+	titles: string[];
+	testFile: string;
+} | {
+	type: 'open-handles';
+	/** The resources that were still open once the tests in the file finished. `title` is the test or hook that created the resource. */
+	handles: Array<{description: string; stack: string; title?: string}>;
+	testFile: string;
+} | {
+	type: 'global-hook-failed';
+	hook: 'globalSetup' | 'globalTeardown';
+	err: SerializedError;
+} | {
+	type: 'coverage';
+	/** `actual` is `null` if there was nothing to cover. */
+	failedThresholds: Array<{metric: CoverageMetric; threshold: number; actual: number | null}>; // eslint-disable-line @typescript-eslint/ban-types
+	report: string;
+	reportsDirectory: string;
+	summary: Record<CoverageMetric, CoverageTotals>;
 } | {
 	type: 'touched-files';
 	files: {
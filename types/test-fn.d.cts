@@ -13,6 +13,7 @@ export type ExecutionContext<Context = unknown> = {
 	/** Whether the test has passed. Only accurate in afterEach hooks. */
 	readonly passed: boolean;
 
+	readonly clock: ClockApi;
 	readonly log: LogFn;
 	readonly plan: PlanFn;
 	readonly teardown: TeardownFn;
@@ -50,51 +51,143 @@ export type TimeoutFn = {
 	clear(): void;
 };
 
+export type ClockApi = {
+	/**
+	 * Replace the global timers and `Date` with fake ones, which only advance when told to. The real timers are
+	 * restored once the test has finished. Only one test can use fake timers at a time, so use `test.serial()`.
+	 */
+	install(options?: ClockOptions): Clock;
+};
+
+export type ClockOptions = {
+	/** The initial system time, in milliseconds since the Unix epoch. Defaults to the current time. */
+	now?: number | Date;
+
+	/** The timers to fake. Defaults to all timers, except `nextTick` and `queueMicrotask`. */
+	toFake?: Array<'setTimeout' | 'clearTimeout' | 'setInterval' | 'clearInterval' | 'setImmediate' | 'clearImmediate' | 'Date' | 'hrtime' | 'nextTick' | 'performance' | 'queueMicrotask' | 'Intl'>;
+
+	/** The maximum number of timers that are run by `runAll()`. Defaults to 1000. */
+	loopLimit?: number;
+};
+
+export type Clock = {
+	/** The current fake time, in milliseconds since the Unix epoch. */
+	readonly now: number;
+
+	/** Advance the clock, running any timers that are due. Returns the new time. */
+	tick(ms: number): number;
+
+	/** Like `tick()`, but lets promise callbacks run between timers. */
+	tickAsync(ms: number): Promise<number>;
+
+	/** Advance the clock to the next timer and run it. Returns the new time. */
+	next(): number;
+
+	/** Like `next()`, but lets promise callbacks run first. */
+	nextAsync(): Promise<number>;
+
+	/** Run all timers, including any timers they create, until there are none left. Returns the new time. */
+	runAll(): number;
+
+	/** Like `runAll()`, but lets promise callbacks run between timers. */
+	runAllAsync(): Promise<number>;
+
+	/** Run the timers that are currently pending, but not any new timers. Returns the new time. */
+	runToLast(): number;
+
+	/** Like `runToLast()`, but lets promise callbacks run between timers. */
+	runToLastAsync(): Promise<number>;
+
+	/** Change the system time, without running any timers. */
+	setSystemTime(now: number | Date): void;
+
+	/** Restore the real timers before the test has finished. */
+	uninstall(): void;
+};
+
 /** Declare a function to be run after the test has ended. */
 export type TeardownFn = (fn: (() => Promise<void>) | (() => void)) => void;
 
-export type ImplementationFn<Args extends unknown[], Context = unknown> =
-	((t: ExecutionContext<Context>, ...args: Args) => PromiseLike<void>) |
-	((t: ExecutionContext<Context>, ...args: Args) => Subscribable) |
-	((t: ExecutionContext<Context>, ...args: Args) => void);
+export type ImplementationFn<Args extends unknown[], Context = unknown, Fixtures = unknown> =
+	((t: ExecutionContext<Context> & Fixtures, ...args: Args) => PromiseLike<void>) |
+	((t: ExecutionContext<Context> & Fixtures, ...args: Args) => Subscribable) |
+	((t: ExecutionContext<Context> & Fixtures, ...args: Args) => void);
 
 export type TitleFn<Args extends unknown[]> = (providedTitle: string | undefined, ...args: Args) => string;
 
 /** A reusable test or hook implementation. */
-export type Macro<Args extends unknown[], Context = unknown> = {
+export type Macro<Args extends unknown[], Context = unknown, Fixtures = unknown> = {
 	/** The function that is executed when the macro is used. */
-	readonly exec: ImplementationFn<Args, Context>;
+	readonly exec: ImplementationFn<Args, Context, Fixtures>;
 
 	/** Generates a test title when this macro is used. */
 	readonly title?: TitleFn<Args>;
 };
 
 /** A test or hook implementation. */
-export type Implementation<Args extends unknown[], Context = unknown> = ImplementationFn<Args, Context> | Macro<Args, Context>;
+export type Implementation<Args extends unknown[], Context = unknown, Fixtures = unknown> = ImplementationFn<Args, Context, Fixtures> | Macro<Args, Context, Fixtures>;
 
-export type TestFn<Context = unknown> = {
+export type TestFn<Context = unknown, Fixtures = unknown> = {
 	/** Declare a concurrent test. Additional arguments are passed to the implementation or macro. */
-	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
 
 	/**
 	 * Declare a concurrent test that uses a macro. Additional arguments are passed to the macro.
 	 * The macro is responsible for generating a unique test title.
 	 */
-	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
 
 	after: AfterFn<Context>;
 	afterEach: AfterFn<Context>;
 	before: BeforeFn<Context>;
 	beforeEach: BeforeFn<Context>;
-	failing: FailingFn<Context>;
-	macro: MacroFn<Context>;
+
+	/** Declare tests for each row of the table, with the returned function. */
+	each: <Row>(table: readonly Row[]) => EachFn<Row, Context, Fixtures>;
+
+	/** Declare tests that can destructure the given fixtures from their execution context, with the returned function. */
+	extend: <Extension extends Record<string, unknown>>(fixtures: FixtureDefinitions<Extension, Fixtures>) => TestFn<Context, Fixtures & Extension>;
+
+	failing: FailingFn<Context, Fixtures>;
+	group: GroupFn;
+
+	/** Tests declared with the returned function hold the given locks while they run, so they don't run at the same time as other tests that use these locks, in any test file. */
+	lock: (...names: string[]) => LockFn<Context, Fixtures>;
+
+	macro: MacroFn<Context, Fixtures>;
 	meta: Meta;
-	only: OnlyFn<Context>;
-	serial: SerialFn<Context>;
-	skip: SkipFn<Context>;
+	only: OnlyFn<Context, Fixtures>;
+
+	/** Retry tests declared with the returned function up to `retries` times if they fail. */
+	retry: (retries: number) => RetryFn<Context, Fixtures>;
+
+	serial: SerialFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
+
+	/** Tag tests declared with the returned function, so they can be selected using the `--tag` and `--exclude-tag` flags. */
+	tag: (...tags: string[]) => TagFn<Context, Fixtures>;
+
 	todo: TodoFn;
 };
 
+/**
+ * Sets up a fixture, which may depend on other fixtures. Call `use()` with the value of the fixture. The returned
+ * promise resolves once the fixture is no longer used, after which it can be torn down.
+ */
+export type FixtureFn<Value, Fixtures = unknown> = (fixtures: Fixtures, use: (value: Value) => Promise<void>) => PromiseLike<void> | void;
+
+export type FixtureOptions = {
+	/**
+	 * Fixtures with the `test` scope are set up for each test that uses them. Fixtures with the `file` scope are
+	 * shared by the tests in the file, and are torn down after the `after.always()` hooks. Defaults to `test`.
+	 */
+	scope?: 'test' | 'file';
+};
+
+export type FixtureDefinitions<Extension, Fixtures = unknown> = {
+	[Name in keyof Extension]: FixtureFn<Extension[Name], Fixtures & Extension> | [FixtureFn<Extension[Name], Fixtures & Extension>, FixtureOptions];
+};
+
 export type AfterFn<Context = unknown> = {
 	/**
 	 * Declare a hook that is run once, after all tests have passed.
@@ -144,23 +237,87 @@ export type BeforeFn<Context = unknown> = {
 	skip: HookSkipFn<Context>;
 };
 
-export type FailingFn<Context = unknown> = {
+/** The arguments passed to the implementation for a row of a `test.each()` table. Array rows are spread. */
+export type EachArgs<Row> = Row extends readonly unknown[] ? [...Row] : [Row];
+
+export type EachFn<Row, Context = unknown, Fixtures = unknown> = {
+	/**
+	 * Declare a concurrent test for each row. `$#` in the title is replaced with the index of the row,
+	 * and `$0` or `$name` with the value at that index or property of the row.
+	 */
+	(title: string, implementation: Implementation<EachArgs<Row>, Context, Fixtures>): void;
+
+	/** Declare a concurrent test for each row, using a macro. The macro is responsible for generating unique test titles. */
+	(macro: Macro<EachArgs<Row>, Context, Fixtures>): void;
+
+	failing: EachFailingFn<Row, Context, Fixtures>;
+	only: EachModifierFn<Row, Context, Fixtures>;
+	serial: EachSerialFn<Row, Context, Fixtures>;
+	skip: EachModifierFn<Row, Context, Fixtures>;
+};
+
+export type EachFailingFn<Row, Context = unknown, Fixtures = unknown> = {
+	/** Declare a concurrent test for each row, which is expected to fail. */
+	(title: string, implementation: Implementation<EachArgs<Row>, Context, Fixtures>): void;
+
+	/** Declare a concurrent test for each row, using a macro, which is expected to fail. */
+	(macro: Macro<EachArgs<Row>, Context, Fixtures>): void;
+
+	only: EachModifierFn<Row, Context, Fixtures>;
+	skip: EachModifierFn<Row, Context, Fixtures>;
+};
+
+export type EachModifierFn<Row, Context = unknown, Fixtures = unknown> = {
+	/** Declare a test for each row. */
+	(title: string, implementation: Implementation<EachArgs<Row>, Context, Fixtures>): void;
+
+	/** Declare a test for each row, using a macro. */
+	(macro: Macro<EachArgs<Row>, Context, Fixtures>): void;
+};
+
+export type EachSerialFn<Row, Context = unknown, Fixtures = unknown> = {
+	/** Declare a serial test for each row. */
+	(title: string, implementation: Implementation<EachArgs<Row>, Context, Fixtures>): void;
+
+	/** Declare a serial test for each row, using a macro. */
+	(macro: Macro<EachArgs<Row>, Context, Fixtures>): void;
+
+	failing: EachFailingFn<Row, Context, Fixtures>;
+	only: EachModifierFn<Row, Context, Fixtures>;
+	skip: EachModifierFn<Row, Context, Fixtures>;
+};
+
+export type FailingFn<Context = unknown, Fixtures = unknown> = {
 	/**
 	 * Declare a concurrent test that is expected to fail.
 	 * Additional arguments are passed to the implementation or macro.
 	 */
-	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
 
 	/**
 	 * Declare a concurrent test, using a macro, that is expected to fail.
 	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
 	 */
-	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
 
-	only: OnlyFn<Context>;
-	skip: SkipFn<Context>;
+	only: OnlyFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
 };
 
+export type GroupFn = {
+	/** Declare a group of tests and hooks. The declarations must be made synchronously. */
+	(title: string, declarations: () => void): void;
+
+	only: GroupOnlyFn;
+	skip: GroupSkipFn;
+};
+
+/** Declare a group of tests and hooks. Only the tests in this group, and others declared with `.only()`, are run. */
+export type GroupOnlyFn = (title: string, declarations: () => void) => void;
+
+/** Skip the tests and hooks in this group. */
+export type GroupSkipFn = (title: string, declarations: () => void) => void;
+
 export type HookSkipFn<Context = unknown> = {
 	/** Skip this hook. */
 	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
@@ -169,68 +326,196 @@ export type HookSkipFn<Context = unknown> = {
 	<Args extends unknown[]>(implementation: Implementation<Args, Context>, ...args: Args): void;
 };
 
-export type OnlyFn<Context = unknown> = {
+export type LockFn<Context = unknown, Fixtures = unknown> = {
+	/** Declare a concurrent test that holds the locks. Additional arguments are passed to the implementation or macro. */
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
+
+	/**
+	 * Declare a concurrent test that holds the locks, using a macro.
+	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
+	 */
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+
+	/** Declare tests that hold the locks for each row of the table, with the returned function. */
+	each: <Row>(table: readonly Row[]) => EachFn<Row, Context, Fixtures>;
+
+	failing: FailingFn<Context, Fixtures>;
+	only: OnlyFn<Context, Fixtures>;
+
+	/** Tests declared with the returned function are also retried up to `retries` times if they fail. */
+	retry: (retries: number) => RetryFn<Context, Fixtures>;
+
+	serial: LockSerialFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
+
+	/** Tests declared with the returned function also have the given tags. */
+	tag: (...tags: string[]) => TagFn<Context, Fixtures>;
+};
+
+export type LockSerialFn<Context = unknown, Fixtures = unknown> = {
+	/** Declare a serial test that holds the locks. Additional arguments are passed to the implementation or macro. */
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
+
+	/**
+	 * Declare a serial test that holds the locks, using a macro.
+	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
+	 */
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+
+	failing: FailingFn<Context, Fixtures>;
+	only: OnlyFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
+};
+
+export type OnlyFn<Context = unknown, Fixtures = unknown> = {
 	/**
 	 * Declare a test. Only this test and others declared with `.only()` are run.
 	 * Additional arguments are passed to the implementation or macro.
 	 */
-	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
 
 	/**
 	 * Declare a test that uses a macro. Only this test and others declared with `.only()` are run.
 	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
 	 */
-	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+};
+
+export type RetryFn<Context = unknown, Fixtures = unknown> = {
+	/** Declare a concurrent test that is retried if it fails. Additional arguments are passed to the implementation or macro. */
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
+
+	/**
+	 * Declare a concurrent test, using a macro, that is retried if it fails.
+	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
+	 */
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+
+	/** Declare tests that are retried if they fail, for each row of the table, with the returned function. */
+	each: <Row>(table: readonly Row[]) => EachFn<Row, Context, Fixtures>;
+
+	failing: FailingFn<Context, Fixtures>;
+
+	/** Tests declared with the returned function also hold the given locks while they run. */
+	lock: (...names: string[]) => LockFn<Context, Fixtures>;
+
+	only: OnlyFn<Context, Fixtures>;
+	serial: RetrySerialFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
+
+	/** Tests declared with the returned function also have the given tags. */
+	tag: (...tags: string[]) => TagFn<Context, Fixtures>;
+};
+
+export type RetrySerialFn<Context = unknown, Fixtures = unknown> = {
+	/** Declare a serial test that is retried if it fails. Additional arguments are passed to the implementation or macro. */
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
+
+	/**
+	 * Declare a serial test, using a macro, that is retried if it fails.
+	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
+	 */
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+
+	failing: FailingFn<Context, Fixtures>;
+	only: OnlyFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
 };
 
-export type SerialFn<Context = unknown> = {
+export type SerialFn<Context = unknown, Fixtures = unknown> = {
 	/** Declare a serial test. Additional arguments are passed to the implementation or macro. */
-	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
 
 	/**
 	 * Declare a serial test that uses a macro. The macro is responsible for generating a unique test title.
 	 */
-	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
 
 	after: AfterFn<Context>;
 	afterEach: AfterFn<Context>;
 	before: BeforeFn<Context>;
 	beforeEach: BeforeFn<Context>;
-	failing: FailingFn<Context>;
-	only: OnlyFn<Context>;
-	skip: SkipFn<Context>;
+	failing: FailingFn<Context, Fixtures>;
+	group: GroupFn;
+	only: OnlyFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
 	todo: TodoFn;
 };
 
-export type SkipFn<Context = unknown> = {
+export type SkipFn<Context = unknown, Fixtures = unknown> = {
 	/** Skip this test. */
-	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
 
 	/** Skip this test. */
-	<Args extends unknown[]>(macro: Macro<Args, Context>, ...args: Args): void;
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+};
+
+export type TagFn<Context = unknown, Fixtures = unknown> = {
+	/** Declare a concurrent test with tags. Additional arguments are passed to the implementation or macro. */
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
+
+	/**
+	 * Declare a concurrent test with tags, using a macro.
+	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
+	 */
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+
+	/** Declare tests with tags for each row of the table, with the returned function. */
+	each: <Row>(table: readonly Row[]) => EachFn<Row, Context, Fixtures>;
+
+	failing: FailingFn<Context, Fixtures>;
+
+	/** Tests declared with the returned function also hold the given locks while they run. */
+	lock: (...names: string[]) => LockFn<Context, Fixtures>;
+
+	only: OnlyFn<Context, Fixtures>;
+
+	/** Tests declared with the returned function are also retried up to `retries` times if they fail. */
+	retry: (retries: number) => RetryFn<Context, Fixtures>;
+
+	serial: TagSerialFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
+};
+
+export type TagSerialFn<Context = unknown, Fixtures = unknown> = {
+	/** Declare a serial test with tags. Additional arguments are passed to the implementation or macro. */
+	<Args extends unknown[]>(title: string, implementation: Implementation<Args, Context, Fixtures>, ...args: Args): void;
+
+	/**
+	 * Declare a serial test with tags, using a macro.
+	 * Additional arguments are passed to the macro. The macro is responsible for generating a unique test title.
+	 */
+	<Args extends unknown[]>(macro: Macro<Args, Context, Fixtures>, ...args: Args): void;
+
+	failing: FailingFn<Context, Fixtures>;
+	only: OnlyFn<Context, Fixtures>;
+	skip: SkipFn<Context, Fixtures>;
 };
 
 /** Declare a test that should be implemented later. */
 export type TodoFn = (title: string) => void;
 
-export type MacroDeclarationOptions<Args extends unknown[], Context = unknown> = {
+export type MacroDeclarationOptions<Args extends unknown[], Context = unknown, Fixtures = unknown> = {
 	/** The function that is executed when the macro is used. */
-	exec: ImplementationFn<Args, Context>;
+	exec: ImplementationFn<Args, Context, Fixtures>;
 
 	/** The function responsible for generating a unique title when the macro is used. */
 	title: TitleFn<Args>;
 };
 
-export type MacroFn<Context = unknown> = {
+export type MacroFn<Context = unknown, Fixtures = unknown> = {
 	/** Declare a reusable test implementation. */
-	<Args extends unknown[]>(/** The function that is executed when the macro is used. */ exec: ImplementationFn<Args, Context>): Macro<Args, Context>;
-	<Args extends unknown[]>(declaration: MacroDeclarationOptions<Args, Context>): Macro<Args, Context>;
+	<Args extends unknown[]>(/** The function that is executed when the macro is used. */ exec: ImplementationFn<Args, Context, Fixtures>): Macro<Args, Context, Fixtures>;
+	<Args extends unknown[]>(declaration: MacroDeclarationOptions<Args, Context, Fixtures>): Macro<Args, Context, Fixtures>;
 };
 
 export type Meta = {
 	/** Path to the test file being executed. */
 	file: string;
 
+	/** The value returned by the `globalSetup` module, if configured. It cannot be modified. */
+	readonly globalSetup: unknown;
+
 	/** Directory where snapshots are stored. */
 	snapshotDirectory: string;
 };